@@ -1,7 +1,31 @@
 /**
  * Модуль расширенных 2D визуализаций
- * Включает радарные, полярные, тепловые карты и древовидные диаграммы
+ * Включает радарные и полярные диаграммы, решето вычетов, дерево прообразов
+ * и двоичную трассу траектории
  */
+import { BigMath } from './bigMath.js';
+import { CollatzAlgorithm } from './algorithm.js';
+import { ResidueSieve } from './residueSieve.js';
+
+// Глубина дерева прообразов на древовидной диаграмме
+const TREE_CHART_DEPTH = 12;
+
+// Показатель модуля 2^k решета вычетов при открытии вкладки
+const DEFAULT_SIEVE_K = 12;
+
+// Ограничения растра двоичной трассы (шаги x биты) и размер клетки в пикселях
+const MAX_TRACE_ROWS = 4000;
+const MAX_TRACE_BITS = 4096;
+const MAX_TRACE_CELL = 8;
+
+// Цвета растра: единицы, нули внутри числа, хвостовые нули и фон за старшим битом
+const TRACE_COLORS = Object.freeze({
+    one: '#3b82f6',
+    zero: '#2d2d2d',
+    trailingZero: '#f59e0b',
+    background: '#1a1a1a'
+});
+
 export class AdvancedVisualization {
     constructor() {
         this.charts = {};
@@ -9,9 +33,14 @@ export class AdvancedVisualization {
         this.chartConfigs = {
             radar: null,
             polar: null,
-            heatmap: null,
+            sieve: null,
             tree: null
         };
+        // Последний результат решета вычетов (см. ResidueSieve.compute)
+        this.sieveResult = null;
+        // Двоичная трасса последней траектории (см. CollatzAlgorithm.getBinaryTrace)
+        this.binaryTrace = null;
+        this.binaryTraceCell = { width: 1, height: 1 };
     }
 
     /**
@@ -24,7 +53,7 @@ export class AdvancedVisualization {
             // Инициализация всех типов графиков
             await this.initRadarChart();
             await this.initPolarChart();
-            await this.initHeatmapChart();
+            await this.initSieveChart();
             await this.initTreeChart();
             
             // Настройка обработчиков событий
@@ -165,53 +194,63 @@ export class AdvancedVisualization {
     }
 
     /**
-     * Инициализация тепловой карты
+     * Инициализация диаграммы решета вычетов
      */
-    async initHeatmapChart() {
-        const canvas = document.getElementById('heatmapChart');
+    async initSieveChart() {
+        const canvas = document.getElementById('sieveChart');
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
-        
-        // Создание данных для тепловой карты
-        const heatmapData = this.generateHeatmapData();
-        
-        this.chartConfigs.heatmap = {
-            type: 'scatter',
+
+        this.chartConfigs.sieve = {
+            type: 'line',
             data: {
-                datasets: [{
-                    label: 'Тепловая карта значений',
-                    data: heatmapData,
-                    backgroundColor: (context) => {
-                        // Проверяем, что context.parsed существует
-                        if (!context.parsed || typeof context.parsed.y === 'undefined') {
-                            return 'rgba(239, 68, 68, 0.5)';
-                        }
-                        const value = context.parsed.y;
-                        const max = Math.max(...heatmapData.map(d => d.y));
-                        const intensity = value / max;
-                        return `rgba(239, 68, 68, ${intensity})`;
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Доля выживших классов',
+                        data: [],
+                        borderColor: 'rgba(239, 68, 68, 1)',
+                        backgroundColor: 'rgba(239, 68, 68, 0.2)',
+                        borderWidth: 2,
+                        pointRadius: 3,
+                        pointHoverRadius: 6
                     },
-                    pointRadius: 4,
-                    pointHoverRadius: 6
-                }]
+                    {
+                        label: 'Биномиальная оценка',
+                        data: [],
+                        borderColor: 'rgba(161, 161, 170, 1)',
+                        borderDash: [6, 4],
+                        borderWidth: 2,
+                        pointRadius: 0
+                    },
+                    {
+                        type: 'bar',
+                        label: 'Остановились на шаге',
+                        data: [],
+                        backgroundColor: 'rgba(16, 185, 129, 0.5)',
+                        borderColor: 'rgba(16, 185, 129, 1)',
+                        borderWidth: 1
+                    }
+                ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                onClick: (event, elements) => {
+                    if (elements.length > 0) {
+                        this.selectSieveLevel(elements[0].index);
+                    }
+                },
                 plugins: {
                     legend: {
-                        display: false
+                        labels: {
+                            color: '#ffffff'
+                        }
                     },
                     tooltip: {
                         callbacks: {
-                            label: (context) => {
-                                // Проверяем, что context.parsed существует
-                                if (!context.parsed) {
-                                    return 'Данные недоступны';
-                                }
-                                return `Шаг ${context.parsed.x}: ${context.parsed.y}`;
-                            }
+                            label: (context) => `${context.dataset.label}: ${(context.parsed.y * 100).toFixed(3)}%`
                         }
                     }
                 },
@@ -219,7 +258,7 @@ export class AdvancedVisualization {
                     x: {
                         title: {
                             display: true,
-                            text: 'Шаг',
+                            text: 'Шаг j (модуль 2^j)',
                             color: '#ffffff'
                         },
                         grid: {
@@ -230,9 +269,10 @@ export class AdvancedVisualization {
                         }
                     },
                     y: {
+                        type: 'logarithmic',
                         title: {
                             display: true,
-                            text: 'Значение',
+                            text: 'Доля классов',
                             color: '#ffffff'
                         },
                         grid: {
@@ -246,7 +286,10 @@ export class AdvancedVisualization {
             }
         };
 
-        this.charts.heatmap = new Chart(ctx, this.chartConfigs.heatmap);
+        this.charts.sieve = new Chart(ctx, this.chartConfigs.sieve);
+
+        // Начальное решето небольшого модуля считается сразу
+        this.updateSieve(ResidueSieve.compute(DEFAULT_SIEVE_K));
     }
 
     /**
@@ -258,24 +301,23 @@ export class AdvancedVisualization {
 
         const ctx = canvas.getContext('2d');
         
-        // Создание данных для древовидной диаграммы
-        const treeData = this.generateTreeData();
+        // Дерево прообразов единицы, пока не выбрана последовательность
+        const treeData = this.generateTreeData(1);
         
         this.chartConfigs.tree = {
             type: 'bubble',
             data: {
                 datasets: [{
-                    label: 'Древовидная структура',
+                    label: 'Дерево прообразов',
                     data: treeData,
                     backgroundColor: (context) => {
-                        // Проверяем, что context.parsed существует
-                        if (!context.parsed || typeof context.parsed.r === 'undefined') {
+                        // Четные вершины - зеленые, нечетные (ветвления через (n − 1) / 3) - фиолетовые
+                        if (!context.raw) {
                             return 'rgba(16, 185, 129, 0.5)';
                         }
-                        const value = context.parsed.r;
-                        const max = Math.max(...treeData.map(d => d.r));
-                        const intensity = value / max;
-                        return `rgba(16, 185, 129, ${intensity})`;
+                        return context.raw.parity === 'odd'
+                            ? 'rgba(139, 92, 246, 0.7)'
+                            : 'rgba(16, 185, 129, 0.5)';
                     },
                     borderColor: 'rgba(16, 185, 129, 1)',
                     borderWidth: 1
@@ -291,11 +333,13 @@ export class AdvancedVisualization {
                     tooltip: {
                         callbacks: {
                             label: (context) => {
-                                // Проверяем, что context.parsed существует
-                                if (!context.parsed) {
+                                // Проверяем, что context.raw существует
+                                if (!context.raw) {
                                     return 'Данные недоступны';
                                 }
-                                return `Уровень ${context.parsed.x}: ${context.parsed.y} (размер: ${context.parsed.r})`;
+                                const { x, value, parity, branching } = context.raw;
+                                const parityLabel = parity === 'odd' ? 'нечетное' : 'четное';
+                                return `Уровень ${x}: ${value} (${parityLabel}, прообразов: ${branching})`;
                             }
                         }
                     }
@@ -304,7 +348,7 @@ export class AdvancedVisualization {
                     x: {
                         title: {
                             display: true,
-                            text: 'Уровень',
+                            text: 'Шагов до корня',
                             color: '#ffffff'
                         },
                         grid: {
@@ -315,6 +359,7 @@ export class AdvancedVisualization {
                         }
                     },
                     y: {
+                        type: 'logarithmic',
                         title: {
                             display: true,
                             text: 'Значение',
@@ -335,34 +380,24 @@ export class AdvancedVisualization {
     }
 
     /**
-     * Генерация данных для тепловой карты
-     * @returns {Array} Данные для тепловой карты
-     */
-    generateHeatmapData() {
-        const data = [];
-        for (let i = 0; i < 50; i++) {
-            data.push({
-                x: i,
-                y: Math.random() * 1000
-            });
-        }
-        return data;
-    }
-
-    /**
-     * Генерация данных для древовидной диаграммы
-     * @returns {Array} Данные для древовидной диаграммы
+     * Генерация данных для древовидной диаграммы: вершины дерева прообразов root
+     * @param {number|bigint} root - Корень дерева
+     * @param {Object} map - Отображение (по умолчанию 3n+1)
+     * @returns {Array} Точки { x: уровень, y: модуль значения, r, value, parity, branching }
      */
-    generateTreeData() {
-        const data = [];
-        for (let i = 0; i < 20; i++) {
-            data.push({
-                x: i,
-                y: Math.random() * 100,
-                r: Math.random() * 20 + 5
-            });
-        }
-        return data;
+    generateTreeData(root, map) {
+        const tree = CollatzAlgorithm.buildInverseTree(root, TREE_CHART_DEPTH, { map });
+
+        // Ось значений логарифмическая, поэтому дерево отрицательного корня строится по модулям
+        return tree.nodes.map(node => ({
+            x: node.depth,
+            y: BigMath.toNumber(BigMath.abs(node.value)),
+            // Вершины с двумя прообразами (точки ветвления) крупнее
+            r: 3 + node.branching * 3,
+            value: node.value.toString(),
+            parity: node.parity,
+            branching: node.branching
+        }));
     }
 
     /**
@@ -372,7 +407,12 @@ export class AdvancedVisualization {
     updateCharts(sequences) {
         if (!sequences || sequences.length === 0) return;
 
-        const sequence = sequences[sequences.length - 1];
+        // Графики строятся по приближенным значениям number (BigInt приводится)
+        const lastSequence = sequences[sequences.length - 1];
+        const sequence = {
+            ...lastSequence,
+            sequence: lastSequence.sequence.map(value => BigMath.toNumber(value))
+        };
         
         try {
             // Обновление радарной диаграммы
@@ -381,11 +421,11 @@ export class AdvancedVisualization {
             // Обновление полярного графика
             this.updatePolarChart(sequence);
             
-            // Обновление тепловой карты
-            this.updateHeatmapChart(sequence);
-            
             // Обновление древовидной диаграммы
-            this.updateTreeChart(sequence);
+            this.updateTreeChart(lastSequence);
+
+            // Двоичная трасса строится по точным значениям
+            this.updateBinaryTrace(lastSequence);
         } catch (error) {
             console.error('❌ Ошибка обновления расширенных графиков:', error);
         }
@@ -400,7 +440,7 @@ export class AdvancedVisualization {
 
         try {
             const stats = sequence.statistics;
-            const maxValue = Math.max(...sequence.sequence);
+            const maxValue = BigMath.max(sequence.sequence);
             
             // Нормализация данных для радарной диаграммы
             const data = [
@@ -429,8 +469,9 @@ export class AdvancedVisualization {
             const seq = sequence.sequence;
             const evenSteps = seq.filter((_, i) => i % 2 === 0).length;
             const oddSteps = seq.filter((_, i) => i % 2 === 1).length;
-            const peakValues = seq.filter(val => val > Math.max(...seq) * 0.8).length;
-            const lowValues = seq.filter(val => val < Math.max(...seq) * 0.2).length;
+            const maxValue = BigMath.max(seq);
+            const peakValues = seq.filter(val => val > maxValue * 0.8).length;
+            const lowValues = seq.filter(val => val < maxValue * 0.2).length;
 
             this.chartConfigs.polar.data.datasets[0].data = [
                 evenSteps,
@@ -446,50 +487,93 @@ export class AdvancedVisualization {
     }
 
     /**
-     * Обновление тепловой карты
-     * @param {Object} sequence - Данные последовательности
+     * Обновление диаграммы и таблицы решета вычетов
+     * @param {Object} result - Результат ResidueSieve.compute
      */
-    updateHeatmapChart(sequence) {
-        if (!this.charts.heatmap) return;
+    updateSieve(result) {
+        this.sieveResult = result;
+
+        if (this.charts.sieve) {
+            const { data } = this.chartConfigs.sieve;
+            data.labels = result.levels.map(level => level.step);
+            data.datasets[0].data = result.levels.map(level => level.density);
+            data.datasets[1].data = result.levels.map(level => level.estimate);
+            // Нулевые столбцы не отображаются на логарифмической шкале
+            data.datasets[2].data = result.levels.map(level => level.stoppedFraction || null);
+            this.charts.sieve.update('active');
+        }
 
-        try {
-            const data = sequence.sequence.map((value, index) => ({
-                x: index,
-                y: value
-            }));
+        const summary = document.getElementById('sieveSummary');
+        if (summary) {
+            summary.textContent = `Модуль 2^${result.k} = ${result.modulus.toLocaleString()}: ` +
+                `выжило ${result.survivorCount.toLocaleString()} классов ` +
+                `(${(result.density * 100).toFixed(3)}%, оценка ${(result.estimate * 100).toFixed(3)}%)`;
+        }
 
-            this.chartConfigs.heatmap.data.datasets[0].data = data;
-            this.charts.heatmap.update('active');
-        } catch (error) {
-            console.error('❌ Ошибка обновления тепловой карты:', error);
+        const tableBody = document.getElementById('sieveTableBody');
+        if (tableBody) {
+            tableBody.innerHTML = result.levels.map((level, index) => `
+                <tr class="border-b border-secondary/10 hover:bg-secondary/10 cursor-pointer" data-level="${index}">
+                    <td class="py-1 px-2">${level.step}</td>
+                    <td class="py-1 px-2">${level.stopped.toLocaleString()}</td>
+                    <td class="py-1 px-2">${level.survivors.toLocaleString()}</td>
+                    <td class="py-1 px-2">${(level.density * 100).toFixed(3)}%</td>
+                    <td class="py-1 px-2">${(level.estimate * 100).toFixed(3)}%</td>
+                </tr>
+            `).join('');
+
+            tableBody.querySelectorAll('tr').forEach(row => {
+                row.addEventListener('click', () => this.selectSieveLevel(Number(row.dataset.level)));
+            });
         }
+
+        this.selectSieveLevel(null);
     }
 
     /**
-     * Обновление древовидной диаграммы
-     * @param {Object} sequence - Данные последовательности
+     * Показ классов вычетов выбранного шага решета
+     * @param {number|null} index - Индекс шага в result.levels; null - выжившие классы mod 2^k
+     */
+    selectSieveLevel(index) {
+        const result = this.sieveResult;
+        const title = document.getElementById('sieveClassesTitle');
+        const list = document.getElementById('sieveClassesList');
+        if (!result || !title || !list) return;
+
+        let residues;
+        let total;
+        if (index === null) {
+            title.textContent = `Выжившие классы mod 2^${result.k} (время остановки > ${result.k})`;
+            residues = Array.from(result.survivors.slice(0, 64));
+            total = result.survivorCount;
+        } else {
+            const level = result.levels[index];
+            title.textContent = `Классы mod 2^${level.step} с временем остановки ${level.step}`;
+            residues = level.samples;
+            total = level.stopped;
+        }
+
+        document.querySelectorAll('#sieveTableBody tr').forEach(row => {
+            row.classList.toggle('bg-primary/20', Number(row.dataset.level) === index);
+        });
+
+        list.innerHTML = residues.length === 0
+            ? '<span class="text-text-secondary">Нет классов</span>'
+            : residues.map(residue => `<span class="px-2 py-1 bg-background rounded">${residue}</span>`).join('') +
+              (total > residues.length
+                  ? `<span class="px-2 py-1 text-text-secondary">… всего ${total.toLocaleString()}</span>`
+                  : '');
+    }
+
+    /**
+     * Обновление древовидной диаграммы: дерево прообразов начального числа последовательности
+     * @param {Object} sequence - Запись последовательности (startNumber и map сохраняют точность)
      */
     updateTreeChart(sequence) {
         if (!this.charts.tree) return;
 
         try {
-            const data = [];
-            const seq = sequence.sequence;
-            const chunkSize = Math.ceil(seq.length / 20);
-            
-            for (let i = 0; i < 20; i++) {
-                const start = i * chunkSize;
-                const end = Math.min(start + chunkSize, seq.length);
-                const chunk = seq.slice(start, end);
-                const avgValue = chunk.reduce((a, b) => a + b, 0) / chunk.length;
-                const maxInChunk = Math.max(...chunk);
-                
-                data.push({
-                    x: i,
-                    y: avgValue,
-                    r: Math.min(maxInChunk / 100, 25)
-                });
-            }
+            const data = this.generateTreeData(sequence.startNumber, sequence.map);
 
             this.chartConfigs.tree.data.datasets[0].data = data;
             this.charts.tree.update('active');
@@ -498,6 +582,82 @@ export class AdvancedVisualization {
         }
     }
 
+    /**
+     * Обновление растра двоичной трассы: строки - шаги, столбцы - биты (младший справа)
+     * @param {Object} sequence - Данные последовательности с точными значениями
+     */
+    updateBinaryTrace(sequence) {
+        const canvas = document.getElementById('binaryTraceCanvas');
+        const info = document.getElementById('binaryTraceInfo');
+        if (!canvas) return;
+
+        let trace;
+        try {
+            trace = CollatzAlgorithm.getBinaryTrace(sequence.sequence.slice(0, MAX_TRACE_ROWS));
+        } catch (error) {
+            this.binaryTrace = null;
+            canvas.width = 0;
+            canvas.height = 0;
+            if (info) info.textContent = error.message;
+            return;
+        }
+
+        const columns = Math.min(MAX_TRACE_BITS, Math.max(1, ...trace.map(step => step.bitLength)));
+        const availableWidth = canvas.parentElement ? canvas.parentElement.clientWidth : 0;
+        const cellWidth = Math.max(1, Math.min(MAX_TRACE_CELL, Math.floor(availableWidth / columns)));
+        const cellHeight = Math.max(1, Math.min(MAX_TRACE_CELL, cellWidth));
+
+        canvas.width = columns * cellWidth;
+        canvas.height = trace.length * cellHeight;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = TRACE_COLORS.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        trace.forEach((step, row) => {
+            const { binary, bitLength, trailingZeros } = step;
+            const y = row * cellHeight;
+            // Младший бит в правом столбце; биты старше MAX_TRACE_BITS не выводятся
+            for (let bit = 0; bit < Math.min(bitLength, columns); bit++) {
+                const digit = binary[binary.length - 1 - bit];
+                ctx.fillStyle = digit === '1'
+                    ? TRACE_COLORS.one
+                    : bit < trailingZeros ? TRACE_COLORS.trailingZero : TRACE_COLORS.zero;
+                ctx.fillRect((columns - 1 - bit) * cellWidth, y, cellWidth, cellHeight);
+            }
+        });
+
+        this.binaryTrace = trace;
+        this.binaryTraceCell = { width: cellWidth, height: cellHeight };
+
+        if (info) {
+            const truncated = sequence.sequence.length > MAX_TRACE_ROWS
+                ? ` (показаны первые ${MAX_TRACE_ROWS} из ${sequence.sequence.length})`
+                : '';
+            info.textContent = `Шагов: ${trace.length}${truncated}, наибольшая длина: ${columns} бит. ` +
+                'Наведите курсор на строку, чтобы увидеть значение шага';
+        }
+    }
+
+    /**
+     * Показ значения шага двоичной трассы под курсором
+     * @param {MouseEvent} event - Событие мыши на растре
+     */
+    showBinaryTraceRow(event) {
+        const info = document.getElementById('binaryTraceInfo');
+        if (!this.binaryTrace || !info) return;
+
+        // Canvas может быть растянут стилями: переводим координаты в пиксели растра
+        const rect = event.currentTarget.getBoundingClientRect();
+        const scale = rect.height > 0 ? event.currentTarget.height / rect.height : 1;
+        const row = Math.floor((event.clientY - rect.top) * scale / this.binaryTraceCell.height);
+        const step = this.binaryTrace[row];
+        if (!step) return;
+
+        info.textContent = `Шаг ${row}: ${step.value.toLocaleString()} = ${step.value < 0 ? '-' : ''}${step.binary}₂ ` +
+            `· длина ${step.bitLength} бит · хвостовых нулей ${step.trailingZeros} · единиц ${step.popcount}`;
+    }
+
     /**
      * Настройка обработчиков событий
      */
@@ -505,7 +665,7 @@ export class AdvancedVisualization {
         // Обработчики для кнопок экспорта
         const exportButtons = [
             'exportRadarBtn', 'exportPolarBtn', 
-            'exportHeatmapBtn', 'exportTreeBtn'
+            'exportSieveBtn', 'exportTreeBtn', 'exportBinaryTraceBtn'
         ];
 
         exportButtons.forEach(btnId => {
@@ -518,6 +678,12 @@ export class AdvancedVisualization {
             }
         });
 
+        // Значение шага двоичной трассы под курсором
+        const traceCanvas = document.getElementById('binaryTraceCanvas');
+        if (traceCanvas) {
+            traceCanvas.addEventListener('mousemove', (e) => this.showBinaryTraceRow(e));
+        }
+
         // Обработчик изменения размера окна
         window.addEventListener('resize', () => {
             this.handleResize();
@@ -532,8 +698,9 @@ export class AdvancedVisualization {
         const chartMap = {
             'exportRadarBtn': 'radarChart',
             'exportPolarBtn': 'polarChart',
-            'exportHeatmapBtn': 'heatmapChart',
-            'exportTreeBtn': 'treeChart'
+            'exportSieveBtn': 'sieveChart',
+            'exportTreeBtn': 'treeChart',
+            'exportBinaryTraceBtn': 'binaryTraceCanvas'
         };
 
         const chartId = chartMap[buttonId];
@@ -581,7 +748,7 @@ export class AdvancedVisualization {
         const loadingElements = [
             'radarChartLoading',
             'polarChartLoading',
-            'heatmapChartLoading',
+            'sieveChartLoading',
             'treeChartLoading'
         ];
 
@@ -8,148 +8,926 @@
  * - Если n нечетное, умножить на 3 и добавить 1
  * 
  * Последовательность: n → n/2 (если n четное) или n → 3n + 1 (если n нечетное)
+ *
+ * Все методы принимают необязательный параметр options.map - обобщенное отображение
+ * qn+r с делителем d (см. CollatzMap). По умолчанию используется 3n+1.
+ * Каждая траектория завершается типизированным исходом (см. TrajectoryOutcome):
+ * достижение 1, вход в цикл, подозрение на расходимость (превышена граница роста)
+ * или исчерпание лимита шагов.
+ *
+ * Помимо полной траектории поддерживаются два сокращенных представления
+ * (см. SequenceMode): ускоренное отображение Терраса T(n) = (3n+1)/2 для нечетных n
+ * и отображение Сиракуз, в котором перечисляются только нечетные члены.
+ *
+ * Числа до Number.MAX_SAFE_INTEGER обрабатываются как number. Если начальное число
+ * передано как BigInt или траектория выходит за пределы 2^53, вся последовательность
+ * вычисляется в BigInt, чтобы значения оставались точными.
+ *
+ * Для траекторий огромных чисел есть ленивый обход (iterate) и сводка без хранения
+ * значений (summarizeTrajectory, см. StatisticsAccumulator).
+ *
+ * Начальное число может быть отрицательным. На отрицательных целых 3n+1 имеет три
+ * известных цикла (см. KNOWN_CYCLES), и цикл траектории опознается по ним.
+ *
+ * Начальным значением может быть и дробь a/b (Rational) со знаменателем, взаимно
+ * простым с d: траектория считается в точной рациональной арифметике, а статистика
+ * и исходы имеют тот же вид, что и для целых чисел.
  */
 
+import { BigMath } from './bigMath.js';
+import { CollatzMap } from './collatzMap.js';
+import { Rational } from './rational.js';
+import { SweepEngine } from './sweepEngine.js';
+import { StatisticsAccumulator } from './statisticsAccumulator.js';
+import { JumpTable, DEFAULT_JUMP_BITS } from './jumpTable.js';
+
+// Граница роста по умолчанию: траектория, выросшая на 4096 бит сверх длины
+// начального числа, считается расходящейся (см. growthLimitBits)
+const DEFAULT_MAX_BITS = 4096;
+const DEFAULT_MAX_ITERATIONS = 1000000;
+
+// Ограничение размера дерева прообразов по умолчанию
+const DEFAULT_MAX_TREE_NODES = 100000;
+
+// Хвосты траекторий 3n+1 для значений меньше границы (см. generateSequenceOptimized)
+const TAIL_CACHE_LIMIT = 10000;
+const tailCache = new Map();
+
+/**
+ * Известные циклы 3n+1 на отрицательных целых
+ * Цикл опознается по нечетному члену representative, который есть в нем в любом
+ * режиме представления; length - длина цикла полной траектории.
+ */
+export const KNOWN_CYCLES = Object.freeze([
+    Object.freeze({ label: 'цикл (−1)', representative: -1, length: 2 }),
+    Object.freeze({ label: 'цикл (−5, −7, −10)', representative: -5, length: 5 }),
+    Object.freeze({ label: 'цикл через −17', representative: -17, length: 18 })
+]);
+
+/**
+ * Типы исхода траектории
+ */
+export const TrajectoryOutcome = Object.freeze({
+    CONVERGED: 'converged',
+    CYCLE: 'cycle',
+    DIVERGENT: 'divergent',
+    EXHAUSTED: 'exhausted'
+});
+
+// Поиск повторяющихся паттернов: наибольшая длина паттерна и окно просмотра в конце траектории
+const MAX_PATTERN_LENGTH = 10;
+const PATTERN_SCAN_WINDOW = 2000;
+
+/**
+ * Режимы представления траектории
+ */
+export const SequenceMode = Object.freeze({
+    STANDARD: 'standard',
+    SHORTCUT: 'shortcut',
+    SYRACUSE: 'syracuse'
+});
+
+/**
+ * Краткие подписи режимов для легенд и таблиц
+ */
+export const SequenceModeLabels = Object.freeze({
+    standard: 'полная',
+    shortcut: 'ускоренная',
+    syracuse: 'Сиракузы'
+});
+
 export class CollatzAlgorithm {
     
     /**
-     * Генерирует последовательность 3n+1 для заданного числа
-     * @param {number} startNumber - Начальное число
-     * @returns {Array<number>} Массив чисел последовательности
+     * Генерирует последовательность для заданного числа
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Object} options - Параметры (см. generateTrajectory)
+     * @returns {Array<number>|Array<bigint>} Массив чисел последовательности
+     * (BigInt, если начальное число BigInt или траектория выходит за пределы 2^53).
+     * Если траектория вошла в цикл, последним элементом будет повторившееся значение.
+     */
+    static generateSequence(startNumber, options = {}) {
+        return this.generateTrajectory(startNumber, options).sequence;
+    }
+
+    /**
+     * Генерирует траекторию вместе с ее исходом
+     * @param {number|bigint|Rational} startNumber - Начальное число или дробь
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {number} options.maxIterations - Максимальное количество шагов
+     * @param {number} options.maxBits - Допустимый рост в битах сверх длины начального числа
+     * (защита от расходящихся траекторий)
+     * @param {string} options.mode - Режим представления (SequenceMode, по умолчанию standard)
+     * @returns {Object} { sequence, outcome }, где outcome - исход траектории:
+     * { type, steps } и, в зависимости от типа, cycle, maxBits (граница роста в битах) или maxIterations.
+     * Количество шагов и цикл указываются в выбранном режиме.
+     */
+    static generateTrajectory(startNumber, options = {}) {
+        this.validateStartNumber(startNumber);
+
+        const map = CollatzMap.from(options.map);
+        const maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+        const maxBits = this.growthLimitBits(startNumber, options.maxBits);
+
+        // Если значения вышли за пределы точности number - пересчитываем в BigInt
+        const trajectory = startNumber instanceof Rational
+            ? this.iterateRationalMap(startNumber, map, maxIterations, maxBits)
+            : this.iterateMap(startNumber, map, maxIterations, maxBits)
+                || this.iterateMap(BigInt(startNumber), map, maxIterations, maxBits);
+
+        const result = this.applyMode(trajectory, options.mode, map);
+        if (result.outcome.cycle) {
+            result.outcome.cycle.known = this.identifyCycle(result.outcome.cycle, map);
+        }
+        return result;
+    }
+
+    /**
+     * Опознает известный цикл (см. KNOWN_CYCLES)
+     * @param {Object} cycle - Цикл { members, ... } (см. detectCycle)
+     * @param {CollatzMap|Object} map - Отображение
+     * @returns {string|null} Название цикла или null, если цикл неизвестен
+     */
+    static identifyCycle(cycle, map) {
+        if (!CollatzMap.from(map).isStandard()) return null;
+
+        const members = new Set(cycle.members.map(value => value.toString()));
+        const known = KNOWN_CYCLES.find(item => members.has(String(item.representative)));
+        return known ? known.label : null;
+    }
+
+    /**
+     * Ленивый обход полной траектории
+     * Значения вычисляются по одному и не сохраняются, поэтому память не зависит
+     * от длины траектории. Значения совпадают с generateSequence в режиме standard,
+     * но в BigInt переводятся только значения после выхода за пределы 2^53.
+     * Исход траектории возвращается генератором (значение при done = true).
+     * Для отображений, отличных от 3n+1, и отрицательных чисел цикл заранее находится алгоритмом Брента
+     * (тоже без хранения значений), чтобы обход закончился на первом повторе.
+     * Траектория дроби строится целиком (см. iterateRationalMap) и затем перечисляется.
+     * @param {number|bigint|Rational} startNumber - Начальное число или дробь
+     * @param {Object} options - Параметры (map, maxIterations, maxBits - см. generateTrajectory)
+     * @yields {number|bigint|Rational} Значения траектории, начиная с startNumber
+     * @returns {Object} Исход траектории (см. generateTrajectory)
+     */
+    static *iterate(startNumber, options = {}) {
+        this.validateStartNumber(startNumber);
+
+        const map = CollatzMap.from(options.map);
+        const maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+        const maxBits = this.growthLimitBits(startNumber, options.maxBits);
+
+        if (startNumber instanceof Rational) {
+            const { sequence, outcome } = this.iterateRationalMap(startNumber, map, maxIterations, maxBits);
+            if (outcome.cycle) {
+                outcome.cycle.known = this.identifyCycle(outcome.cycle, map);
+            }
+            yield* sequence;
+            return outcome;
+        }
+        const limit = 2n ** BigInt(maxBits);
+        const isOne = value => value === 1 || value === 1n;
+
+        // Для 3n+1 на положительных числах нетривиальные циклы неизвестны - предварительный проход не нужен
+        const cycleBounds = (map.isStandard() && startNumber > 0) || isOne(startNumber)
+            ? null
+            : this.findCycleBounds(startNumber, map, maxIterations, maxBits);
+        const members = [];
+
+        let current = startNumber;
+        let steps = 0;
+        yield current;
+
+        while (!isOne(current)) {
+            if (cycleBounds && steps >= cycleBounds.entryIndex) {
+                if (steps === cycleBounds.entryIndex + cycleBounds.length) {
+                    const cycle = {
+                        entryIndex: cycleBounds.entryIndex,
+                        members,
+                        length: members.length,
+                        minElement: BigMath.min(members)
+                    };
+                    cycle.known = this.identifyCycle(cycle, map);
+                    return { type: TrajectoryOutcome.CYCLE, cycle, steps };
+                }
+                members.push(current);
+            }
+
+            if (steps >= maxIterations) {
+                return { type: TrajectoryOutcome.EXHAUSTED, maxIterations, steps };
+            }
+
+            current = this.stepValue(current, map);
+            steps++;
+            yield current;
+
+            if (BigMath.isBigInt(current) && BigMath.abs(current) > limit) {
+                return { type: TrajectoryOutcome.DIVERGENT, maxBits, steps };
+            }
+        }
+
+        return { type: TrajectoryOutcome.CONVERGED, steps };
+    }
+
+    /**
+     * Один шаг отображения с переходом в BigInt при потере точности number
+     * @param {number|bigint} value - Текущее значение
+     * @param {CollatzMap} map - Отображение
+     * @returns {number|bigint} Следующее значение
+     */
+    static stepValue(value, map) {
+        const next = map.next(value);
+        if (BigMath.isBigInt(next) || Number.isSafeInteger(next)) {
+            return next;
+        }
+        return map.next(BigInt(value));
+    }
+
+    /**
+     * Находит цикл траектории алгоритмом Брента без хранения значений
+     * Обход прекращается при достижении 1, выходе за границу роста или лимит шагов.
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {CollatzMap} map - Отображение
+     * @param {number} maxIterations - Максимальное количество шагов
+     * @param {number} maxBits - Граница роста в битах
+     * @returns {Object|null} { entryIndex, length } - индекс входа в цикл и его длина,
+     * или null, если до первого повтора траектория заканчивается иначе
+     */
+    static findCycleBounds(startNumber, map, maxIterations, maxBits) {
+        const limit = 2n ** BigInt(maxBits);
+        const same = (a, b) => BigMath.toBigInt(a) === BigMath.toBigInt(b);
+
+        // Поиск длины цикла: заяц уходит вперед, черепаха переносится на степенях двойки
+        let power = 1;
+        let length = 1;
+        let tortoise = startNumber;
+        let hare = this.stepValue(startNumber, map);
+        let steps = 1;
+
+        while (!same(tortoise, hare)) {
+            if (hare === 1 || hare === 1n || steps > 2 * maxIterations ||
+                (BigMath.isBigInt(hare) && BigMath.abs(hare) > limit)) {
+                return null;
+            }
+            if (power === length) {
+                tortoise = hare;
+                power *= 2;
+                length = 0;
+            }
+            hare = this.stepValue(hare, map);
+            length++;
+            steps++;
+        }
+
+        // Поиск входа: два указателя на расстоянии длины цикла
+        tortoise = startNumber;
+        hare = startNumber;
+        for (let i = 0; i < length; i++) {
+            hare = this.stepValue(hare, map);
+        }
+
+        let entryIndex = 0;
+        while (!same(tortoise, hare)) {
+            tortoise = this.stepValue(tortoise, map);
+            hare = this.stepValue(hare, map);
+            entryIndex++;
+        }
+
+        return entryIndex + length > maxIterations ? null : { entryIndex, length };
+    }
+
+    /**
+     * Сводка траектории за один проход без хранения значений
+     * Траектории 3n+1 положительных BigInt проходятся блоками по k шагов по таблице
+     * переходов (см. JumpTable); если траектория может исчерпать лимит шагов или выйти
+     * за границу роста, используется обычный обход.
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Object} options - Параметры (map, maxIterations, maxBits - см. iterate)
+     * @param {number} options.jumpBits - Размер таблицы переходов k (0 - без таблицы)
+     * @returns {Object} { outcome, statistics } - те же поля, что у generateTrajectory
+     * и calculateStatistics для режима standard
+     */
+    static summarizeTrajectory(startNumber, options = {}) {
+        const map = CollatzMap.from(options.map);
+        if (options.jumpBits !== 0 && map.isStandard() && BigMath.isBigInt(startNumber) && startNumber > 0n) {
+            const statistics = JumpTable.forBits(options.jumpBits || DEFAULT_JUMP_BITS).summarize(startNumber, {
+                maxIterations: options.maxIterations || DEFAULT_MAX_ITERATIONS,
+                maxBits: this.growthLimitBits(startNumber, options.maxBits)
+            });
+            if (statistics) {
+                return {
+                    outcome: { type: TrajectoryOutcome.CONVERGED, steps: statistics.steps },
+                    statistics
+                };
+            }
+        }
+
+        const accumulator = new StatisticsAccumulator({ map });
+        const iterator = this.iterate(startNumber, { ...options, map });
+
+        let result = iterator.next();
+        while (!result.done) {
+            accumulator.push(result.value);
+            result = iterator.next();
+        }
+
+        const outcome = result.value;
+        return {
+            outcome,
+            statistics: {
+                ...accumulator.getStatistics(),
+                cycle: outcome.cycle || null,
+                ...accumulator.getMetrics()
+            }
+        };
+    }
+
+    /**
+     * Окно значений полной траектории без построения всей последовательности
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {number} offset - Номер первого шага окна
+     * @param {number} count - Количество значений
+     * @param {Object} options - Параметры (см. iterate)
+     * @returns {Array<number|bigint>} Значения шагов offset..offset + count - 1
+     * (меньше, если траектория короче)
+     */
+    static getTrajectoryWindow(startNumber, offset, count, options = {}) {
+        const window = [];
+        let index = 0;
+
+        for (const value of this.iterate(startNumber, options)) {
+            if (index >= offset) {
+                window.push(value);
+                if (window.length >= count) break;
+            }
+            index++;
+        }
+
+        return window;
+    }
+
+    /**
+     * Переводит полную траекторию в выбранный режим представления
+     * В режиме shortcut опускаются значения qn+r, за которыми следует деление
+     * (для 3n+1 это шаг n → (3n+1)/2), в режиме syracuse остаются только члены,
+     * не кратные d. Последний член незавершенной траектории сохраняется всегда,
+     * а для цикла последовательность по-прежнему заканчивается повтором.
+     * @param {Object} trajectory - { sequence, outcome } полной траектории
+     * @param {string} mode - Режим представления
+     * @param {CollatzMap|Object} map - Отображение
+     * @returns {Object} { sequence, outcome } в выбранном режиме
+     */
+    static applyMode(trajectory, mode, map) {
+        if (!mode || mode === SequenceMode.STANDARD) {
+            return trajectory;
+        }
+        if (!Object.values(SequenceMode).includes(mode)) {
+            throw new Error(`Неизвестный режим последовательности: ${mode}`);
+        }
+
+        map = CollatzMap.from(map);
+        const { outcome } = trajectory;
+        const isCycle = outcome.type === TrajectoryOutcome.CYCLE;
+        // Повтор в конце цикла восстанавливается отдельно
+        const body = isCycle ? trajectory.sequence.slice(0, -1) : trajectory.sequence;
+
+        const sequence = [];
+        const indices = [];
+        body.forEach((value, index) => {
+            const isLast = !isCycle && index === body.length - 1;
+            const keep = mode === SequenceMode.SYRACUSE
+                ? !map.isDivisible(value)
+                : index === 0 || map.isDivisible(body[index - 1]) || !map.isDivisible(value);
+
+            if (keep || isLast) {
+                sequence.push(value);
+                indices.push(index);
+            }
+        });
+
+        const result = { ...outcome, steps: sequence.length - 1 };
+        if (isCycle) {
+            // Замыкаем цикл первым сохраненным членом, лежащим в цикле
+            const entry = indices.findIndex(index => index >= outcome.cycle.entryIndex);
+            sequence.push(sequence[entry]);
+            result.steps = sequence.length - 1;
+            result.cycle = this.detectCycle(sequence);
+        }
+
+        return { sequence, outcome: result };
+    }
+
+    /**
+     * Сопоставляет членам последовательности номера шагов полной траектории
+     * Нужен, чтобы сокращенные представления одного числа можно было наложить
+     * на полную траекторию. Траектория воспроизводится от начального числа.
+     * @param {Array<number|bigint>} sequence - Последовательность в любом режиме
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {CollatzMap|Object} map - Отображение
+     * @returns {Array<number>} Номер шага полной траектории для каждого члена
      */
-    static generateSequence(startNumber) {
-        if (!Number.isInteger(startNumber) || startNumber < 1) {
-            throw new Error('Начальное число должно быть положительным целым числом');
+    static alignToStandardSteps(sequence, startNumber, map) {
+        map = CollatzMap.from(map);
+        const indices = [];
+        let current = BigMath.like(startNumber, sequence[0]);
+        let step = 0;
+
+        const isSame = (a, b) => (a instanceof Rational ? a.equals(b) : a === b);
+        for (const value of sequence) {
+            while (!isSame(current, value)) {
+                if (step >= DEFAULT_MAX_ITERATIONS) {
+                    throw new Error('Последовательность не соответствует отображению');
+                }
+                current = map.next(current);
+                step++;
+            }
+            indices.push(step);
         }
 
+        return indices;
+    }
+
+    /**
+     * Итерирует отображение до достижения 1, повторения значения или исчерпания лимита
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {CollatzMap} map - Отображение
+     * @param {number} maxIterations - Максимальное количество шагов
+     * @param {number} maxBits - Граница роста в битах
+     * @returns {Object|null} { sequence, outcome } или null,
+     * если при вычислениях в number была потеряна точность
+     */
+    static iterateMap(startNumber, map, maxIterations, maxBits) {
+        const isBig = BigMath.isBigInt(startNumber);
+        const one = BigMath.like(1, startNumber);
+        const limit = 2n ** BigInt(maxBits);
         const sequence = [startNumber];
+        const visited = new Set(sequence);
         let current = startNumber;
-        const maxIterations = 1000000; // Защита от бесконечных циклов
-        let iterations = 0;
+        let outcome = null;
 
-        while (current !== 1 && iterations < maxIterations) {
-            if (current % 2 === 0) {
-                // Четное число - делим на 2
-                current = current / 2;
-            } else {
-                // Нечетное число - умножаем на 3 и добавляем 1
-                current = 3 * current + 1;
+        while (current !== one) {
+            if (sequence.length > maxIterations) {
+                outcome = { type: TrajectoryOutcome.EXHAUSTED, maxIterations };
+                break;
             }
-            
+
+            current = map.next(current);
+
+            if (!isBig && !Number.isSafeInteger(current)) {
+                return null;
+            }
+
             sequence.push(current);
-            iterations++;
+
+            // Повторное значение означает вход в цикл
+            if (visited.has(current)) {
+                outcome = { type: TrajectoryOutcome.CYCLE, cycle: this.detectCycle(sequence) };
+                break;
+            }
+            visited.add(current);
+
+            if (isBig && BigMath.abs(current) > limit) {
+                outcome = { type: TrajectoryOutcome.DIVERGENT, maxBits };
+                break;
+            }
         }
 
-        if (iterations >= maxIterations) {
-            console.warn(`Достигнуто максимальное количество итераций для числа ${startNumber}`);
+        return {
+            sequence,
+            outcome: {
+                type: TrajectoryOutcome.CONVERGED,
+                ...outcome,
+                steps: sequence.length - 1
+            }
+        };
+    }
+
+    /**
+     * Итерирует отображение на дробях в точной арифметике
+     * Знаменатель не растет (шаг qx+r может только сократить его), поэтому граница
+     * роста проверяется по числителю. Повторы ищутся по записи дроби.
+     * @param {Rational} startNumber - Начальная дробь
+     * @param {CollatzMap} map - Отображение
+     * @param {number} maxIterations - Максимальное количество шагов
+     * @param {number} maxBits - Граница роста числителя в битах
+     * @returns {Object} { sequence, outcome } - значения Rational и исход траектории
+     */
+    static iterateRationalMap(startNumber, map, maxIterations, maxBits) {
+        if (!map.acceptsDenominator(startNumber)) {
+            throw new Error(`Знаменатель дроби должен быть взаимно прост с модулем отображения ${map.modulus}`);
         }
 
-        return sequence;
+        const limit = 2n ** BigInt(maxBits);
+        const sequence = [startNumber];
+        const visited = new Set([startNumber.toString()]);
+        let current = startNumber;
+        let outcome = null;
+
+        while (!current.equals(1)) {
+            if (sequence.length > maxIterations) {
+                outcome = { type: TrajectoryOutcome.EXHAUSTED, maxIterations };
+                break;
+            }
+
+            current = map.next(current);
+            sequence.push(current);
+
+            const key = current.toString();
+            if (visited.has(key)) {
+                outcome = { type: TrajectoryOutcome.CYCLE, cycle: this.detectCycle(sequence) };
+                break;
+            }
+            visited.add(key);
+
+            if (BigMath.abs(current.numerator) > limit) {
+                outcome = { type: TrajectoryOutcome.DIVERGENT, maxBits };
+                break;
+            }
+        }
+
+        return {
+            sequence,
+            outcome: {
+                type: TrajectoryOutcome.CONVERGED,
+                ...outcome,
+                steps: sequence.length - 1
+            }
+        };
     }
 
     /**
-     * Генерирует последовательность с оптимизацией для больших чисел
-     * @param {number} startNumber - Начальное число
-     * @returns {Array<number>} Массив чисел последовательности
+     * Определяет исход по уже построенной последовательности
+     * Используется для последовательностей, полученных без generateTrajectory
+     * (например, при импорте). Незавершенная траектория за границей роста
+     * считается расходящейся, иначе - исчерпавшей лимит шагов.
+     * @param {Array<number|bigint>} sequence - Последовательность чисел
+     * @param {Object} options - Параметры (options.maxBits - допустимый рост в битах, см. growthLimitBits)
+     * @returns {Object} Исход траектории
      */
-    static generateSequenceOptimized(startNumber) {
-        if (!Number.isInteger(startNumber) || startNumber < 1) {
-            throw new Error('Начальное число должно быть положительным целым числом');
+    static classifyOutcome(sequence, options = {}) {
+        const steps = sequence.length - 1;
+
+        if (this.reachesOne(sequence)) {
+            return { type: TrajectoryOutcome.CONVERGED, steps };
         }
 
+        const cycle = this.detectCycle(sequence);
+        if (cycle) {
+            return { type: TrajectoryOutcome.CYCLE, cycle, steps };
+        }
+
+        const maxBits = this.growthLimitBits(sequence[0], options.maxBits);
+        const last = sequence[steps] instanceof Rational
+            ? sequence[steps].numerator
+            : BigMath.toBigInt(sequence[steps]);
+        if (BigMath.abs(last) > 2n ** BigInt(maxBits)) {
+            return { type: TrajectoryOutcome.DIVERGENT, maxBits, steps };
+        }
+
+        return { type: TrajectoryOutcome.EXHAUSTED, maxIterations: steps, steps };
+    }
+
+    /**
+     * Граница роста траектории в битах: длина начального числа (у дроби - числителя)
+     * плюс допустимый рост, поэтому огромные сходящиеся начала (например, 2^5000)
+     * не считаются расходящимися
+     * @param {number|bigint|Rational} startNumber - Начальное число или дробь
+     * @param {number} growthBits - Допустимый рост в битах (по умолчанию DEFAULT_MAX_BITS)
+     * @returns {number} Граница роста в битах
+     */
+    static growthLimitBits(startNumber, growthBits = DEFAULT_MAX_BITS) {
+        const value = startNumber instanceof Rational ? startNumber.numerator : BigMath.toBigInt(startNumber);
+        return BigMath.abs(value).toString(2).length + growthBits;
+    }
+
+    /**
+     * Проверяет корректность начального числа
+     * Допускаются и отрицательные числа; 0 - неподвижная точка любого отображения
+     * @param {number|bigint|Rational} startNumber - Начальное число или дробь
+     */
+    static validateStartNumber(startNumber) {
+        if (startNumber instanceof Rational) {
+            if (startNumber.numerator === 0n) {
+                throw new Error('Начальная дробь должна быть ненулевой');
+            }
+            return;
+        }
+
+        if (!BigMath.isInteger(startNumber) || startNumber === BigMath.like(0, startNumber)) {
+            throw new Error('Начальное число должно быть ненулевым целым числом');
+        }
+
+        if (!BigMath.isBigInt(startNumber) && !Number.isSafeInteger(startNumber)) {
+            throw new Error('Числа больше 2^53 необходимо передавать как BigInt');
+        }
+    }
+
+    /**
+     * Находит цикл, в который вошла последовательность
+     * Последовательность, построенная generateSequence, заканчивается повторным
+     * значением, если траектория вошла в цикл. Достижение 1 циклом не считается.
+     * @param {Array<number|bigint>} sequence - Последовательность чисел
+     * @returns {Object|null} { entryIndex, members, length, minElement } или null
+     */
+    static detectCycle(sequence) {
+        const last = sequence[sequence.length - 1];
+        const entryIndex = last instanceof Rational
+            ? sequence.findIndex(value => last.equals(value))
+            : sequence.indexOf(last);
+
+        if (entryIndex === sequence.length - 1) {
+            return null;
+        }
+
+        const members = sequence.slice(entryIndex, -1);
+        return {
+            entryIndex,
+            members,
+            length: members.length,
+            minElement: last instanceof Rational ? Rational.min(members) : BigMath.min(members)
+        };
+    }
+
+    /**
+     * Строит дерево прообразов (обратное дерево Коллатца) с корнем root
+     * В дерево входят все числа, которые достигают root не более чем за depth шагов:
+     * потомки вершины n - это 2n и (n − 1) / 3, если оно целое и нечетное
+     * (для отображения qn+r с делителем d - d·n и (n − r) / q, не кратное d).
+     * Уже встречавшиеся значения повторно не добавляются, поэтому цикл 1 → 4 → 2 → 1
+     * не порождает бесконечной ветви.
+     * @param {number|bigint} root - Корень дерева
+     * @param {number} depth - Глубина дерева (количество обратных шагов)
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {number} options.maxNodes - Максимальное количество вершин
+     * @returns {Object} { root, depth, nodes, edges, levels, truncated, stats }:
+     * nodes - вершины { value, depth, parity, parent, children, branching },
+     * edges - ребра { from, to, step } в направлении прямого шага (from → to),
+     * levels - индексы вершин по уровням, truncated - дерево обрезано по maxNodes
+     */
+    static buildInverseTree(root, depth, options = {}) {
+        this.validateStartNumber(root);
+        if (!Number.isInteger(depth) || depth < 0) {
+            throw new Error('Глубина дерева должна быть неотрицательным целым числом');
+        }
+
+        const map = CollatzMap.from(options.map);
+        const maxNodes = options.maxNodes || DEFAULT_MAX_TREE_NODES;
+
+        // Оценка наибольшей вершины дерева - root·growth^depth (для qn+r growth = d);
+        // если она не помещается в number, строим в BigInt
+        const largest = BigMath.toBigInt(root) * BigInt(map.preimageGrowth) ** BigInt(depth);
+        const rootValue = BigMath.isSafe(largest) ? BigMath.toNumber(root) : BigMath.toBigInt(root);
+
+        const createNode = (value, level, parent) => ({
+            value,
+            depth: level,
+            parity: BigMath.isEven(value) ? 'even' : 'odd',
+            parent,
+            children: [],
+            branching: 0
+        });
+
+        const nodes = [createNode(rootValue, 0, null)];
+        const edges = [];
+        const levels = [[0]];
+        const seen = new Set([rootValue]);
+        let truncated = false;
+
+        for (let level = 1; level <= depth && !truncated; level++) {
+            const current = [];
+
+            for (const parentIndex of levels[level - 1]) {
+                const parent = nodes[parentIndex];
+
+                for (const { value, step } of map.predecessors(parent.value)) {
+                    if (seen.has(value)) continue;
+                    if (nodes.length >= maxNodes) {
+                        truncated = true;
+                        break;
+                    }
+
+                    seen.add(value);
+                    const index = nodes.length;
+                    nodes.push(createNode(value, level, parentIndex));
+                    parent.children.push(index);
+                    parent.branching = parent.children.length;
+                    edges.push({ from: index, to: parentIndex, step });
+                    current.push(index);
+                }
+
+                if (truncated) break;
+            }
+
+            levels.push(current);
+        }
+
+        return {
+            root: rootValue,
+            depth,
+            nodes,
+            edges,
+            levels,
+            truncated,
+            stats: {
+                nodeCount: nodes.length,
+                edgeCount: edges.length,
+                leafCount: nodes.filter(node => node.branching === 0).length,
+                branchPoints: nodes.filter(node => node.branching > 1).length,
+                levelSizes: levels.map(level => level.length)
+            }
+        };
+    }
+
+    /**
+     * Находит все числа, которые достигают m не более чем за k шагов
+     * @param {number|bigint} m - Целевое число
+     * @param {number} k - Максимальное количество шагов
+     * @param {Object} options - Параметры (см. buildInverseTree)
+     * @returns {Array<Object>} Массив { value, steps }, отсортированный по возрастанию значения
+     */
+    static findNumbersReaching(m, k, options = {}) {
+        const tree = this.buildInverseTree(m, k, options);
+
+        return tree.nodes
+            .slice(1)
+            .map(node => ({ value: node.value, steps: node.depth }))
+            .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    }
+
+    /**
+     * Находит точку слияния траекторий - первое общее значение
+     * Отображение детерминировано, поэтому после первого общего значения траектории
+     * совпадают: это наименьший общий предок начальных чисел в дереве прообразов.
+     * Траектории должны быть построены одним отображением в одном режиме.
+     * @param {Array<Array<number|bigint>>} sequences - Последовательности (не меньше двух)
+     * @returns {Object|null} { value, steps, sharedTailLength }: steps - номер шага точки
+     * слияния в каждой последовательности, sharedTailLength - число общих значений
+     * начиная с точки слияния; null, если общих значений нет
+     */
+    static findMergePoint(sequences) {
+        if (!Array.isArray(sequences) || sequences.length < 2) {
+            throw new Error('Для поиска точки слияния нужно не меньше двух последовательностей');
+        }
+
+        // Значения сравниваются по строке: одно и то же число может быть number или BigInt
+        const indexes = sequences.slice(1).map(sequence => {
+            const index = new Map();
+            sequence.forEach((value, step) => {
+                const key = value.toString();
+                if (!index.has(key)) index.set(key, step);
+            });
+            return index;
+        });
+
+        const [first] = sequences;
+        for (let step = 0; step < first.length; step++) {
+            const key = first[step].toString();
+            if (!indexes.every(index => index.has(key))) continue;
+
+            const steps = [step, ...indexes.map(index => index.get(key))];
+            return {
+                value: first[step],
+                steps,
+                sharedTailLength: Math.min(...sequences.map((sequence, i) => sequence.length - steps[i]))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Генерирует последовательность с оптимизацией для больших чисел
+     * Для стандартного отображения хвосты траекторий небольших чисел кэшируются
+     * между вызовами: как только траектория попадает в кэшированное значение,
+     * остаток последовательности берется из кэша.
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Object} options - Параметры (options.map - отображение)
+     * @returns {Array<number|bigint>} Массив чисел последовательности
+     */
+    static generateSequenceOptimized(startNumber, options = {}) {
+        this.validateStartNumber(startNumber);
+
+        const map = CollatzMap.from(options.map);
+        const isBig = BigMath.isBigInt(startNumber);
+        const useCache = !isBig && map.isStandard();
         const sequence = [startNumber];
+        const visited = new Set(sequence);
         let current = startNumber;
-        const maxIterations = 1000000;
+        const one = BigMath.like(1, startNumber);
+        const maxIterations = DEFAULT_MAX_ITERATIONS;
         let iterations = 0;
+        let reachedCache = false;
 
-        // Кэш для уже вычисленных значений
-        const cache = new Map();
-
-        while (current !== 1 && iterations < maxIterations) {
+        while (current !== one && iterations < maxIterations) {
             // Проверяем кэш
-            if (cache.has(current)) {
-                const cachedSequence = cache.get(current);
-                sequence.push(...cachedSequence);
+            if (useCache && tailCache.has(current)) {
+                sequence.push(...tailCache.get(current));
+                reachedCache = true;
                 break;
             }
 
-            const next = this.getNextNumber(current);
-            sequence.push(next);
-            
-            // Кэшируем промежуточные результаты
-            if (current < 10000) {
-                cache.set(current, [next]);
+            const next = this.getNextNumber(current, map);
+            if (!isBig && !Number.isSafeInteger(next)) {
+                return this.generateSequenceOptimized(BigInt(startNumber), options);
             }
+            sequence.push(next);
             
             current = next;
             iterations++;
+
+            if (visited.has(current)) {
+                break;
+            }
+            visited.add(current);
         }
 
         if (iterations >= maxIterations) {
             console.warn(`Достигнуто максимальное количество итераций для числа ${startNumber}`);
         }
 
+        // Кэшируем хвосты небольших значений завершенной траектории
+        if (useCache && (reachedCache || current === one)) {
+            for (let i = 0; i < sequence.length - 1; i++) {
+                const value = sequence[i];
+                if (value < TAIL_CACHE_LIMIT && !tailCache.has(value)) {
+                    tailCache.set(value, sequence.slice(i + 1));
+                }
+            }
+        }
+
         return sequence;
     }
 
     /**
      * Вычисляет следующее число в последовательности
-     * @param {number} n - Текущее число
-     * @returns {number} Следующее число
+     * @param {number|bigint} n - Текущее число
+     * @param {CollatzMap|Object} map - Отображение (по умолчанию 3n+1)
+     * @returns {number|bigint} Следующее число
      */
-    static getNextNumber(n) {
-        if (n % 2 === 0) {
-            return n / 2;
-        } else {
-            return 3 * n + 1;
-        }
+    static getNextNumber(n, map) {
+        return CollatzMap.from(map).next(n);
     }
 
     /**
      * Вычисляет статистику последовательности
-     * @param {Array<number>} sequence - Последовательность чисел
-     * @returns {Object} Объект со статистикой
+     * Значения maxValue, minValue, startNumber и endNumber сохраняют тип элементов
+     * последовательности (number или BigInt), производные величины всегда number.
+     * Метрики из литературы (см. calculateMetrics) добавляются в тот же объект.
+     * @param {Array<number|bigint>} sequence - Последовательность чисел
+     * @param {Object} options - Параметры (map, mode, startNumber - см. calculateMetrics)
+     * @returns {Object} Объект со статистикой (cycle - найденный цикл или null)
      */
-    static calculateStatistics(sequence) {
+    static calculateStatistics(sequence, options = {}) {
         if (!Array.isArray(sequence) || sequence.length === 0) {
             throw new Error('Последовательность должна быть непустым массивом');
         }
 
+        // Вся статистика считается за один проход (см. StatisticsAccumulator)
+        const accumulator = new StatisticsAccumulator({ map: options.map }).pushAll(sequence);
         const stats = {
-            length: sequence.length,
-            maxValue: Math.max(...sequence),
-            minValue: Math.min(...sequence),
-            steps: sequence.length - 1,
-            hasReachedOne: sequence[sequence.length - 1] === 1,
-            startNumber: sequence[0],
-            endNumber: sequence[sequence.length - 1],
-            averageValue: sequence.reduce((sum, num) => sum + num, 0) / sequence.length,
-            evenCount: sequence.filter(num => num % 2 === 0).length,
-            oddCount: sequence.filter(num => num % 2 === 1).length,
-            maxValueIndex: sequence.indexOf(Math.max(...sequence)),
-            peakToTroughRatio: 0,
-            complexity: 0
+            ...accumulator.getStatistics(),
+            cycle: this.detectCycle(sequence)
         };
 
-        // Вычисляем отношение пика к впадине
-        if (stats.minValue > 0) {
-            stats.peakToTroughRatio = stats.maxValue / stats.minValue;
-        }
+        const isStandardMode = !options.mode || options.mode === SequenceMode.STANDARD;
+        return Object.assign(
+            stats,
+            isStandardMode ? accumulator.getMetrics() : this.calculateMetrics(sequence, options)
+        );
+    }
 
-        // Вычисляем сложность (количество изменений направления)
-        let directionChanges = 0;
-        for (let i = 1; i < sequence.length - 1; i++) {
-            const prev = sequence[i - 1];
-            const curr = sequence[i];
-            const next = sequence[i + 1];
-            
-            if ((curr > prev && curr > next) || (curr < prev && curr < next)) {
-                directionChanges++;
-            }
-        }
-        stats.complexity = directionChanges;
+    /**
+     * Вычисляет стандартные метрики траектории
+     * Все величины считаются по шагам полной траектории, поэтому совпадают
+     * для любого режима представления одного и того же числа:
+     * - glide - число шагов до первого значения меньше начального;
+     * - stoppingTime - то же в шагах ускоренного отображения T(n) = (3n+1)/2;
+     * - totalStoppingTime - число шагов до 1 (null, если 1 не достигнута);
+     * - oddSteps / evenSteps - количество шагов qn+r и делений;
+     * - residue - остаток 2^E / (3^O · n) (для отображения qn+r с делителем d: d^E / (q^O · n),
+     *   для отображения по вычетам - произведение c_i / a_i по шагам, деленное на n);
+     * - gamma - сила траектории totalStoppingTime / ln n;
+     * - completeness - полнота O / E.
+     * @param {Array<number|bigint>} sequence - Последовательность чисел
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {string} options.mode - Режим, в котором построена последовательность
+     * @param {number|bigint} options.startNumber - Начальное число (нужно для сокращенных режимов)
+     * @returns {Object} Метрики траектории
+     */
+    static calculateMetrics(sequence, options = {}) {
+        const map = CollatzMap.from(options.map);
+        const isStandardMode = !options.mode || options.mode === SequenceMode.STANDARD;
+        const startNumber = options.startNumber ?? sequence[0];
+
+        // Для сокращенных режимов полная траектория обходится заново без сохранения
+        const full = isStandardMode
+            ? sequence
+            : this.iterate(startNumber, { map, maxIterations: options.maxIterations });
 
-        return stats;
+        return new StatisticsAccumulator({ map }).pushAll(full).getMetrics();
     }
 
     /**
@@ -158,34 +936,53 @@ export class CollatzAlgorithm {
      * @returns {boolean} true, если последовательность достигает 1
      */
     static reachesOne(sequence) {
-        return sequence[sequence.length - 1] === 1;
+        const last = sequence[sequence.length - 1];
+        if (last instanceof Rational) return last.equals(1);
+        return last === BigMath.like(1, last);
     }
 
     /**
      * Находит все числа в диапазоне, которые дают длинные последовательности
+     * Сами последовательности не сохраняются. Для стандартного отображения
+     * результаты читаются из таблицы SweepEngine.
      * @param {number} start - Начало диапазона
      * @param {number} end - Конец диапазона
      * @param {number} minLength - Минимальная длина последовательности
-     * @returns {Array<Object>} Массив объектов с информацией о числах
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение
+     * @param {Function} options.onProgress - Обработчик прогресса (done, total)
+     * @returns {Array<Object>} Массив { number, statistics: { length, steps, maxValue } },
+     * отсортированный по убыванию длины
      */
-    static findLongSequences(start, end, minLength = 100) {
+    static findLongSequences(start, end, minLength = 100, options = {}) {
+        const map = CollatzMap.from(options.map);
+        if (map.isStandard()) {
+            return new SweepEngine(end).runSync().findLongSequences(start, end, minLength);
+        }
+
         const results = [];
         
         for (let i = start; i <= end; i++) {
             try {
-                const sequence = this.generateSequence(i);
-                const stats = this.calculateStatistics(sequence);
+                const sequence = this.generateSequence(i, options);
                 
-                if (stats.length >= minLength) {
+                if (sequence.length >= minLength) {
                     results.push({
                         number: i,
-                        sequence: sequence,
-                        statistics: stats
+                        statistics: {
+                            length: sequence.length,
+                            steps: sequence.length - 1,
+                            maxValue: BigMath.max(sequence)
+                        }
                     });
                 }
             } catch (error) {
                 console.warn(`Ошибка при обработке числа ${i}:`, error);
             }
+
+            if (options.onProgress && (i - start) % 1000 === 999) {
+                options.onProgress(i - start + 1, end - start + 1);
+            }
         }
 
         // Сортируем по длине последовательности (по убыванию)
@@ -195,58 +992,202 @@ export class CollatzAlgorithm {
     /**
      * Анализирует паттерны в последовательности
      * @param {Array<number>} sequence - Последовательность чисел
+     * @param {Object} options - Параметры (options.map - отображение)
      * @returns {Object} Объект с анализом паттернов
      */
-    static analyzePatterns(sequence) {
+    static analyzePatterns(sequence, options = {}) {
+        const map = CollatzMap.from(options.map);
+        const parityVector = this.getParityVector(sequence, { map });
         const patterns = {
             cycles: [],
             repeatingPatterns: [],
             growthRate: [],
-            stepTypes: []
+            parityVector,
+            // Типы шагов выводятся из вектора четности
+            stepTypes: Array.from(parityVector, bit => (bit === '1' ? 'multiply' : 'divide'))
         };
 
-        // Анализируем типы шагов
-        for (let i = 0; i < sequence.length - 1; i++) {
-            const current = sequence[i];
-            const next = sequence[i + 1];
-            
-            if (next === current / 2) {
-                patterns.stepTypes.push('divide');
-            } else if (next === 3 * current + 1) {
-                patterns.stepTypes.push('multiply');
-            }
+        // Цикл, в который вошла траектория
+        const cycle = this.detectCycle(sequence);
+        if (cycle) {
+            patterns.cycles.push(cycle.members);
         }
 
         // Анализируем темп роста
         for (let i = 1; i < sequence.length; i++) {
-            const growth = sequence[i] / sequence[i - 1];
+            const growth = BigMath.ratio(sequence[i], sequence[i - 1]);
             patterns.growthRate.push(growth);
         }
 
-        // Ищем повторяющиеся паттерны
-        patterns.repeatingPatterns = this.findRepeatingPatterns(sequence);
+        // Ищем повторяющиеся паттерны (найденный цикл и есть повторяющийся паттерн)
+        patterns.repeatingPatterns = this.findRepeatingPatterns(sequence, cycle);
 
         return patterns;
     }
 
+    /**
+     * Вектор четности траектории: строка из '0' (шаг деления) и '1' (шаг qn+r)
+     * для каждого шага. Для ускоренного режима это вектор четности Терраса.
+     * @param {Array<number|bigint>} sequence - Последовательность
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @returns {string} Битовая строка длины sequence.length - 1
+     */
+    static getParityVector(sequence, options = {}) {
+        const map = CollatzMap.from(options.map);
+        let vector = '';
+
+        for (let i = 0; i < sequence.length - 1; i++) {
+            vector += map.isDivisible(sequence[i]) ? '0' : '1';
+        }
+
+        return vector;
+    }
+
+    /**
+     * Двоичная трасса траектории: двоичная запись каждого члена и ее характеристики
+     * Число хвостовых нулей равно количеству делений на 2, которые следуют за членом
+     * в траектории 3n+1. Для отрицательных членов берется модуль.
+     * @param {Array<number|bigint>} sequence - Целочисленная последовательность
+     * @returns {Array<Object>} Записи { value, binary, bitLength, trailingZeros, popcount }
+     */
+    static getBinaryTrace(sequence) {
+        return sequence.map(value => {
+            if (!BigMath.isInteger(value)) {
+                throw new Error('Двоичная трасса строится только для целочисленных траекторий');
+            }
+
+            const binary = BigMath.abs(value).toString(2);
+            const lowestOne = binary.lastIndexOf('1');
+            return {
+                value,
+                binary,
+                bitLength: lowestOne === -1 ? 0 : binary.length,
+                trailingZeros: lowestOne === -1 ? 0 : binary.length - 1 - lowestOne,
+                popcount: binary.split('1').length - 1
+            };
+        });
+    }
+
+    /**
+     * Переводит вектор четности полной траектории в вектор ускоренного отображения:
+     * после шага qn+r всегда следует деление, поэтому каждая пара '10' сворачивается в '1'
+     * @param {string} vector - Вектор четности полной траектории
+     * @returns {string} Вектор четности Терраса
+     */
+    static toShortcutParityVector(vector) {
+        if (/11/.test(vector)) {
+            throw new Error('В векторе полной траектории за шагом qn+r должно следовать деление');
+        }
+        return vector.replace(/10/g, '1');
+    }
+
+    /**
+     * Обратная задача для вектора четности (2-адическое обращение)
+     * Для ускоренного отображения T(n) = n / 2 или (qn + r) / 2 каждый вектор длины k
+     * задает ровно один класс вычетов по модулю 2^k: все его числа (и только они)
+     * проходят первые k шагов с этой четностью.
+     * Класс строится по битам: если n ≡ a (mod 2^j) проходит j шагов с T^j(a + 2^j·t) = T^j(a) + q^o·t,
+     * то четность следующего шага выбирается добавлением 2^j к вычету.
+     * @param {string} vector - Вектор четности из '0' и '1'
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение с делителем 2 и нечетными q и r
+     * @param {string} options.mode - SequenceMode вектора: для полного режима вектор
+     * сначала сворачивается (см. toShortcutParityVector)
+     * @returns {Object} { vector, residue, modulus, smallestStart, length, oddSteps }
+     */
+    static findParityVectorResidue(vector, options = {}) {
+        if (typeof vector !== 'string' || !/^[01]*$/.test(vector)) {
+            throw new Error('Вектор четности должен состоять из символов 0 и 1');
+        }
+
+        const map = CollatzMap.from(options.map);
+        if (map.divisor !== 2 || map.multiplier % 2 === 0 || map.increment % 2 === 0) {
+            throw new Error('Обращение вектора четности возможно только для qn+r с делителем 2 и нечетными q и r');
+        }
+
+        const shortcutVector = options.mode === SequenceMode.STANDARD
+            ? this.toShortcutParityVector(vector)
+            : vector;
+        const { multiplier, increment } = map.big;
+
+        let residue = 0n;
+        let modulus = 1n;
+        // value = T^j(residue), factor = q^(число нечетных шагов среди первых j)
+        let value = 0n;
+        let factor = 1n;
+        let oddSteps = 0;
+
+        for (const bit of shortcutVector) {
+            const odd = bit === '1';
+            if ((value % 2n !== 0n) !== odd) {
+                residue += modulus;
+                value += factor;
+            }
+
+            if (odd) {
+                value = (multiplier * value + increment) / 2n;
+                factor *= multiplier;
+                oddSteps++;
+            } else {
+                value /= 2n;
+            }
+            modulus *= 2n;
+        }
+
+        // Вычет 0 соответствует числам, кратным 2^k; наименьшее из них - сам модуль
+        const smallestStart = residue === 0n ? modulus : residue;
+        const normalize = (bigValue) => (BigMath.isSafe(bigValue) ? Number(bigValue) : bigValue);
+
+        return {
+            vector: shortcutVector,
+            residue: normalize(residue),
+            modulus: normalize(modulus),
+            smallestStart: normalize(smallestStart),
+            length: shortcutVector.length,
+            oddSteps
+        };
+    }
+
     /**
      * Ищет повторяющиеся паттерны в последовательности
+     * Траектория обрывается на первом повторе, поэтому повторяться может только цикл:
+     * если он уже найден (см. detectCycle), паттерн берется из него без просмотра.
+     * Иначе просматриваются последние PATTERN_SCAN_WINDOW значений, а следующее
+     * вхождение первого значения паттерна ищется по индексу позиций, так что время
+     * линейно по длине окна и не зависит от длины траектории.
      * @param {Array<number>} sequence - Последовательность чисел
+     * @param {Object|null} cycle - Цикл траектории (по умолчанию находится detectCycle)
      * @returns {Array<Array<number>>} Массив повторяющихся паттернов
      */
-    static findRepeatingPatterns(sequence) {
+    static findRepeatingPatterns(sequence, cycle = this.detectCycle(sequence)) {
+        if (cycle) {
+            return cycle.length >= 2 ? [cycle.members] : [];
+        }
+
         const patterns = [];
-        const maxPatternLength = Math.min(10, Math.floor(sequence.length / 2));
+        const offset = Math.max(0, sequence.length - PATTERN_SCAN_WINDOW);
+        const window = sequence.slice(offset);
+        const maxPatternLength = Math.min(MAX_PATTERN_LENGTH, Math.floor(window.length / 2));
+        // Дроби сравниваются по записи
+        const keys = window[0] instanceof Rational ? window.map(String) : window;
+
+        // Позиции каждого значения в окне по возрастанию
+        const positions = new Map();
+        keys.forEach((key, index) => {
+            if (!positions.has(key)) positions.set(key, []);
+            positions.get(key).push(index);
+        });
 
         for (let patternLength = 2; patternLength <= maxPatternLength; patternLength++) {
-            for (let start = 0; start <= sequence.length - patternLength * 2; start++) {
-                const pattern = sequence.slice(start, start + patternLength);
-                const nextOccurrence = sequence.indexOf(pattern[0], start + patternLength);
-                
-                if (nextOccurrence !== -1) {
-                    const nextPattern = sequence.slice(nextOccurrence, nextOccurrence + patternLength);
+            for (let start = 0; start <= window.length - patternLength * 2; start++) {
+                const pattern = keys.slice(start, start + patternLength);
+                const nextOccurrence = positions.get(pattern[0]).find(index => index >= start + patternLength);
+
+                if (nextOccurrence !== undefined) {
+                    const nextPattern = keys.slice(nextOccurrence, nextOccurrence + patternLength);
                     if (this.arraysEqual(pattern, nextPattern)) {
-                        patterns.push(pattern);
+                        patterns.push(window.slice(start, start + patternLength));
                     }
                 }
             }
@@ -265,36 +1206,4 @@ export class CollatzAlgorithm {
         if (arr1.length !== arr2.length) return false;
         return arr1.every((val, index) => val === arr2[index]);
     }
-
-    /**
-     * Генерирует последовательность с анимацией (для демонстрации)
-     * @param {number} startNumber - Начальное число
-     * @param {Function} callback - Функция обратного вызова для каждого шага
-     * @returns {Promise<Array<number>>} Промис с последовательностью
-     */
-    static async generateSequenceWithAnimation(startNumber, callback) {
-        const sequence = [startNumber];
-        let current = startNumber;
-        const maxIterations = 1000000;
-        let iterations = 0;
-
-        while (current !== 1 && iterations < maxIterations) {
-            await new Promise(resolve => setTimeout(resolve, 100)); // Задержка для анимации
-            
-            if (current % 2 === 0) {
-                current = current / 2;
-            } else {
-                current = 3 * current + 1;
-            }
-            
-            sequence.push(current);
-            iterations++;
-            
-            if (callback) {
-                callback(sequence, current, iterations);
-            }
-        }
-
-        return sequence;
-    }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,208 @@
+/**
+ * Модуль вспомогательных функций для работы с произвольной точностью (BigInt)
+ * Позволяет единообразно обрабатывать значения типа number и bigint
+ */
+
+export class BigMath {
+
+    /**
+     * Проверяет, является ли значение BigInt
+     * @param {*} value - Проверяемое значение
+     * @returns {boolean} true, если значение BigInt
+     */
+    static isBigInt(value) {
+        return typeof value === 'bigint';
+    }
+
+    /**
+     * Проверяет, является ли значение целым числом (number или BigInt)
+     * @param {*} value - Проверяемое значение
+     * @returns {boolean} true, если значение целое
+     */
+    static isInteger(value) {
+        return this.isBigInt(value) || Number.isInteger(value);
+    }
+
+    /**
+     * Проверяет, помещается ли значение в безопасный диапазон number
+     * @param {number|bigint} value - Значение
+     * @returns {boolean} true, если значение можно точно представить как number
+     */
+    static isSafe(value) {
+        if (this.isBigInt(value)) {
+            return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER);
+        }
+        return Number.isSafeInteger(value);
+    }
+
+    /**
+     * Приводит значение к BigInt
+     * @param {number|bigint|string} value - Значение
+     * @returns {bigint} Значение BigInt
+     */
+    static toBigInt(value) {
+        if (this.isBigInt(value)) return value;
+        return BigInt(value);
+    }
+
+    /**
+     * Приводит значение к number (для больших значений и дробей Rational - приближенно)
+     * @param {number|bigint|Object} value - Значение
+     * @returns {number} Приближенное значение number
+     */
+    static toNumber(value) {
+        return typeof value === 'number' ? value : Number(value);
+    }
+
+    /**
+     * Возвращает значение в той же "арифметике", что и образец
+     * @param {number} value - Небольшое целое число
+     * @param {number|bigint} sample - Образец типа
+     * @returns {number|bigint} Значение того же типа, что и образец
+     */
+    static like(value, sample) {
+        return this.isBigInt(sample) ? BigInt(value) : value;
+    }
+
+    /**
+     * Проверяет четность значения
+     * @param {number|bigint} value - Значение
+     * @returns {boolean} true, если значение четное
+     */
+    static isEven(value) {
+        return this.isBigInt(value) ? value % 2n === 0n : value % 2 === 0;
+    }
+
+    /**
+     * Разность значений; если хотя бы одно из них BigInt, результат BigInt
+     * @param {number|bigint} a - Уменьшаемое
+     * @param {number|bigint} b - Вычитаемое
+     * @returns {number|bigint} a - b
+     */
+    static subtract(a, b) {
+        if (!this.isBigInt(a) && !this.isBigInt(b)) {
+            return a - b;
+        }
+        return this.toBigInt(a) - this.toBigInt(b);
+    }
+
+    /**
+     * Абсолютное значение
+     * @param {number|bigint} value - Значение
+     * @returns {number|bigint} Модуль значения
+     */
+    static abs(value) {
+        return value < 0 ? -value : value;
+    }
+
+    /**
+     * Десятичный логарифм модуля значения (работает за пределами Number.MAX_VALUE)
+     * @param {number|bigint} value - Значение
+     * @returns {number} log10(|value|)
+     */
+    static log10(value) {
+        const abs = this.abs(value);
+        if (!this.isBigInt(abs) || abs < 10n ** 300n) {
+            return Math.log10(Number(abs));
+        }
+
+        const digits = abs.toString();
+        const head = Number(digits.slice(0, 17));
+        return Math.log10(head) + (digits.length - 17);
+    }
+
+    /**
+     * Натуральный логарифм модуля значения
+     * @param {number|bigint} value - Значение
+     * @returns {number} ln(|value|)
+     */
+    static ln(value) {
+        return this.log10(value) * Math.LN10;
+    }
+
+    /**
+     * Отношение двух значений как number
+     * @param {number|bigint} a - Числитель
+     * @param {number|bigint} b - Знаменатель
+     * @returns {number} a / b
+     */
+    static ratio(a, b) {
+        if (!this.isBigInt(a) && !this.isBigInt(b)) {
+            return a / b;
+        }
+
+        const approxA = Number(a);
+        const approxB = Number(b);
+        if (Number.isFinite(approxA) && Number.isFinite(approxB)) {
+            return approxA / approxB;
+        }
+
+        // За пределами Number.MAX_VALUE считаем через логарифмы
+        const sign = (a < 0) !== (b < 0) ? -1 : 1;
+        return sign * Math.pow(10, this.log10(a) - this.log10(b));
+    }
+
+    /**
+     * Максимальное значение массива без использования spread (безопасно для больших массивов)
+     * @param {Array<number|bigint>} values - Массив значений
+     * @returns {number|bigint} Максимум
+     */
+    static max(values) {
+        let result = values[0];
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] > result) result = values[i];
+        }
+        return result;
+    }
+
+    /**
+     * Минимальное значение массива без использования spread
+     * @param {Array<number|bigint>} values - Массив значений
+     * @returns {number|bigint} Минимум
+     */
+    static min(values) {
+        let result = values[0];
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] < result) result = values[i];
+        }
+        return result;
+    }
+
+    /**
+     * Разбирает строку в целое число; большие значения возвращаются как BigInt
+     * @param {string} text - Строка с целым числом
+     * @returns {number|bigint|null} Число или null, если строка не является целым числом
+     */
+    static parseInteger(text) {
+        const trimmed = String(text).trim().replace(/[\s_]/g, '');
+        if (!/^[+-]?\d+$/.test(trimmed)) {
+            return null;
+        }
+
+        const value = BigInt(trimmed);
+        return this.isSafe(value) ? Number(value) : value;
+    }
+
+    /**
+     * Функция-заменитель для JSON.stringify: BigInt сохраняется как строка с суффиксом "n"
+     * @param {string} key - Ключ
+     * @param {*} value - Значение
+     * @returns {*} Сериализуемое значение
+     */
+    static jsonReplacer(key, value) {
+        return typeof value === 'bigint' ? `${value}n` : value;
+    }
+
+    /**
+     * Функция-восстановитель для JSON.parse: строки вида "123n" превращаются в BigInt
+     * @param {string} key - Ключ
+     * @param {*} value - Значение
+     * @returns {*} Восстановленное значение
+     */
+    static jsonReviver(key, value) {
+        if (typeof value === 'string' && /^-?\d+n$/.test(value)) {
+            return BigInt(value.slice(0, -1));
+        }
+        return value;
+    }
+}
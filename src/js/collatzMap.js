@@ -0,0 +1,477 @@
+/**
+ * Модуль обобщенных отображений типа Коллатца
+ *
+ * Основное семейство задается тремя параметрами:
+ * - если n ≡ 0 (mod d), то n → n / d
+ * - иначе n → q·n + r
+ *
+ * Стандартная гипотеза 3n+1 соответствует d = 2, q = 3, r = 1.
+ * Этим же способом описываются 5n+1, 3n−1, 7n+1 и другие варианты.
+ *
+ * Более общие отображения в духе Конвея задаются по вычетам: для n ≡ i (mod m)
+ * n → (a_i·n + b_i) / c_i. Отображение обязано быть целозначным (см. validateBranches).
+ * Отображение qn+r с делителем d - частный случай с m = d, поэтому любое
+ * отображение описывается модулем и ветвями (modulus, branches), а для основного
+ * семейства дополнительно доступны divisor, multiplier и increment.
+ *
+ * «Шаг деления» (isDivisible) отображения по вычетам - шаг по сжимающей ветви
+ * (a_i < c_i); по нему строятся векторы четности и метрики траекторий.
+ *
+ * Отображение применимо и к дробям a/b со знаменателем, взаимно простым с модулем
+ * (см. Rational): вычет дроби определяется по модулю m.
+ */
+
+import { BigMath } from './bigMath.js';
+import { Rational } from './rational.js';
+
+// Наибольший модуль отображения по вычетам
+export const MAX_MAP_MODULUS = 32;
+
+export class CollatzMap {
+    /**
+     * @param {Object} params - Параметры отображения: { divisor, multiplier, increment }
+     * для qn+r или { modulus, branches } для отображения по вычетам
+     * @param {number} params.divisor - Делитель d (≥ 2)
+     * @param {number} params.multiplier - Множитель q (≥ 1)
+     * @param {number} params.increment - Слагаемое r
+     * @param {number} params.modulus - Модуль m (≥ 2)
+     * @param {Array<Object>} params.branches - Ветви { multiplier: a_i, increment: b_i, divisor: c_i }
+     * для вычетов i = 0..m−1
+     */
+    constructor(params = {}) {
+        if (params.branches) {
+            this.initBranches(params.modulus, params.branches);
+            return;
+        }
+
+        const { divisor = 2, multiplier = 3, increment = 1 } = params;
+        if (!Number.isInteger(divisor) || divisor < 2) {
+            throw new Error('Делитель отображения должен быть целым числом не меньше 2');
+        }
+        if (!Number.isInteger(multiplier) || multiplier < 1) {
+            throw new Error('Множитель отображения должен быть положительным целым числом');
+        }
+        if (!Number.isInteger(increment)) {
+            throw new Error('Слагаемое отображения должно быть целым числом');
+        }
+
+        this.divisor = divisor;
+        this.multiplier = multiplier;
+        this.increment = increment;
+        this.modulus = divisor;
+        this.branches = Array.from({ length: divisor }, (_, residue) => (residue === 0
+            ? { multiplier: 1, increment: 0, divisor }
+            : { multiplier, increment, divisor: 1 }));
+
+        // Те же коэффициенты в BigInt для вычислений произвольной точности
+        this.big = {
+            divisor: BigInt(divisor),
+            multiplier: BigInt(multiplier),
+            increment: BigInt(increment),
+            modulus: BigInt(divisor)
+        };
+        this.initLogFactors();
+    }
+
+    /**
+     * Инициализирует отображение по вычетам
+     * Если ветви имеют вид qn+r с делителем m, отображение приводится к основному
+     * семейству, поэтому 3n+1, записанное по вычетам, равно CollatzMap.standard().
+     * @param {number} modulus - Модуль m
+     * @param {Array<Object>} branches - Ветви { multiplier, increment, divisor }
+     */
+    initBranches(modulus, branches) {
+        const errors = CollatzMap.validateBranches(modulus, branches);
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+
+        const [zero, ...rest] = branches;
+        const isClassic = zero.multiplier === 1 && zero.increment === 0 && zero.divisor === modulus &&
+            rest.every(branch => branch.divisor === 1 &&
+                branch.multiplier === rest[0].multiplier && branch.increment === rest[0].increment);
+
+        if (isClassic) {
+            Object.assign(this, new CollatzMap({
+                divisor: modulus,
+                multiplier: rest[0].multiplier,
+                increment: rest[0].increment
+            }));
+            return;
+        }
+
+        this.divisor = null;
+        this.multiplier = null;
+        this.increment = null;
+        this.modulus = modulus;
+        this.branches = branches.map(({ multiplier, increment, divisor }) => ({ multiplier, increment, divisor }));
+        this.big = {
+            modulus: BigInt(modulus),
+            branches: this.branches.map(branch => ({
+                multiplier: BigInt(branch.multiplier),
+                increment: BigInt(branch.increment),
+                divisor: BigInt(branch.divisor)
+            }))
+        };
+        this.initLogFactors();
+    }
+
+    /**
+     * Логарифмы множителей ветвей log(c_i / a_i): их сумма по шагам траектории
+     * дает остаток (см. StatisticsAccumulator.getMetrics)
+     */
+    initLogFactors() {
+        this.logFactors = this.branches.map(branch => Math.log(branch.divisor) - Math.log(branch.multiplier));
+    }
+
+    /**
+     * Проверяет ветви отображения по вычетам
+     * Ветвь n ≡ i (mod m) ↦ (a·n + b) / c целозначна для всех таких n, если
+     * c делит a·i + b и a·m (тогда a·(i + m·t) + b ≡ 0 (mod c) при любом t).
+     * @param {number} modulus - Модуль m
+     * @param {Array<Object>} branches - Ветви { multiplier: a, increment: b, divisor: c }
+     * @returns {Array<string>} Описания ошибок (пустой массив для корректного отображения)
+     */
+    static validateBranches(modulus, branches) {
+        if (!Number.isInteger(modulus) || modulus < 2 || modulus > MAX_MAP_MODULUS) {
+            return [`Модуль отображения должен быть целым числом от 2 до ${MAX_MAP_MODULUS}`];
+        }
+        if (!Array.isArray(branches) || branches.length !== modulus) {
+            return [`Нужно задать ровно ${modulus} ветвей - по одной на каждый вычет`];
+        }
+
+        const errors = [];
+        branches.forEach((branch, residue) => {
+            const prefix = `Ветвь n ≡ ${residue} (mod ${modulus})`;
+            const { multiplier: a, increment: b, divisor: c } = branch || {};
+
+            if (!Number.isSafeInteger(a) || a < 1) {
+                errors.push(`${prefix}: множитель a должен быть положительным целым числом`);
+            } else if (!Number.isSafeInteger(b)) {
+                errors.push(`${prefix}: слагаемое b должно быть целым числом`);
+            } else if (!Number.isSafeInteger(c) || c < 1) {
+                errors.push(`${prefix}: делитель c должен быть положительным целым числом`);
+            } else if ((a * residue + b) % c !== 0 || (a * modulus) % c !== 0) {
+                errors.push(`${prefix}: ${CollatzMap.formatBranch(branch)} не всегда целое`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Стандартное отображение 3n+1
+     * @returns {CollatzMap} Отображение 3n+1
+     */
+    static standard() {
+        return new CollatzMap();
+    }
+
+    /**
+     * Приводит описание отображения к экземпляру CollatzMap
+     * @param {CollatzMap|Object|null|undefined} value - Экземпляр или JSON-описание
+     * @returns {CollatzMap} Экземпляр отображения (3n+1 по умолчанию)
+     */
+    static from(value) {
+        if (value instanceof CollatzMap) return value;
+        return new CollatzMap(value || {});
+    }
+
+    /**
+     * Принадлежит ли отображение основному семейству qn+r
+     * @returns {boolean} true, если заданы divisor, multiplier и increment
+     */
+    isClassic() {
+        return this.divisor !== null;
+    }
+
+    /**
+     * Является ли отображение стандартным 3n+1
+     * @returns {boolean} true для 3n+1
+     */
+    isStandard() {
+        return this.divisor === 2 && this.multiplier === 3 && this.increment === 1;
+    }
+
+    /**
+     * Сравнивает отображения по параметрам
+     * @param {CollatzMap|Object} other - Другое отображение
+     * @returns {boolean} true, если модули и все ветви совпадают
+     */
+    equals(other) {
+        const map = CollatzMap.from(other);
+        return this.modulus === map.modulus && this.branches.every((branch, residue) =>
+            branch.multiplier === map.branches[residue].multiplier &&
+            branch.increment === map.branches[residue].increment &&
+            branch.divisor === map.branches[residue].divisor);
+    }
+
+    /**
+     * Вычет значения по модулю отображения (0..m−1)
+     * Для дроби p/q это p·q⁻¹ mod m (знаменатель взаимно прост с m).
+     * @param {number|bigint|Rational} n - Значение
+     * @returns {number} Вычет
+     */
+    residueOf(n) {
+        if (n instanceof Rational) {
+            const modulus = this.big.modulus;
+            const numerator = ((n.numerator % modulus) + modulus) % modulus;
+            return Number((numerator * CollatzMap.modularInverse(n.denominator, modulus)) % modulus);
+        }
+        if (BigMath.isBigInt(n)) {
+            const residue = n % this.big.modulus;
+            return Number(residue < 0n ? residue + this.big.modulus : residue);
+        }
+        const residue = n % this.modulus;
+        return residue < 0 ? residue + this.modulus : residue;
+    }
+
+    /**
+     * Обратный элемент по модулю (расширенный алгоритм Евклида)
+     * @param {bigint} value - Значение, взаимно простое с модулем
+     * @param {bigint} modulus - Модуль
+     * @returns {bigint} value⁻¹ mod modulus
+     */
+    static modularInverse(value, modulus) {
+        let [a, b] = [((value % modulus) + modulus) % modulus, modulus];
+        let [x, y] = [1n, 0n];
+        while (b !== 0n) {
+            const quotient = a / b;
+            [a, b] = [b, a - quotient * b];
+            [x, y] = [y, x - quotient * y];
+        }
+        return ((x % modulus) + modulus) % modulus;
+    }
+
+    /**
+     * Проверяет, является ли следующий шаг шагом деления
+     * Для qn+r - делится ли n на d, для отображения по вычетам - сжимает ли ветвь n (a_i < c_i).
+     * @param {number|bigint|Rational} n - Число или дробь
+     * @returns {boolean} true, если следующий шаг - деление
+     */
+    isDivisible(n) {
+        if (this.divisor === null) {
+            const branch = this.branches[this.residueOf(n)];
+            return branch.multiplier < branch.divisor;
+        }
+        if (n instanceof Rational) {
+            return n.numerator % this.big.divisor === 0n;
+        }
+        if (BigMath.isBigInt(n)) {
+            return n % this.big.divisor === 0n;
+        }
+        return n % this.divisor === 0;
+    }
+
+    /**
+     * Вычисляет следующее значение
+     * @param {number|bigint|Rational} n - Текущее значение
+     * @returns {number|bigint|Rational} Следующее значение того же типа
+     * (number за пределами 2^53 может быть неточным - см. CollatzAlgorithm.iterateMap)
+     */
+    next(n) {
+        if (this.divisor === null) {
+            return this.nextByBranch(n);
+        }
+        if (n instanceof Rational) {
+            return this.isDivisible(n)
+                ? n.divide(this.big.divisor)
+                : n.multiply(this.big.multiplier).add(this.big.increment);
+        }
+        if (BigMath.isBigInt(n)) {
+            return n % this.big.divisor === 0n
+                ? n / this.big.divisor
+                : this.big.multiplier * n + this.big.increment;
+        }
+        return n % this.divisor === 0
+            ? n / this.divisor
+            : this.multiplier * n + this.increment;
+    }
+
+    /**
+     * Шаг отображения по вычетам: (a_i·n + b_i) / c_i
+     * @param {number|bigint|Rational} n - Текущее значение
+     * @returns {number|bigint|Rational} Следующее значение того же типа
+     */
+    nextByBranch(n) {
+        const residue = this.residueOf(n);
+
+        if (n instanceof Rational) {
+            const { multiplier, increment, divisor } = this.big.branches[residue];
+            return n.multiply(multiplier).add(increment).divide(divisor);
+        }
+        if (BigMath.isBigInt(n)) {
+            const { multiplier, increment, divisor } = this.big.branches[residue];
+            return (multiplier * n + increment) / divisor;
+        }
+
+        const { multiplier, increment, divisor } = this.branches[residue];
+        const product = multiplier * n + increment;
+        if (Number.isSafeInteger(product)) {
+            return product / divisor;
+        }
+        // Промежуточное произведение вышло за 2^53 - делим точно в BigInt
+        const big = this.big.branches[residue];
+        return Number((big.multiplier * BigInt(n) + big.increment) / big.divisor);
+    }
+
+    /**
+     * Логарифм множителя шага из n: log d или −log q для qn+r, log(c_i / a_i) по вычетам
+     * @param {number|bigint|Rational} n - Значение
+     * @returns {number} Логарифм
+     */
+    logFactor(n) {
+        if (this.divisor !== null) {
+            return this.isDivisible(n) ? this.logFactors[0] : this.logFactors[1];
+        }
+        return this.logFactors[this.residueOf(n)];
+    }
+
+    /**
+     * Применимо ли отображение к дроби: знаменатель должен быть взаимно прост с модулем,
+     * иначе вычет дроби не определен
+     * @param {Rational} value - Дробь
+     * @returns {boolean} true, если знаменатель взаимно прост с модулем
+     */
+    acceptsDenominator(value) {
+        return Rational.gcd(value.denominator, this.big.modulus) === 1n;
+    }
+
+    /**
+     * Прообразы значения: m того же знака, что и n, для которых next(m) = n
+     * Для 3n+1 это 2n и (n − 1) / 3, если оно целое и нечетное; для отображения
+     * по вычетам - (c_i·n − b_i) / a_i, если оно целое и сравнимо с i по модулю m.
+     * @param {number|bigint} n - Значение
+     * @returns {Array<Object>} Массив { value, step }, где step - тип шага m → n ('divide' или 'multiply')
+     */
+    predecessors(n) {
+        if (this.divisor === null) {
+            return this.predecessorsByBranch(n);
+        }
+
+        const { divisor, multiplier, increment } = BigMath.isBigInt(n) ? this.big : this;
+        const zero = BigMath.like(0, n);
+        const result = [{ value: n * divisor, step: 'divide' }];
+
+        const shifted = n - increment;
+        if (shifted !== zero && (shifted > zero) === (n > zero) && shifted % multiplier === zero) {
+            const value = shifted / multiplier;
+            if (!this.isDivisible(value)) {
+                result.push({ value, step: 'multiply' });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Прообразы для отображения по вычетам (см. predecessors)
+     * @param {number|bigint} n - Значение
+     * @returns {Array<Object>} Массив { value, step }
+     */
+    predecessorsByBranch(n) {
+        const isBig = BigMath.isBigInt(n);
+        const zero = BigMath.like(0, n);
+        const result = [];
+
+        this.branches.forEach((branch, residue) => {
+            const { multiplier, increment, divisor } = isBig ? this.big.branches[residue] : branch;
+            const shifted = divisor * n - increment;
+            if (shifted === zero || (shifted > zero) !== (n > zero) || shifted % multiplier !== zero) {
+                return;
+            }
+
+            const value = shifted / multiplier;
+            if (this.residueOf(value) === residue) {
+                result.push({ value, step: branch.multiplier < branch.divisor ? 'divide' : 'multiply' });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Во сколько раз (не более) прообраз больше значения по модулю
+     * Нужна для оценки размера дерева прообразов.
+     * @returns {number} Целая оценка max (c_i + |b_i|) / a_i
+     */
+    get preimageGrowth() {
+        return this.branches.reduce((growth, branch) => Math.max(
+            growth,
+            Math.ceil((branch.divisor + Math.abs(branch.increment)) / branch.multiplier)
+        ), 1);
+    }
+
+    /**
+     * Запись ветви, например "n/2", "3n+1" или "(4n−1)/3"
+     * @param {Object} branch - Ветвь { multiplier, increment, divisor }
+     * @returns {string} Формула
+     */
+    static formatBranch({ multiplier, increment, divisor }) {
+        let linear = multiplier === 1 ? 'n' : `${multiplier}n`;
+        if (increment !== 0) {
+            linear += `${increment < 0 ? '−' : '+'}${Math.abs(increment)}`;
+        }
+        if (divisor === 1) return linear;
+        return increment === 0 ? `${linear}/${divisor}` : `(${linear})/${divisor}`;
+    }
+
+    /**
+     * Краткое обозначение отображения, например "3n+1", "5n−1 (d=3)"
+     * или "mod 3: 2n/3, (4n−1)/3, (4n+1)/3"
+     * @returns {string} Обозначение
+     */
+    get label() {
+        if (this.divisor === null) {
+            return `mod ${this.modulus}: ${this.branches.map(branch => CollatzMap.formatBranch(branch)).join(', ')}`;
+        }
+        const sign = this.increment < 0 ? '−' : '+';
+        const base = `${this.multiplier}n${sign}${Math.abs(this.increment)}`;
+        return this.divisor === 2 ? base : `${base} (d=${this.divisor})`;
+    }
+
+    /**
+     * Формула шага из значения n, например "n / 2", "3n+1" или "(4n−1)/3"
+     * @param {number|bigint|Rational} n - Значение
+     * @returns {string} Формула
+     */
+    describeStep(n) {
+        if (this.divisor === null) {
+            return CollatzMap.formatBranch(this.branches[this.residueOf(n)]);
+        }
+        return this.isDivisible(n) ? `n / ${this.divisor}` : this.label;
+    }
+
+    /**
+     * Описание класса вычета числа для подсказок
+     * @param {number|bigint|Rational} n - Число или дробь
+     * @returns {string} Описание
+     */
+    describeResidue(n) {
+        if (this.divisor === null) {
+            return `n ≡ ${this.residueOf(n)} (mod ${this.modulus})`;
+        }
+        if (this.divisor === 2) {
+            return this.isDivisible(n) ? 'Четное число' : 'Нечетное число';
+        }
+        return this.isDivisible(n) ? `Кратно ${this.divisor}` : `Не кратно ${this.divisor}`;
+    }
+
+    /**
+     * Сериализация отображения
+     * @returns {Object} JSON-описание: { divisor, multiplier, increment } для qn+r,
+     * { modulus, branches } для отображения по вычетам
+     */
+    toJSON() {
+        if (this.divisor === null) {
+            return {
+                modulus: this.modulus,
+                branches: this.branches.map(branch => ({ ...branch }))
+            };
+        }
+        return {
+            divisor: this.divisor,
+            multiplier: this.multiplier,
+            increment: this.increment
+        };
+    }
+}
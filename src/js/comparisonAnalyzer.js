@@ -2,6 +2,112 @@
  * Модуль сравнения и анализа последовательностей
  * Включает сравнение множественных последовательностей, статистический анализ и поиск паттернов
  */
+import { BigMath } from './bigMath.js';
+import { TrajectoryAlignment, AlignmentMetric } from './trajectoryAlignment.js';
+import { CollatzAlgorithm, TrajectoryOutcome } from './algorithm.js';
+import { CollatzMap } from './collatzMap.js';
+
+// Стандартные метрики траектории (см. CollatzAlgorithm.calculateMetrics) в порядке колонок отчета
+const METRIC_KEYS = [
+    'stoppingTime', 'totalStoppingTime', 'glide', 'oddSteps', 'evenSteps',
+    'residue', 'gamma', 'completeness'
+];
+
+// Наибольшая граница поиска циклов: по 4 байта на число в таблице бассейнов
+export const MAX_CYCLE_SEARCH_LIMIT = 1000000;
+
+// Параметры обхода одной траектории при поиске циклов и подсчете цифр диапазона
+const CYCLE_SEARCH_MAX_ITERATIONS = 100000;
+const CYCLE_SEARCH_MAX_BITS = 512;
+
+// Коды исходов в таблице бассейнов (неотрицательные коды - номера циклов + 1)
+const BASIN_UNKNOWN = 0;
+const BASIN_DIVERGENT = -1;
+const BASIN_EXHAUSTED = -2;
+
+// Колонки таблицы циклов, по которым возможна сортировка
+export const CYCLE_SORT_KEYS = Object.freeze(['minElement', 'length', 'basinSize', 'smallestStart']);
+
+// Виды распределения цифр значений траекторий (см. analyzeDigitDistribution)
+export const DigitDistributionKind = Object.freeze({
+    LEADING: 'leading',
+    FINAL: 'final',
+    MODULO: 'modulo'
+});
+
+// Модуль распределения вычетов по умолчанию и его наибольшее значение
+export const DEFAULT_DIGIT_MODULUS = 3;
+const MAX_DIGIT_MODULUS = 1000;
+
+// Наибольшее количество начальных чисел для объединенного распределения по диапазону
+export const MAX_DIGIT_RANGE = 100000;
+
+// Ожидаемое количество в категории, начиная с которого приближение хи-квадрат надежно
+const MIN_EXPECTED_COUNT = 5;
+
+/**
+ * Логарифм гамма-функции (приближение Ланцоша)
+ * @param {number} x - Положительный аргумент
+ * @returns {number} ln Γ(x)
+ */
+function lnGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach((coefficient, index) => {
+        series += coefficient / (x + index + 1);
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Вероятность превысить значение статистики хи-квадрат: Q(df / 2, chiSquare / 2)
+ * (регуляризованная неполная гамма-функция: ряд при малых x, цепная дробь при больших)
+ * @param {number} chiSquare - Значение статистики
+ * @param {number} degreesOfFreedom - Число степеней свободы
+ * @returns {number} p-значение
+ */
+function chiSquarePValue(chiSquare, degreesOfFreedom) {
+    if (chiSquare <= 0) return 1;
+
+    const a = degreesOfFreedom / 2;
+    const x = chiSquare / 2;
+    const logPrefix = -x + a * Math.log(x) - lnGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+
+    // Метод Лентца для цепной дроби
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.exp(logPrefix) * h;
+}
+
 export class ComparisonAnalyzer {
     constructor() {
         this.sequences = [];
@@ -9,6 +115,8 @@ export class ComparisonAnalyzer {
         this.statistics = {};
         this.isInitialized = false;
         this.charts = {};
+        // Модуль распределения вычетов в отчете сравнения
+        this.digitModulus = DEFAULT_DIGIT_MODULUS;
     }
 
     /**
@@ -57,7 +165,7 @@ export class ComparisonAnalyzer {
                 name: 'Стабильная',
                 description: 'Последовательности с небольшими колебаниями',
                 condition: (seq) => {
-                    const values = seq.sequence;
+                    const values = this.toNumericSequence(seq.sequence);
                     const avg = values.reduce((a, b) => a + b, 0) / values.length;
                     const variance = values.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / values.length;
                     return Math.sqrt(variance) < avg * 0.5;
@@ -67,13 +175,13 @@ export class ComparisonAnalyzer {
             {
                 name: 'Циклическая',
                 description: 'Последовательности с повторяющимися паттернами',
-                condition: (seq) => this.hasCyclicPattern(seq.sequence),
+                condition: (seq) => Boolean(seq.statistics.cycle) || this.hasCyclicPattern(seq.sequence),
                 color: '#8b5cf6'
             },
             {
                 name: 'Экспоненциальный рост',
                 description: 'Последовательности с быстрым ростом значений',
-                condition: (seq) => this.hasExponentialGrowth(seq.sequence),
+                condition: (seq) => this.hasExponentialGrowth(this.toNumericSequence(seq.sequence)),
                 color: '#ec4899'
             },
             {
@@ -85,6 +193,16 @@ export class ComparisonAnalyzer {
         ];
     }
 
+    /**
+     * Приведение последовательности к number для статистических вычислений
+     * (значения BigInt заменяются приближенными)
+     * @param {Array<number|bigint>} sequence - Последовательность
+     * @returns {Array<number>} Последовательность чисел number
+     */
+    toNumericSequence(sequence) {
+        return sequence.map(value => BigMath.toNumber(value));
+    }
+
     /**
      * Проверка на циклические паттерны
      * @param {Array} sequence - Последовательность
@@ -148,22 +266,61 @@ export class ComparisonAnalyzer {
         return decreasingCount >= Math.floor(endSequence.length * 0.7);
     }
 
+    /**
+     * Анализ отдельной последовательности (паттерны, циклы, сходимость)
+     * @param {Object} sequence - Данные последовательности
+     * @returns {Object} { patterns, cycles, convergenceAnalysis }
+     */
+    analyzeSequence(sequence) {
+        return {
+            patterns: this.detectPatterns(sequence),
+            cycles: this.findCycles(sequence.sequence),
+            convergenceAnalysis: this.analyzeConvergence(this.toNumericSequence(sequence.sequence))
+        };
+    }
+
     /**
      * Добавление последовательности для анализа
      * @param {Object} sequence - Данные последовательности
+     * @param {Object} analysis - Готовый результат analyzeSequence (например, из Web Worker)
+     */
+    addSequence(sequence, analysis = this.analyzeSequence(sequence)) {
+        this.pushSequence(sequence, analysis);
+
+        // Обновление статистики
+        this.updateStatistics();
+    }
+
+    /**
+     * Добавление нескольких последовательностей
+     * @param {Array<Object>} sequences - Данные последовательностей
+     * @param {Array<Object>} analyses - Готовые результаты analyzeSequence
+     * @param {Object} statistics - Готовая сводная статистика (если не указана - пересчитывается)
+     */
+    addSequences(sequences, analyses = [], statistics = null) {
+        sequences.forEach((sequence, index) => {
+            this.pushSequence(sequence, analyses[index] || this.analyzeSequence(sequence));
+        });
+
+        if (statistics) {
+            this.statistics = statistics;
+        } else {
+            this.updateStatistics();
+        }
+    }
+
+    /**
+     * Сохраняет последовательность вместе с результатом анализа
+     * @param {Object} sequence - Данные последовательности
+     * @param {Object} analysis - Результат analyzeSequence
      */
-    addSequence(sequence) {
+    pushSequence(sequence, analysis) {
         this.sequences.push({
             ...sequence,
             id: sequence.id || `seq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             addedAt: new Date(),
-            patterns: this.detectPatterns(sequence),
-            cycles: this.findCycles(sequence.sequence),
-            convergenceAnalysis: this.analyzeConvergence(sequence.sequence)
+            ...analysis
         });
-
-        // Обновление статистики
-        this.updateStatistics();
     }
 
     /**
@@ -205,6 +362,181 @@ export class ComparisonAnalyzer {
         return cycles;
     }
 
+    /**
+     * Поиск всех циклов, в которые попадают числа 1..N
+     * В отличие от findCycles, который ищет повторяющиеся окна в одной
+     * последовательности, здесь цикл находится точно - по первому повтору значения.
+     * Для каждого числа запоминается исход (номер цикла или уход на бесконечность),
+     * поэтому обход очередного числа заканчивается на первом значении ≤ N с уже
+     * известным исходом.
+     * @param {number} limit - Граница диапазона N
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {number} options.maxIterations - Наибольшее число шагов одного обхода
+     * @param {number} options.maxBits - Граница роста в битах, после которой траектория считается расходящейся
+     * @param {Function} options.onProgress - Обработчик прогресса (done, total)
+     * @returns {Object} { limit, map, cycles, divergent, exhausted }: cycles - циклы
+     * { minElement, length, members, basinSize, smallestStart, known } по возрастанию
+     * минимального элемента (members начинаются с минимального элемента),
+     * divergent и exhausted - { count, smallestStart } для траекторий без найденного цикла
+     */
+    findRangeCycles(limit, options = {}) {
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CYCLE_SEARCH_LIMIT) {
+            throw new Error(`Граница поиска циклов должна быть целым числом от 1 до ${MAX_CYCLE_SEARCH_LIMIT.toLocaleString()}`);
+        }
+
+        const map = CollatzMap.from(options.map);
+        const maxIterations = options.maxIterations || CYCLE_SEARCH_MAX_ITERATIONS;
+        const bound = 2n ** BigInt(options.maxBits || CYCLE_SEARCH_MAX_BITS);
+        const basins = new Int32Array(limit + 1);
+        const cycles = [];
+        const cycleIndex = new Map();
+
+        // Значения, вернувшиеся в безопасный диапазон, снова хранятся как number
+        const normalize = value => (BigMath.isBigInt(value) && BigMath.isSafe(value) ? Number(value) : value);
+        const inRange = value => typeof value === 'number' && value >= 1 && value <= limit;
+
+        for (let start = 1; start <= limit; start++) {
+            if (basins[start] === BASIN_UNKNOWN) {
+                const path = [];
+                const seen = new Map();
+                let value = start;
+                let outcome = BASIN_UNKNOWN;
+
+                while (outcome === BASIN_UNKNOWN) {
+                    if (inRange(value) && basins[value] !== BASIN_UNKNOWN) {
+                        outcome = basins[value];
+                    } else if (seen.has(value)) {
+                        outcome = this.registerRangeCycle(path.slice(seen.get(value)), map, cycles, cycleIndex);
+                    } else if (path.length >= maxIterations) {
+                        outcome = BASIN_EXHAUSTED;
+                    } else if (BigMath.isBigInt(value) && BigMath.abs(value) > bound) {
+                        outcome = BASIN_DIVERGENT;
+                    } else {
+                        seen.set(value, path.length);
+                        path.push(value);
+                        value = normalize(CollatzAlgorithm.stepValue(value, map));
+                    }
+                }
+
+                // Лимит шагов исчерпан только для начала: у значений его пути свой полный лимит
+                if (outcome === BASIN_EXHAUSTED) {
+                    basins[start] = outcome;
+                } else {
+                    path.forEach(item => {
+                        if (inRange(item)) basins[item] = outcome;
+                    });
+                }
+            }
+
+            if (options.onProgress && start % 10000 === 0) {
+                options.onProgress(start, limit);
+            }
+        }
+
+        // Размеры бассейнов и наименьшие начальные числа
+        const divergent = { count: 0, smallestStart: null };
+        const exhausted = { count: 0, smallestStart: null };
+        for (let start = 1; start <= limit; start++) {
+            const outcome = basins[start];
+            const target = outcome > 0
+                ? cycles[outcome - 1]
+                : (outcome === BASIN_DIVERGENT ? divergent : exhausted);
+            if (target.smallestStart === null) target.smallestStart = start;
+            if (outcome > 0) {
+                target.basinSize++;
+            } else {
+                target.count++;
+            }
+        }
+
+        return {
+            limit,
+            map: map.toJSON(),
+            cycles: this.sortRangeCycles(cycles, 'minElement'),
+            divergent,
+            exhausted
+        };
+    }
+
+    /**
+     * Регистрирует найденный цикл (повторная встреча того же цикла дает тот же номер)
+     * @param {Array<number|bigint>} members - Члены цикла в порядке обхода
+     * @param {CollatzMap} map - Отображение
+     * @param {Array<Object>} cycles - Найденные циклы
+     * @param {Map<string, number>} cycleIndex - Код исхода цикла по минимальному элементу
+     * @returns {number} Код исхода цикла для таблицы бассейнов
+     */
+    registerRangeCycle(members, map, cycles, cycleIndex) {
+        const minElement = BigMath.min(members);
+        const key = String(minElement);
+        if (!cycleIndex.has(key)) {
+            const offset = members.indexOf(minElement);
+            const cycle = {
+                minElement,
+                length: members.length,
+                members: [...members.slice(offset), ...members.slice(0, offset)],
+                basinSize: 0,
+                smallestStart: null
+            };
+            cycle.known = CollatzAlgorithm.identifyCycle(cycle, map);
+            cycles.push(cycle);
+            cycleIndex.set(key, cycles.length);
+        }
+        return cycleIndex.get(key);
+    }
+
+    /**
+     * Сортирует циклы по одной из колонок таблицы
+     * @param {Array<Object>} cycles - Циклы (см. findRangeCycles)
+     * @param {string} key - Колонка из CYCLE_SORT_KEYS
+     * @param {boolean} ascending - Порядок по возрастанию
+     * @returns {Array<Object>} Новый отсортированный массив
+     */
+    sortRangeCycles(cycles, key, ascending = true) {
+        if (!CYCLE_SORT_KEYS.includes(key)) {
+            throw new Error(`Неизвестная колонка сортировки циклов: ${key}`);
+        }
+        const direction = ascending ? 1 : -1;
+        return [...cycles].sort((a, b) => {
+            if (a[key] === b[key]) return 0;
+            return (a[key] < b[key] ? -1 : 1) * direction;
+        });
+    }
+
+    /**
+     * Экспорт результатов поиска циклов
+     * В CSV после строк циклов идут итоговые строки расходящихся и исчерпавших лимит чисел
+     * (их количество - в колонке Basin Size).
+     * @param {Object} result - Результат findRangeCycles
+     * @param {string} format - Формат экспорта ('json', 'csv')
+     * @returns {string} Экспортированные данные
+     */
+    exportRangeCycles(result, format = 'json') {
+        if (format === 'json') {
+            return JSON.stringify(result, BigMath.jsonReplacer, 2);
+        }
+        if (format !== 'csv') return '';
+
+        const headers = ['Outcome', 'Min Element', 'Length', 'Basin Size', 'Smallest Start', 'Known', 'Members'];
+        const rows = result.cycles.map(cycle => [
+            TrajectoryOutcome.CYCLE,
+            cycle.minElement,
+            cycle.length,
+            cycle.basinSize,
+            cycle.smallestStart,
+            cycle.known || '',
+            cycle.members.join(' ')
+        ]);
+        [[TrajectoryOutcome.DIVERGENT, result.divergent], [TrajectoryOutcome.EXHAUSTED, result.exhausted]]
+            .forEach(([outcome, { count, smallestStart }]) => {
+                rows.push([outcome, '', '', count, smallestStart ?? '', '', '']);
+            });
+        return [headers, ...rows]
+            .map(row => row.map(cell => `"${cell}"`).join(','))
+            .join('\n');
+    }
+
     /**
      * Анализ сходимости последовательности
      * @param {Array} sequence - Последовательность
@@ -241,7 +573,7 @@ export class ComparisonAnalyzer {
         }
         
         const avgDifference = differences.reduce((a, b) => a + b, 0) / differences.length;
-        const maxDifference = Math.max(...differences);
+        const maxDifference = BigMath.max(differences);
         analysis.stabilityScore = 1 - (avgDifference / maxDifference);
         
         // Определение типа сходимости
@@ -290,7 +622,7 @@ export class ComparisonAnalyzer {
         }
 
         const lengths = this.sequences.map(seq => seq.statistics.length);
-        const maxValues = this.sequences.map(seq => seq.statistics.maxValue);
+        const maxValues = this.sequences.map(seq => BigMath.toNumber(seq.statistics.maxValue));
         const stepCounts = this.sequences.map(seq => seq.statistics.steps);
 
         this.statistics = {
@@ -307,10 +639,47 @@ export class ComparisonAnalyzer {
             patterns: this.analyzePatternDistribution(),
             correlations: this.calculateCorrelations(),
             cycles: this.analyzeCycles(),
-            convergence: this.analyzeOverallConvergence()
+            convergence: this.analyzeOverallConvergence(),
+            similarity: this.calculateSimilarityMatrices()
+        };
+    }
+
+    /**
+     * Матрицы схожести последовательностей (см. TrajectoryAlignment.similarityMatrix)
+     * Последовательности без значений (только сводка) пропускаются.
+     * @returns {Object} { ids, parity, dtw, order }: матрицы по векторам четности и по DTW
+     * логарифмов значений; order - порядок, в котором похожие траектории стоят рядом (по DTW)
+     */
+    calculateSimilarityMatrices() {
+        const records = this.sequences.filter(seq => seq.sequence);
+        const dtw = TrajectoryAlignment.similarityMatrix(records, AlignmentMetric.DTW);
+
+        return {
+            ids: records.map(seq => seq.id),
+            parity: TrajectoryAlignment.similarityMatrix(records, AlignmentMetric.PARITY),
+            dtw,
+            order: TrajectoryAlignment.orderBySimilarity(dtw)
         };
     }
 
+    /**
+     * Схожесть каждой последовательности с первой (эталонной)
+     * @returns {Map<string, Object>} ID → { parity, dtw }
+     */
+    getSimilarityToReference() {
+        const result = new Map();
+        const similarity = this.statistics.similarity;
+        if (!similarity || similarity.ids.length === 0) return result;
+
+        similarity.ids.forEach((id, index) => {
+            result.set(id, {
+                parity: similarity.parity[0][index],
+                dtw: similarity.dtw[0][index]
+            });
+        });
+        return result;
+    }
+
     /**
      * Анализ циклов во всех последовательностях
      * @returns {Object} Статистика циклов
@@ -381,6 +750,34 @@ export class ComparisonAnalyzer {
         };
     }
 
+    /**
+     * Выбирает стандартные метрики из статистики последовательности
+     * @param {Object} statistics - Статистика последовательности
+     * @returns {Object} Метрики (отсутствующие значения - null)
+     */
+    extractMetrics(statistics) {
+        const metrics = {};
+        METRIC_KEYS.forEach(key => {
+            metrics[key] = statistics[key] ?? null;
+        });
+        return metrics;
+    }
+
+    /**
+     * Распределение исходов траекторий
+     * @returns {Object} Количество последовательностей по типу исхода
+     */
+    analyzeOutcomes() {
+        const outcomes = {};
+
+        this.sequences.forEach(seq => {
+            const type = seq.outcome ? seq.outcome.type : 'unknown';
+            outcomes[type] = (outcomes[type] || 0) + 1;
+        });
+
+        return outcomes;
+    }
+
     /**
      * Детекция паттернов в последовательности
      * @param {Object} sequence - Данные последовательности
@@ -430,9 +827,9 @@ export class ComparisonAnalyzer {
         if (this.sequences.length < 2) return {};
 
         const properties = this.sequences.map(seq => ({
-            startNumber: seq.startNumber,
+            startNumber: BigMath.toNumber(seq.startNumber),
             length: seq.statistics.length,
-            maxValue: seq.statistics.maxValue,
+            maxValue: BigMath.toNumber(seq.statistics.maxValue),
             steps: seq.statistics.steps
         }));
 
@@ -488,7 +885,7 @@ export class ComparisonAnalyzer {
         if (this.sequences.length < 3) return anomalies;
 
         const lengths = this.sequences.map(seq => seq.statistics.length);
-        const maxValues = this.sequences.map(seq => seq.statistics.maxValue);
+        const maxValues = this.sequences.map(seq => BigMath.toNumber(seq.statistics.maxValue));
 
         // Поиск выбросов по длине
         const lengthStats = this.calculateOutlierStats(lengths);
@@ -569,11 +966,269 @@ export class ComparisonAnalyzer {
         };
     }
 
+    /**
+     * Проверяет параметры распределения цифр
+     * @param {string} kind - Вид распределения (DigitDistributionKind)
+     * @param {number} modulus - Модуль m для вида modulo
+     */
+    validateDigitOptions(kind, modulus) {
+        if (!Object.values(DigitDistributionKind).includes(kind)) {
+            throw new Error(`Неизвестный вид распределения цифр: ${kind}`);
+        }
+        if (kind === DigitDistributionKind.MODULO &&
+            (!Number.isInteger(modulus) || modulus < 2 || modulus > MAX_DIGIT_MODULUS)) {
+            throw new Error(`Модуль должен быть целым числом от 2 до ${MAX_DIGIT_MODULUS}`);
+        }
+    }
+
+    /**
+     * Устанавливает модуль распределения вычетов для отчета сравнения
+     * @param {number} modulus - Модуль m
+     */
+    setDigitModulus(modulus) {
+        this.validateDigitOptions(DigitDistributionKind.MODULO, modulus);
+        this.digitModulus = modulus;
+    }
+
+    /**
+     * Ожидаемые вероятности категорий: закон Бенфорда log10(1 + 1/d) для первых цифр,
+     * равномерное распределение для последних цифр и вычетов
+     * @param {string} kind - Вид распределения
+     * @param {number} modulus - Модуль m для вида modulo
+     * @returns {Object} { labels, expected }
+     */
+    getDigitCategories(kind, modulus) {
+        if (kind === DigitDistributionKind.LEADING) {
+            const digits = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+            return {
+                labels: digits.map(String),
+                expected: digits.map(digit => Math.log10(1 + 1 / digit))
+            };
+        }
+
+        const size = kind === DigitDistributionKind.FINAL ? 10 : modulus;
+        return {
+            labels: Array.from({ length: size }, (_, index) => String(index)),
+            expected: new Array(size).fill(1 / size)
+        };
+    }
+
+    /**
+     * Категория значения: первая или последняя десятичная цифра модуля значения либо вычет mod m
+     * @param {number|bigint|Rational} value - Значение траектории
+     * @param {string} kind - Вид распределения
+     * @param {number} modulus - Модуль m для вида modulo
+     * @returns {number} Индекс категории или -1, если значение не учитывается
+     * (ноль для первых цифр, нецелые значения для последних цифр и вычетов)
+     */
+    getDigitCategory(value, kind, modulus) {
+        if (kind === DigitDistributionKind.LEADING) {
+            if (BigMath.isBigInt(value)) {
+                return value === 0n ? -1 : Number(BigMath.abs(value).toString()[0]) - 1;
+            }
+            const number = Math.abs(BigMath.toNumber(value));
+            if (number === 0 || !Number.isFinite(number)) return -1;
+            return Number(number.toExponential()[0]) - 1;
+        }
+
+        if (!BigMath.isInteger(value)) return -1;
+
+        const base = kind === DigitDistributionKind.FINAL ? 10 : modulus;
+        if (BigMath.isBigInt(value)) {
+            const remainder = BigMath.abs(value) % BigInt(base);
+            return kind === DigitDistributionKind.FINAL
+                ? Number(remainder)
+                : Number(value < 0n && remainder !== 0n ? BigInt(base) - remainder : remainder);
+        }
+        const remainder = Math.abs(value) % base;
+        return kind === DigitDistributionKind.FINAL || value >= 0 || remainder === 0
+            ? remainder
+            : base - remainder;
+    }
+
+    /**
+     * Добавляет значения в счетчики категорий
+     * @param {Iterable<number|bigint|Rational>} values - Значения траектории
+     * @param {Object} counter - { counts, skipped } (см. createDigitCounter)
+     * @param {string} kind - Вид распределения
+     * @param {number} modulus - Модуль m для вида modulo
+     */
+    countDigits(values, counter, kind, modulus) {
+        for (const value of values) {
+            const category = this.getDigitCategory(value, kind, modulus);
+            if (category < 0) {
+                counter.skipped++;
+            } else {
+                counter.counts[category]++;
+            }
+        }
+    }
+
+    /**
+     * Пустые счетчики категорий
+     * @param {string} kind - Вид распределения
+     * @param {number} modulus - Модуль m для вида modulo
+     * @returns {Object} { counts, skipped }
+     */
+    createDigitCounter(kind, modulus) {
+        return {
+            counts: new Array(this.getDigitCategories(kind, modulus).labels.length).fill(0),
+            skipped: 0
+        };
+    }
+
+    /**
+     * Сравнение счетчиков с ожидаемым распределением по критерию хи-квадрат
+     * @param {Object} counter - { counts, skipped }
+     * @param {string} kind - Вид распределения
+     * @param {number} modulus - Модуль m для вида modulo
+     * @returns {Object} { kind, modulus, labels, counts, total, skipped, observed, expected,
+     * chiSquare, degreesOfFreedom, pValue, lowExpected } (observed и expected - доли;
+     * chiSquare и pValue равны null, если учтенных значений нет; lowExpected - есть
+     * категории с ожидаемым количеством меньше 5, и p-значение неточно)
+     */
+    summarizeDigitCounts(counter, kind, modulus) {
+        const { labels, expected } = this.getDigitCategories(kind, modulus);
+        const { counts, skipped } = counter;
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const degreesOfFreedom = labels.length - 1;
+
+        let chiSquare = null;
+        if (total > 0) {
+            chiSquare = counts.reduce((sum, count, index) => {
+                const expectedCount = expected[index] * total;
+                return sum + (count - expectedCount) ** 2 / expectedCount;
+            }, 0);
+        }
+
+        return {
+            kind,
+            modulus: kind === DigitDistributionKind.MODULO ? modulus : null,
+            labels,
+            counts,
+            total,
+            skipped,
+            observed: counts.map(count => (total > 0 ? count / total : 0)),
+            expected,
+            chiSquare,
+            degreesOfFreedom,
+            pValue: chiSquare === null ? null : chiSquarePValue(chiSquare, degreesOfFreedom),
+            lowExpected: total * Math.min(...expected) < MIN_EXPECTED_COUNT
+        };
+    }
+
+    /**
+     * Распределение цифр значений траекторий, объединенное по всем переданным траекториям
+     * (для одной траектории передается массив из одной последовательности)
+     * @param {Array<Array<number|bigint|Rational>>} sequences - Значения траекторий
+     * @param {Object} options - Параметры
+     * @param {string} options.kind - Вид распределения (DigitDistributionKind, по умолчанию leading)
+     * @param {number} options.modulus - Модуль m для вида modulo
+     * @returns {Object} Результат summarizeDigitCounts
+     */
+    analyzeDigitDistribution(sequences, options = {}) {
+        const { kind = DigitDistributionKind.LEADING, modulus = this.digitModulus } = options;
+        this.validateDigitOptions(kind, modulus);
+
+        const counter = this.createDigitCounter(kind, modulus);
+        sequences.forEach(values => this.countDigits(values, counter, kind, modulus));
+        return this.summarizeDigitCounts(counter, kind, modulus);
+    }
+
+    /**
+     * Распределение цифр для последовательностей сравнения: по каждой и объединенное
+     * Последовательности без значений (только сводка) пропускаются.
+     * @param {Object} options - Параметры (см. analyzeDigitDistribution)
+     * @returns {Object} { pooled, sequences: [{ id, startNumber, ...результат }] }
+     */
+    analyzeComparisonDigits(options = {}) {
+        const records = this.sequences.filter(seq => seq.sequence);
+        return {
+            pooled: this.analyzeDigitDistribution(records.map(seq => seq.sequence), options),
+            sequences: records.map(seq => ({
+                id: seq.id,
+                startNumber: seq.startNumber,
+                ...this.analyzeDigitDistribution([seq.sequence], options)
+            }))
+        };
+    }
+
+    /**
+     * Распределение цифр, объединенное по траекториям всех начальных чисел start..end
+     * Траектории обходятся с тем же лимитом шагов и роста, что и при поиске циклов.
+     * Расходящиеся и исчерпавшие лимит траектории не учитываются: их длинные хвосты
+     * перевесили бы остальные траектории, поэтому они только подсчитываются отдельно.
+     * @param {number} start - Первое начальное число
+     * @param {number} end - Последнее начальное число
+     * @param {Object} options - Параметры (см. analyzeDigitDistribution)
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {Function} options.onProgress - Обработчик прогресса (done, total)
+     * @returns {Object} Результат summarizeDigitCounts с полями start, end, divergent и exhausted
+     * ({ count, smallestStart } - пропущенные начальные числа)
+     */
+    analyzeRangeDigits(start, end, options = {}) {
+        const { kind = DigitDistributionKind.LEADING, modulus = this.digitModulus } = options;
+        this.validateDigitOptions(kind, modulus);
+        if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || start > end) {
+            throw new Error('Диапазон начальных чисел задан неверно');
+        }
+        if (end - start + 1 > MAX_DIGIT_RANGE) {
+            throw new Error(`Диапазон не может содержать больше ${MAX_DIGIT_RANGE.toLocaleString()} чисел`);
+        }
+
+        const map = CollatzMap.from(options.map);
+        const counter = this.createDigitCounter(kind, modulus);
+        const excluded = {
+            [TrajectoryOutcome.DIVERGENT]: { count: 0, smallestStart: null },
+            [TrajectoryOutcome.EXHAUSTED]: { count: 0, smallestStart: null }
+        };
+
+        for (let n = start; n <= end; n++) {
+            if (n !== 0) {
+                // Значения считаются только после того, как стал известен исход траектории
+                const iterator = CollatzAlgorithm.iterate(n, {
+                    map,
+                    maxIterations: CYCLE_SEARCH_MAX_ITERATIONS,
+                    maxBits: CYCLE_SEARCH_MAX_BITS
+                });
+                const values = [];
+                let result = iterator.next();
+                while (!result.done) {
+                    values.push(result.value);
+                    result = iterator.next();
+                }
+
+                const skipped = excluded[result.value.type];
+                if (skipped) {
+                    skipped.count++;
+                    if (skipped.smallestStart === null) skipped.smallestStart = n;
+                } else {
+                    this.countDigits(values, counter, kind, modulus);
+                }
+            }
+            if (options.onProgress && (n - start + 1) % 1000 === 0) {
+                options.onProgress(n - start + 1, end - start + 1);
+            }
+        }
+
+        return {
+            start,
+            end,
+            divergent: excluded[TrajectoryOutcome.DIVERGENT],
+            exhausted: excluded[TrajectoryOutcome.EXHAUSTED],
+            ...this.summarizeDigitCounts(counter, kind, modulus)
+        };
+    }
+
     /**
      * Генерация отчета сравнения
      * @returns {Object} Отчет сравнения
      */
     generateComparisonReport() {
+        const similarityToReference = this.getSimilarityToReference();
+        const benford = this.analyzeComparisonDigits({ kind: DigitDistributionKind.LEADING });
+        const benfordById = new Map(benford.sequences.map(item => [item.id, item]));
+
         return {
             timestamp: new Date(),
             totalSequences: this.sequences.length,
@@ -583,14 +1238,27 @@ export class ComparisonAnalyzer {
             correlations: this.calculateCorrelations(),
             cycles: this.analyzeCycles(),
             convergence: this.analyzeOverallConvergence(),
+            outcomes: this.analyzeOutcomes(),
+            // Распределения цифр, объединенные по всем траекториям сравнения
+            digits: {
+                leading: benford.pooled,
+                final: this.analyzeComparisonDigits({ kind: DigitDistributionKind.FINAL }).pooled,
+                modulo: this.analyzeComparisonDigits({ kind: DigitDistributionKind.MODULO }).pooled
+            },
             sequences: this.sequences.map(seq => ({
                 id: seq.id,
                 startNumber: seq.startNumber,
                 length: seq.statistics.length,
                 maxValue: seq.statistics.maxValue,
+                outcome: seq.outcome || null,
+                metrics: this.extractMetrics(seq.statistics),
                 patterns: seq.patterns,
                 cycles: seq.cycles,
-                convergenceAnalysis: seq.convergenceAnalysis
+                convergenceAnalysis: seq.convergenceAnalysis,
+                similarity: similarityToReference.get(seq.id) || null,
+                benford: benfordById.has(seq.id)
+                    ? { chiSquare: benfordById.get(seq.id).chiSquare, pValue: benfordById.get(seq.id).pValue }
+                    : null
             }))
         };
     }
@@ -604,7 +1272,7 @@ export class ComparisonAnalyzer {
         const report = this.generateComparisonReport();
         
         if (format === 'json') {
-            return JSON.stringify(report, null, 2);
+            return JSON.stringify(report, BigMath.jsonReplacer, 2);
         } else if (format === 'csv') {
             return this.convertToCSV(report);
         }
@@ -618,15 +1286,28 @@ export class ComparisonAnalyzer {
      * @returns {string} CSV данные
      */
     convertToCSV(report) {
-        const headers = ['ID', 'Start Number', 'Length', 'Max Value', 'Patterns', 'Cycles', 'Convergence Type'];
+        const headers = [
+            'ID', 'Start Number', 'Length', 'Max Value', 'Outcome',
+            'Stopping Time', 'Total Stopping Time', 'Glide', 'Odd Steps', 'Even Steps',
+            'Residue', 'Gamma', 'Completeness',
+            'Patterns', 'Cycles', 'Convergence Type',
+            'Parity Similarity', 'DTW Similarity',
+            'Benford Chi-Square', 'Benford p-value'
+        ];
         const rows = report.sequences.map(seq => [
             seq.id,
             seq.startNumber,
             seq.length,
             seq.maxValue,
+            seq.outcome ? seq.outcome.type : 'unknown',
+            ...METRIC_KEYS.map(key => seq.metrics[key] ?? ''),
             seq.patterns.map(p => p.name).join('; '),
             seq.cycles ? seq.cycles.length : 0,
-            seq.convergenceAnalysis ? seq.convergenceAnalysis.convergenceType : 'unknown'
+            seq.convergenceAnalysis ? seq.convergenceAnalysis.convergenceType : 'unknown',
+            seq.similarity ? seq.similarity.parity : '',
+            seq.similarity ? seq.similarity.dtw : '',
+            seq.benford?.chiSquare ?? '',
+            seq.benford?.pValue ?? ''
         ]);
         
         return [headers, ...rows]
@@ -659,7 +1340,7 @@ export class ComparisonAnalyzer {
         if (filteredSequences.length === 0) return {};
 
         const lengths = filteredSequences.map(seq => seq.statistics.length);
-        const maxValues = filteredSequences.map(seq => seq.statistics.maxValue);
+        const maxValues = filteredSequences.map(seq => BigMath.toNumber(seq.statistics.maxValue));
 
         return {
             count: filteredSequences.length,
@@ -686,9 +1367,10 @@ export class ComparisonAnalyzer {
         }
 
         // Находим похожие последовательности
+        const distance = (seq) => Math.abs(BigMath.toNumber(BigMath.subtract(seq.startNumber, startNumber)));
         const similarSequences = this.sequences
-            .filter(seq => Math.abs(seq.startNumber - startNumber) <= 10)
-            .sort((a, b) => Math.abs(a.startNumber - startNumber) - Math.abs(b.startNumber - startNumber));
+            .filter(seq => distance(seq) <= 10)
+            .sort((a, b) => distance(a) - distance(b));
 
         if (similarSequences.length === 0) {
             return {
@@ -698,7 +1380,7 @@ export class ComparisonAnalyzer {
         }
 
         const avgLength = similarSequences.reduce((sum, seq) => sum + seq.statistics.length, 0) / similarSequences.length;
-        const avgMaxValue = similarSequences.reduce((sum, seq) => sum + seq.statistics.maxValue, 0) / similarSequences.length;
+        const avgMaxValue = similarSequences.reduce((sum, seq) => sum + BigMath.toNumber(seq.statistics.maxValue), 0) / similarSequences.length;
 
         const confidence = Math.min(0.9, similarSequences.length / 10);
 
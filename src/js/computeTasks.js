@@ -0,0 +1,174 @@
+/**
+ * Модуль вычислительных задач
+ *
+ * Описывает тяжелые вычисления, которые выполняются в Web Worker (см. computeWorker.js
+ * и WorkerPool). Если воркеры недоступны, те же задачи выполняются в основном потоке.
+ * Каждая задача получает сериализуемые параметры и контекст { onProgress, signal }
+ * и возвращает результат, пригодный для structured clone.
+ */
+
+import { CollatzAlgorithm } from './algorithm.js';
+import { SweepEngine } from './sweepEngine.js';
+import { ComparisonAnalyzer } from './comparisonAnalyzer.js';
+import { CollatzMap } from './collatzMap.js';
+import { ResidueSieve } from './residueSieve.js';
+import { Rational } from './rational.js';
+
+export const computeTasks = {
+    /**
+     * Строит траекторию вместе со статистикой и паттернами
+     * @param {Object} payload - { startNumber, map, mode } (startNumber - число или дробь)
+     * @returns {Object} { sequence, outcome, statistics, patterns }
+     */
+    async computeSequence({ startNumber, map, mode }) {
+        const { sequence, outcome } = CollatzAlgorithm.generateTrajectory(startNumber, { map, mode });
+        const statistics = CollatzAlgorithm.calculateStatistics(sequence, { map, mode, startNumber });
+        const patterns = CollatzAlgorithm.analyzePatterns(sequence, { map });
+
+        return { sequence, outcome, statistics, patterns };
+    },
+
+    /**
+     * Считает сводку полной траектории без хранения значений
+     * @param {Object} payload - { startNumber, map, jumpBits }
+     * @returns {Object} { outcome, statistics } (см. CollatzAlgorithm.summarizeTrajectory)
+     */
+    async summarizeSequence({ startNumber, map, jumpBits }) {
+        return CollatzAlgorithm.summarizeTrajectory(startNumber, { map, jumpBits });
+    },
+
+    /**
+     * Считает сводки полных траекторий для набора начальных чисел
+     * @param {Object} payload - { startNumbers, map, jumpBits }
+     * @param {Object} context - { onProgress }
+     * @returns {Array<Object>} Сводки { startNumber, outcome, statistics } в порядке startNumbers
+     */
+    async summarizeBatch({ startNumbers, map, jumpBits }, context = {}) {
+        return startNumbers.map((startNumber, index) => {
+            const summary = CollatzAlgorithm.summarizeTrajectory(startNumber, { map, jumpBits });
+            if (context.onProgress) {
+                context.onProgress(index + 1, startNumbers.length);
+            }
+            return { startNumber, ...summary };
+        });
+    },
+
+    /**
+     * Ищет числа диапазона с длинными последовательностями
+     * @param {Object} payload - { start, end, minLength, map }
+     * @param {Object} context - { onProgress, signal }
+     * @returns {Array<Object>} Результат CollatzAlgorithm.findLongSequences
+     */
+    async findLongSequences({ start, end, minLength, map }, context = {}) {
+        if (CollatzMap.from(map).isStandard()) {
+            const engine = await new SweepEngine(end).run(context);
+            return engine.findLongSequences(start, end, minLength);
+        }
+
+        return CollatzAlgorithm.findLongSequences(start, end, minLength, {
+            map,
+            onProgress: context.onProgress
+        });
+    },
+
+    /**
+     * Заполняет таблицы SweepEngine для диапазона 1..limit
+     * @param {Object} payload - { limit, jumpBits } (jumpBits - см. SweepEngine)
+     * @param {Object} context - { onProgress, signal }
+     * @returns {Object} Таблицы { limit, steps, peaks } (см. SweepEngine.fromTables)
+     */
+    async sweep({ limit, jumpBits }, context = {}) {
+        const engine = await new SweepEngine(limit, { jumpBits }).run(context);
+        return engine.toTables();
+    },
+
+    /**
+     * Ищет начальные числа 1..limit, траектории которых удовлетворяют запросу
+     * Если переданы готовые таблицы прохода (см. SweepEngine.toTables), поиск идет
+     * по ним без пересчета диапазона, и таблицы возвращаются вызывающему вместе с результатом.
+     * @param {Object} payload - { limit, query, tables } (query - см. SweepEngine.search)
+     * @param {Object} context - { onProgress, signal }
+     * @returns {Object} Результат SweepEngine.search и tables, если таблицы были переданы
+     */
+    async searchStarts({ limit, query, tables }, context = {}) {
+        SweepEngine.validateQuery(query);
+        if (tables) {
+            const result = SweepEngine.fromTables(tables).search(query, { onProgress: context.onProgress });
+            return { ...result, tables };
+        }
+
+        const engine = await new SweepEngine(limit).run(context);
+        return engine.search(query, { onProgress: context.onProgress });
+    },
+
+    /**
+     * Ищет все циклы, в которые попадают числа 1..limit
+     * @param {Object} payload - { limit, map }
+     * @param {Object} context - { onProgress }
+     * @returns {Object} Результат ComparisonAnalyzer.findRangeCycles
+     */
+    async findRangeCycles({ limit, map }, context = {}) {
+        return new ComparisonAnalyzer().findRangeCycles(limit, { map, onProgress: context.onProgress });
+    },
+
+    /**
+     * Считает распределение цифр значений траекторий всех начальных чисел диапазона
+     * @param {Object} payload - { start, end, kind, modulus, map }
+     * @param {Object} context - { onProgress }
+     * @returns {Object} Результат ComparisonAnalyzer.analyzeRangeDigits
+     */
+    async digitDistribution({ start, end, kind, modulus, map }, context = {}) {
+        return new ComparisonAnalyzer().analyzeRangeDigits(start, end, {
+            kind,
+            modulus,
+            map,
+            onProgress: context.onProgress
+        });
+    },
+
+    /**
+     * Строит решето классов вычетов по модулю 2^k
+     * @param {Object} payload - { k, map }
+     * @param {Object} context - { onProgress, signal }
+     * @returns {Object} Результат ResidueSieve.compute
+     */
+    async residueSieve({ k, map }, context = {}) {
+        return ResidueSieve.compute(k, { map, onProgress: context.onProgress });
+    },
+
+    /**
+     * Анализирует набор последовательностей для панели сравнения
+     * @param {Object} payload - { sequences } - записи DataManager
+     * @returns {Object} { analyses, statistics } для ComparisonAnalyzer.addSequences
+     */
+    async analyzeComparison({ sequences }, context = {}) {
+        const analyzer = new ComparisonAnalyzer();
+        analyzer.initializePatterns();
+
+        const analyses = sequences.map((sequence, index) => {
+            if (context.onProgress) {
+                context.onProgress(index, sequences.length);
+            }
+            return analyzer.analyzeSequence(sequence);
+        });
+
+        analyzer.addSequences(sequences, analyses);
+        return { analyses, statistics: analyzer.statistics };
+    }
+};
+
+/**
+ * Выполняет задачу по имени
+ * @param {string} type - Имя задачи из computeTasks
+ * @param {Object} payload - Параметры задачи
+ * @param {Object} context - { onProgress, signal }
+ * @returns {Promise<*>} Результат задачи
+ */
+export async function runComputeTask(type, payload, context = {}) {
+    const task = computeTasks[type];
+    if (!task) {
+        throw new Error(`Неизвестная вычислительная задача: ${type}`);
+    }
+    // Дроби в параметрах приходят из воркера без класса (см. Rational.revive)
+    return task(Rational.revive(payload), context);
+}
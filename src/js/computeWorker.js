@@ -0,0 +1,49 @@
+/**
+ * Web Worker для тяжелых вычислений
+ *
+ * Протокол сообщений:
+ * - входящее: { id, type, payload }
+ * - исходящие: { id, type: 'progress', done, total },
+ *   { id, type: 'result', result } или { id, type: 'error', error: { name, message } }
+ */
+
+import { runComputeTask } from './computeTasks.js';
+
+/**
+ * Собирает буферы типизированных массивов результата для передачи без копирования
+ * Просматриваются поля результата и поля вложенных объектов (например, tables)
+ * @param {*} result - Результат задачи
+ * @returns {Array<ArrayBuffer>} Передаваемые буферы
+ */
+function collectTransferables(result) {
+    if (!result || typeof result !== 'object') return [];
+
+    return Object.values(result).flatMap(value => {
+        if (ArrayBuffer.isView(value)) return [value.buffer];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.values(value)
+                .filter(item => ArrayBuffer.isView(item))
+                .map(item => item.buffer);
+        }
+        return [];
+    });
+}
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    const onProgress = (done, total) => {
+        self.postMessage({ id, type: 'progress', done, total });
+    };
+
+    try {
+        const result = await runComputeTask(type, payload, { onProgress });
+        self.postMessage({ id, type: 'result', result }, collectTransferables(result));
+    } catch (error) {
+        self.postMessage({
+            id,
+            type: 'error',
+            error: { name: error.name, message: error.message }
+        });
+    }
+};
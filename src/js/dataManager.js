@@ -3,58 +3,206 @@
  * Отвечает за хранение, обновление и предоставление данных о последовательностях
  */
 
-import { CollatzAlgorithm } from './algorithm.js';
+import { CollatzAlgorithm, SequenceMode } from './algorithm.js';
+import { BigMath } from './bigMath.js';
+import { CollatzMap } from './collatzMap.js';
+import { MAX_BATCH_SIZE } from './inputParser.js';
+import { TrajectoryAlignment } from './trajectoryAlignment.js';
+import { Rational } from './rational.js';
 
 export class DataManager {
     constructor() {
         this.sequences = [];
         this.currentSequenceId = 0;
         this.maxSequences = 10; // Максимальное количество последовательностей для сравнения
+        this.maxSummaries = MAX_BATCH_SIZE; // Максимальное количество записей только со сводкой
         this.eventListeners = new Map();
     }
 
     /**
      * Добавляет новую последовательность в хранилище
-     * @param {number} startNumber - Начальное число
-     * @param {Array<number>} sequence - Последовательность чисел
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Array<number|bigint>} sequence - Последовательность чисел
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {string} options.mode - Режим представления траектории (по умолчанию standard)
+     * @param {Object} options.outcome - Исход траектории из generateTrajectory
+     * (если не указан, определяется по самой последовательности)
+     * @param {Object} options.statistics - Готовая статистика (например, вычисленная в Web Worker)
+     * @param {Object} options.patterns - Готовый анализ паттернов
      * @returns {Object} Объект с данными последовательности
      */
-    addSequence(startNumber, sequence) {
-        // Проверяем, не превышен ли лимит последовательностей
-        if (this.sequences.length >= this.maxSequences) {
-            // Удаляем самую старую последовательность
-            this.sequences.shift();
-        }
+    addSequence(startNumber, sequence, options = {}) {
+        const sequenceData = this.createSequenceRecord(startNumber, sequence, options, this.sequences.length);
+
+        // Добавляем в массив
+        this.sequences.push(sequenceData);
+        this.trimSequences();
+        
+        // Уведомляем слушателей об изменении
+        this.notifyListeners('sequenceAdded', sequenceData);
+        
+        return sequenceData;
+    }
+
+    /**
+     * Добавляет набор последовательностей за один раз (например, диапазон из поля ввода)
+     * Лимиты хранилища применяются один раз после добавления, слушатели получают
+     * одно событие 'sequencesAdded' со всеми записями.
+     * @param {Array<Object>} entries - Элементы { startNumber, sequence, ...options }:
+     * при sequence = null добавляется запись только со сводкой (см. addSequenceSummary),
+     * остальные параметры такие же, как у addSequence
+     * @returns {Array<Object>} Добавленные записи, оставшиеся в хранилище
+     */
+    addSequences(entries) {
+        const records = entries.map(({ startNumber, sequence, ...options }, index) => {
+            const colorIndex = this.sequences.length + index;
+            return sequence
+                ? this.createSequenceRecord(startNumber, sequence, options, colorIndex)
+                : this.createSummaryRecord(startNumber, options, colorIndex);
+        });
+
+        this.sequences.push(...records);
+        this.trimSequences();
+
+        const stored = records.filter(record => this.sequences.includes(record));
+        this.notifyListeners('sequencesAdded', stored);
+
+        return stored;
+    }
+
+    /**
+     * Удаляет самые старые записи сверх лимитов хранилища:
+     * maxSequences для записей со значениями и maxSummaries для записей со сводкой
+     */
+    trimSequences() {
+        let materialized = this.sequences.filter(seq => seq.sequence).length;
+        let summaries = this.sequences.length - materialized;
+
+        this.sequences = this.sequences.filter(seq => {
+            if (seq.sequence && materialized > this.maxSequences) {
+                materialized--;
+                return false;
+            }
+            if (!seq.sequence && summaries > this.maxSummaries) {
+                summaries--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Создает запись последовательности без добавления в хранилище
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Array<number|bigint>} sequence - Последовательность чисел
+     * @param {Object} options - Параметры (см. addSequence)
+     * @param {number} colorIndex - Номер цвета записи
+     * @returns {Object} Объект с данными последовательности
+     */
+    createSequenceRecord(startNumber, sequence, options, colorIndex) {
+        const map = CollatzMap.from(options.map);
 
         // Генерируем уникальный ID
         const id = this.generateId();
         
         // Вычисляем статистику
-        const statistics = CollatzAlgorithm.calculateStatistics(sequence);
+        const statistics = options.statistics || CollatzAlgorithm.calculateStatistics(sequence, {
+            map,
+            mode: options.mode,
+            startNumber
+        });
         
         // Генерируем цвет для визуализации
-        const color = this.generateColor(this.sequences.length);
+        const color = this.generateColor(colorIndex);
         
         // Создаем объект последовательности
         const sequenceData = {
             id,
             startNumber,
             sequence,
+            map: map.toJSON(),
+            mode: options.mode || SequenceMode.STANDARD,
+            outcome: options.outcome || CollatzAlgorithm.classifyOutcome(sequence),
             statistics,
             color,
             createdAt: new Date().toISOString(),
-            patterns: CollatzAlgorithm.analyzePatterns(sequence)
+            patterns: options.patterns || CollatzAlgorithm.analyzePatterns(sequence, { map })
         };
 
-        // Добавляем в массив
+        return sequenceData;
+    }
+
+    /**
+     * Добавляет запись только со сводкой траектории, без самих значений
+     * Используется для огромных начальных чисел: статистика считается потоково
+     * (см. CollatzAlgorithm.summarizeTrajectory), а значения можно получить
+     * по частям через getSequenceWindow. Сводка строится для полной траектории.
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     * @param {Object} options.statistics - Готовая статистика
+     * @param {Object} options.outcome - Готовый исход траектории
+     * @returns {Object} Объект с данными последовательности (sequence = null)
+     */
+    addSequenceSummary(startNumber, options = {}) {
+        const sequenceData = this.createSummaryRecord(startNumber, options, this.sequences.length);
+
         this.sequences.push(sequenceData);
-        
-        // Уведомляем слушателей об изменении
+        this.trimSequences();
         this.notifyListeners('sequenceAdded', sequenceData);
-        
+
         return sequenceData;
     }
 
+    /**
+     * Создает запись только со сводкой без добавления в хранилище
+     * @param {number|bigint} startNumber - Начальное число
+     * @param {Object} options - Параметры (см. addSequenceSummary)
+     * @param {number} colorIndex - Номер цвета записи
+     * @returns {Object} Объект с данными последовательности (sequence = null)
+     */
+    createSummaryRecord(startNumber, options, colorIndex) {
+        const map = CollatzMap.from(options.map);
+        const summary = options.statistics && options.outcome
+            ? options
+            : CollatzAlgorithm.summarizeTrajectory(startNumber, { map });
+
+        return {
+            id: this.generateId(),
+            startNumber,
+            sequence: null,
+            summaryOnly: true,
+            map: map.toJSON(),
+            mode: SequenceMode.STANDARD,
+            outcome: summary.outcome,
+            statistics: summary.statistics,
+            color: this.generateColor(colorIndex),
+            createdAt: new Date().toISOString(),
+            patterns: null
+        };
+    }
+
+    /**
+     * Получает часть значений последовательности
+     * Для записей со сводкой значения вычисляются заново от начального числа.
+     * @param {string} id - ID последовательности
+     * @param {number} offset - Номер первого шага
+     * @param {number} count - Количество значений
+     * @returns {Array<number|bigint>} Значения шагов offset..offset + count - 1
+     */
+    getSequenceWindow(id, offset = 0, count = 100) {
+        const record = this.getSequenceById(id);
+        if (!record) {
+            throw new Error('Последовательность не найдена');
+        }
+
+        if (record.sequence) {
+            return record.sequence.slice(offset, offset + count);
+        }
+        return CollatzAlgorithm.getTrajectoryWindow(record.startNumber, offset, count, { map: record.map });
+    }
+
     /**
      * Удаляет последовательность по ID
      * @param {string} id - ID последовательности
@@ -78,6 +226,15 @@ export class DataManager {
         return [...this.sequences];
     }
 
+    /**
+     * Получает последовательности, значения которых хранятся целиком
+     * (записи только со сводкой пропускаются - их нельзя построить на графиках)
+     * @returns {Array<Object>} Массив последовательностей
+     */
+    getMaterializedSequences() {
+        return this.sequences.filter(seq => seq.sequence);
+    }
+
     /**
      * Получает последовательность по ID
      * @param {string} id - ID последовательности
@@ -116,6 +273,7 @@ export class DataManager {
                 minLength: 0,
                 totalSteps: 0,
                 sequencesReachingOne: 0,
+                outcomes: {},
                 averageMaxValue: 0,
                 mostCommonMaxValue: 0
             };
@@ -126,15 +284,27 @@ export class DataManager {
         const steps = this.sequences.map(seq => seq.statistics.steps);
         const reachingOne = this.sequences.filter(seq => seq.statistics.hasReachedOne).length;
 
+        // Количество последовательностей по типу исхода
+        const outcomes = {};
+        this.sequences.forEach(seq => {
+            if (seq.outcome) {
+                outcomes[seq.outcome.type] = (outcomes[seq.outcome.type] || 0) + 1;
+            }
+        });
+
         // Находим наиболее частое максимальное значение
-        const maxValueCounts = {};
+        // (счетчики ведутся по записи значения, возвращается само значение - BigInt или дробь)
+        const maxValueCounts = new Map();
         maxValues.forEach(value => {
-            maxValueCounts[value] = (maxValueCounts[value] || 0) + 1;
+            const key = String(value);
+            const entry = maxValueCounts.get(key) || { value, count: 0 };
+            entry.count++;
+            maxValueCounts.set(key, entry);
         });
         
-        const mostCommonMaxValue = Object.keys(maxValueCounts).reduce((a, b) => 
-            maxValueCounts[a] > maxValueCounts[b] ? a : b
-        );
+        const mostCommonMaxValue = [...maxValueCounts.values()].reduce((a, b) => 
+            a.count > b.count ? a : b
+        ).value;
 
         return {
             totalSequences: this.sequences.length,
@@ -143,8 +313,9 @@ export class DataManager {
             minLength: Math.min(...lengths),
             totalSteps: steps.reduce((sum, step) => sum + step, 0),
             sequencesReachingOne: reachingOne,
-            averageMaxValue: maxValues.reduce((sum, val) => sum + val, 0) / maxValues.length,
-            mostCommonMaxValue: parseInt(mostCommonMaxValue)
+            outcomes,
+            averageMaxValue: maxValues.reduce((sum, val) => sum + BigMath.toNumber(val), 0) / maxValues.length,
+            mostCommonMaxValue
         };
     }
 
@@ -162,41 +333,94 @@ export class DataManager {
             throw new Error('Одна или обе последовательности не найдены');
         }
 
+        // Выравнивание траекторий (см. TrajectoryAlignment) - только для записей со значениями
+        const alignment = seq1.sequence && seq2.sequence
+            ? TrajectoryAlignment.compare(seq1, seq2)
+            : null;
+
         const comparison = {
             lengthDifference: seq1.statistics.length - seq2.statistics.length,
-            maxValueDifference: seq1.statistics.maxValue - seq2.statistics.maxValue,
+            maxValueDifference: BigMath.subtract(seq1.statistics.maxValue, seq2.statistics.maxValue),
             stepDifference: seq1.statistics.steps - seq2.statistics.steps,
             complexityDifference: seq1.statistics.complexity - seq2.statistics.complexity,
             averageValueDifference: seq1.statistics.averageValue - seq2.statistics.averageValue,
             evenOddRatio1: seq1.statistics.evenCount / seq1.statistics.oddCount,
             evenOddRatio2: seq2.statistics.evenCount / seq2.statistics.oddCount,
-            similarity: this.calculateSimilarity(seq1.sequence, seq2.sequence)
+            similarity: alignment ? alignment.parity.similarity : null,
+            dtwSimilarity: alignment ? alignment.dtw.similarity : null,
+            alignment,
+            mergePoint: this.canMerge([seq1, seq2]) ? this.findMergePoint([id1, id2]) : null
         };
 
         return comparison;
     }
 
     /**
-     * Вычисляет схожесть между двумя последовательностями
-     * @param {Array<number>} seq1 - Первая последовательность
-     * @param {Array<number>} seq2 - Вторая последовательность
-     * @returns {number} Коэффициент схожести (0-1)
+     * Проверяет, можно ли искать точку слияния записей: значения должны храниться целиком,
+     * а траектории - строиться одним отображением в одном режиме
+     * @param {Array<Object>} records - Записи последовательностей
+     * @returns {boolean} true, если точка слияния определена
      */
-    calculateSimilarity(seq1, seq2) {
-        const minLength = Math.min(seq1.length, seq2.length);
-        let matches = 0;
+    canMerge(records) {
+        if (records.length < 2 || records.some(record => !record.sequence)) return false;
 
-        for (let i = 0; i < minLength; i++) {
-            if (seq1[i] === seq2[i]) {
-                matches++;
-            }
+        const [first] = records;
+        const map = CollatzMap.from(first.map);
+        return records.every(record =>
+            record.mode === first.mode && CollatzMap.from(record.map).equals(map)
+        );
+    }
+
+    /**
+     * Находит точку слияния траекторий (см. CollatzAlgorithm.findMergePoint)
+     * @param {Array<string>} ids - ID последовательностей (по умолчанию все со значениями)
+     * @returns {Object|null} { value, sharedTailLength, records }: records - { id, startNumber,
+     * color, steps } для каждой последовательности; null, если общих значений нет
+     */
+    findMergePoint(ids = this.getMaterializedSequences().map(seq => seq.id)) {
+        const records = ids.map(id => this.getSequenceById(id));
+        if (records.some(record => !record)) {
+            throw new Error('Одна или несколько последовательностей не найдены');
         }
+        if (!this.canMerge(records)) {
+            throw new Error('Точка слияния определяется для траекторий одного отображения и режима');
+        }
+
+        const merge = CollatzAlgorithm.findMergePoint(records.map(record => record.sequence));
+        if (!merge) return null;
+
+        return {
+            value: merge.value,
+            sharedTailLength: merge.sharedTailLength,
+            records: records.map((record, index) => ({
+                id: record.id,
+                startNumber: record.startNumber,
+                color: record.color,
+                steps: merge.steps[index]
+            }))
+        };
+    }
 
-        return matches / minLength;
+    /**
+     * Вычисляет схожесть между двумя последовательностями
+     * Траектории разной длины выравниваются: схожесть считается по редакционному
+     * расстоянию между векторами четности (см. TrajectoryAlignment.editDistance)
+     * @param {Array<number|bigint>} seq1 - Первая последовательность
+     * @param {Array<number|bigint>} seq2 - Вторая последовательность
+     * @param {CollatzMap|Object} map - Отображение (по умолчанию 3n+1)
+     * @returns {number} Коэффициент схожести (0-1)
+     */
+    calculateSimilarity(seq1, seq2, map) {
+        return TrajectoryAlignment.editDistanceSimilarity(
+            CollatzAlgorithm.getParityVector(seq1, { map }),
+            CollatzAlgorithm.getParityVector(seq2, { map })
+        ).similarity;
     }
 
     /**
      * Экспортирует данные в JSON
+     * Значения BigInt сохраняются как строки вида "123n", дроби - объектами
+     * { numerator, denominator }; и те и другие точно восстанавливаются при импорте
      * @returns {string} JSON строка с данными
      */
     exportToJSON() {
@@ -207,7 +431,7 @@ export class DataManager {
             version: '1.0.0'
         };
 
-        return JSON.stringify(exportData, null, 2);
+        return JSON.stringify(exportData, BigMath.jsonReplacer, 2);
     }
 
     /**
@@ -217,9 +441,17 @@ export class DataManager {
      */
     importFromJSON(jsonData) {
         try {
-            const data = JSON.parse(jsonData);
+            // Сначала восстанавливаются BigInt, затем дроби из их полей
+            const data = JSON.parse(jsonData, (key, value) =>
+                Rational.jsonReviver(key, BigMath.jsonReviver(key, value)));
             
             if (data.sequences && Array.isArray(data.sequences)) {
+                // Старые экспорты не содержат исхода траектории - восстанавливаем его
+                data.sequences.forEach(seq => {
+                    if (!seq.outcome && seq.sequence) {
+                        seq.outcome = CollatzAlgorithm.classifyOutcome(seq.sequence);
+                    }
+                });
                 this.sequences = data.sequences;
                 this.notifyListeners('dataImported', data);
                 return true;
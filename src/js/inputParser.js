@@ -0,0 +1,370 @@
+/**
+ * Модуль разбора поля ввода начальных чисел
+ *
+ * Поле принимает одно или несколько значений через запятую или точку с запятой.
+ * Каждое значение - арифметическое выражение или диапазон:
+ * - выражения: целые числа, + - * / % ^ (или **), скобки, факториал n! и
+ *   функции factorial(n), pow(a, b) - например, 2^64-1, 27*3^5, factorial(20)+1;
+ * - диапазоны: a..b или a..b step s - например, 1..100, 1..1000 step 7.
+ * Допускаются отрицательные числа (-17, -20..-1), но не ноль.
+ *
+ * Вычисления ведутся в BigInt, поэтому результат точен для любых размеров.
+ * Разбор выполняется собственным рекурсивным спуском без eval; ошибки содержат
+ * позицию в строке (см. InputParseError).
+ */
+
+import { BigMath } from './bigMath.js';
+
+// Максимальное количество чисел в одном вводе
+export const MAX_BATCH_SIZE = 1000;
+
+// Ограничение размера промежуточных результатов (бит), чтобы 9^9^9 не зависал
+const MAX_VALUE_BITS = 65536;
+
+// Наибольший аргумент факториала (5000! занимает около 54000 бит)
+const MAX_FACTORIAL = 5000;
+
+/**
+ * Ошибка разбора ввода с позицией (с нуля) в исходной строке
+ */
+export class InputParseError extends Error {
+    /**
+     * @param {string} reason - Описание ошибки
+     * @param {number} position - Позиция символа, на котором обнаружена ошибка
+     */
+    constructor(reason, position) {
+        super(`${reason} (позиция ${position + 1})`);
+        this.name = 'InputParseError';
+        this.reason = reason;
+        this.position = position;
+    }
+}
+
+export class InputParser {
+    /**
+     * Разбирает ввод в список начальных чисел
+     * Повторяющиеся числа пропускаются, порядок ввода сохраняется.
+     * @param {string} text - Текст поля ввода
+     * @returns {Array<number|bigint>} Ненулевые числа (BigInt - только для больших значений)
+     */
+    static parse(text) {
+        const parser = new ExpressionParser(String(text));
+        const items = parser.parseList();
+
+        const values = [];
+        const seen = new Set();
+        const add = (value) => {
+            const key = value.toString();
+            if (seen.has(key)) return;
+            seen.add(key);
+            values.push(BigMath.isSafe(value) ? Number(value) : value);
+        };
+
+        for (const item of items) {
+            if (item.type === 'value') {
+                add(item.value);
+                continue;
+            }
+            for (let value = item.start; value <= item.end; value += item.step) {
+                add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Предпросмотр ввода без выбрасывания ошибок
+     * @param {string} text - Текст поля ввода
+     * @returns {Object} { count, error }: count - количество последовательностей,
+     * error - InputParseError или null
+     */
+    static preview(text) {
+        if (String(text).trim() === '') {
+            return { count: 0, error: null };
+        }
+
+        try {
+            return { count: this.parse(text).length, error: null };
+        } catch (error) {
+            if (error instanceof InputParseError) {
+                return { count: 0, error };
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Рекурсивный спуск по строке ввода
+ * Грамматика:
+ *   list    := item ((',' | ';') item)*
+ *   item    := expr ('..' expr ('step' expr)?)?
+ *   expr    := term (('+' | '-') term)*
+ *   term    := unary (('*' | '/' | '%') unary)*
+ *   unary   := ('+' | '-') unary | power
+ *   power   := postfix (('^' | '**') unary)?
+ *   postfix := primary '!'*
+ *   primary := number | name '(' expr (',' expr)* ')' | '(' expr ')'
+ */
+class ExpressionParser {
+    constructor(text) {
+        this.text = text;
+        this.position = 0;
+        this.count = 0;
+    }
+
+    /**
+     * Разбирает список значений и диапазонов
+     * @returns {Array<Object>} { type: 'value', value } или { type: 'range', start, end, step }
+     */
+    parseList() {
+        const items = [];
+
+        do {
+            items.push(this.parseItem());
+        } while (this.match(',') || this.match(';'));
+
+        this.skipSpaces();
+        if (this.position < this.text.length) {
+            this.fail(`Неожиданный символ «${this.text[this.position]}»`);
+        }
+
+        return items;
+    }
+
+    parseItem() {
+        this.skipSpaces();
+        const start = this.position;
+        const first = this.parseExpression();
+
+        if (!this.match('..')) {
+            this.checkStart(first, start);
+            this.addToCount(1n, start);
+            return { type: 'value', value: first };
+        }
+
+        const endPosition = this.peekPosition();
+        const last = this.parseExpression();
+        let step = 1n;
+        if (this.matchWord('step')) {
+            const stepPosition = this.peekPosition();
+            step = this.parseExpression();
+            if (step < 1n) {
+                this.fail('Шаг диапазона должен быть положительным', stepPosition);
+            }
+        }
+
+        if (last < first) {
+            this.fail('Конец диапазона меньше начала', endPosition);
+        }
+        if (first <= 0n && last >= 0n && first % step === 0n) {
+            this.fail('Диапазон не должен содержать ноль', start);
+        }
+
+        this.addToCount((last - first) / step + 1n, start);
+        return { type: 'range', start: first, end: last, step };
+    }
+
+    parseExpression() {
+        let value = this.parseTerm();
+
+        for (;;) {
+            if (this.match('+')) {
+                value += this.parseTerm();
+            } else if (this.match('-')) {
+                value -= this.parseTerm();
+            } else {
+                return value;
+            }
+        }
+    }
+
+    parseTerm() {
+        let value = this.parseUnary();
+
+        for (;;) {
+            if (this.match('*')) {
+                value *= this.parseUnary();
+            } else if (this.match('/')) {
+                const position = this.position - 1;
+                const divisor = this.parseUnary();
+                if (divisor === 0n) this.fail('Деление на ноль', position);
+                if (value % divisor !== 0n) this.fail('Результат деления не целый', position);
+                value /= divisor;
+            } else if (this.match('%')) {
+                const position = this.position - 1;
+                const divisor = this.parseUnary();
+                if (divisor === 0n) this.fail('Деление на ноль', position);
+                value %= divisor;
+            } else {
+                return value;
+            }
+        }
+    }
+
+    parseUnary() {
+        if (this.match('-')) return -this.parseUnary();
+        if (this.match('+')) return this.parseUnary();
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePostfix();
+
+        if (this.match('**') || this.match('^')) {
+            const position = this.position - 1;
+            const exponent = this.parseUnary();
+            return this.power(base, exponent, position);
+        }
+        return base;
+    }
+
+    parsePostfix() {
+        let value = this.parsePrimary();
+        while (this.match('!')) {
+            value = this.factorial(value, this.position - 1);
+        }
+        return value;
+    }
+
+    parsePrimary() {
+        this.skipSpaces();
+        const start = this.position;
+        const char = this.text[start];
+
+        if (char === undefined) {
+            this.fail('Ожидается число');
+        }
+
+        if (this.match('(')) {
+            const value = this.parseExpression();
+            this.expect(')');
+            return value;
+        }
+
+        // Цифры можно разделять подчеркиваниями (1_000_000) или одиночными пробелами
+        // строго по три цифры (1 000 000); «27 97 871» - ошибка, а не 2797871
+        const number = /^\d{1,3}(?: \d{3})+(?![\d_])|^\d[\d_]*/.exec(this.text.slice(start));
+        if (number) {
+            this.position += number[0].length;
+            const digitAfterSpace = /^\s+(?=\d)/.exec(this.text.slice(this.position));
+            if (digitAfterSpace) {
+                this.fail('Числа разделяются запятой, а разряды - пробелом по три цифры',
+                    this.position + digitAfterSpace[0].length);
+            }
+            return BigInt(number[0].replace(/[ _]/g, ''));
+        }
+
+        const name = /^[a-zA-Z]+/.exec(this.text.slice(start));
+        if (name) {
+            this.position += name[0].length;
+            return this.parseCall(name[0].toLowerCase(), start);
+        }
+
+        this.fail(`Неожиданный символ «${char}»`);
+    }
+
+    parseCall(name, start) {
+        this.expect('(');
+        const args = [this.parseExpression()];
+        while (this.match(',')) {
+            args.push(this.parseExpression());
+        }
+        this.expect(')');
+
+        const arity = { factorial: 1, pow: 2 }[name];
+        if (arity === undefined) {
+            this.fail(`Неизвестная функция «${name}»`, start);
+        }
+        if (args.length !== arity) {
+            this.fail(`Функция ${name} принимает аргументов: ${arity}`, start);
+        }
+
+        return name === 'factorial'
+            ? this.factorial(args[0], start)
+            : this.power(args[0], args[1], start);
+    }
+
+    power(base, exponent, position) {
+        if (exponent < 0n) {
+            this.fail('Отрицательная степень не дает целого числа', position);
+        }
+
+        const magnitude = BigMath.abs(base);
+        if (magnitude > 1n && BigMath.log10(magnitude) * Math.log2(10) * Number(exponent) > MAX_VALUE_BITS) {
+            this.fail(`Результат превышает ${MAX_VALUE_BITS} бит`, position);
+        }
+        return base ** exponent;
+    }
+
+    factorial(value, position) {
+        if (value < 0n) {
+            this.fail('Факториал отрицательного числа не определен', position);
+        }
+        if (value > BigInt(MAX_FACTORIAL)) {
+            this.fail(`Аргумент факториала не может превышать ${MAX_FACTORIAL}`, position);
+        }
+
+        let result = 1n;
+        for (let i = 2n; i <= value; i++) {
+            result *= i;
+        }
+        return result;
+    }
+
+    checkStart(value, position) {
+        if (value === 0n) {
+            this.fail('Ожидается ненулевое число', position);
+        }
+    }
+
+    addToCount(count, position) {
+        this.count += Number(count > BigInt(MAX_BATCH_SIZE) ? BigInt(MAX_BATCH_SIZE) + 1n : count);
+        if (this.count > MAX_BATCH_SIZE) {
+            this.fail(`Можно ввести не больше ${MAX_BATCH_SIZE} чисел`, position);
+        }
+    }
+
+    skipSpaces() {
+        while (/\s/.test(this.text[this.position] || '')) {
+            this.position++;
+        }
+    }
+
+    peekPosition() {
+        this.skipSpaces();
+        return this.position;
+    }
+
+    peek(token) {
+        this.skipSpaces();
+        return this.text.startsWith(token, this.position);
+    }
+
+    match(token) {
+        if (!this.peek(token)) return false;
+        this.position += token.length;
+        return true;
+    }
+
+    matchWord(word) {
+        this.skipSpaces();
+        const next = this.text.slice(this.position, this.position + word.length + 1);
+        if (next.toLowerCase().startsWith(word) && !/[a-zA-Z]/.test(next[word.length] || '')) {
+            this.position += word.length;
+            return true;
+        }
+        return false;
+    }
+
+    expect(token) {
+        if (!this.match(token)) {
+            this.fail(`Ожидается «${token}»`);
+        }
+    }
+
+    fail(reason, position = this.position) {
+        throw new InputParseError(reason, position);
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * Модуль ускорения на k шагов по таблицам 2^k
+ *
+ * Для ускоренного отображения T(n) = n/2 или (3n+1)/2 первые k шагов числа
+ * определяются его младшими k битами: если n = a·2^k + b, то
+ * T^k(n) = a·3^c + d, где c - число нечетных шагов среди первых k шагов b,
+ * а d = T^k(b). Таблица хранит c и d для всех b < 2^k, поэтому один поиск
+ * продвигает число сразу на k шагов (k + c шагов полной траектории).
+ *
+ * Каждое значение полной траектории внутри блока из k шагов линейно по a:
+ * v = a·A + B. Поэтому для каждого b хранятся еще коэффициенты суммы значений
+ * блока и границы его максимума и минимума. Сумма блока (для среднего значения)
+ * считается точно, а блок проходится по шагам только тогда, когда внутри него
+ * может оказаться новый пик траектории или первое значение меньше начального.
+ * Так точные количества шагов, пик и глиссада сохраняются.
+ *
+ * Таблицы строятся для стандартного отображения 3n+1 и положительных чисел.
+ */
+
+import { BigMath } from './bigMath.js';
+import { CollatzMap } from './collatzMap.js';
+
+// Количество бит таблицы по умолчанию: 2^16 записей
+export const DEFAULT_JUMP_BITS = 16;
+
+// Допустимые размеры таблицы (коэффициенты блока остаются точными в number)
+const MIN_JUMP_BITS = 1;
+const MAX_JUMP_BITS = 20;
+
+// Построенные таблицы по количеству бит
+const tables = new Map();
+
+export class JumpTable {
+    /**
+     * @param {number} k - Количество бит таблицы (шагов ускоренного отображения за один поиск)
+     */
+    constructor(k = DEFAULT_JUMP_BITS) {
+        if (!Number.isInteger(k) || k < MIN_JUMP_BITS || k > MAX_JUMP_BITS) {
+            throw new Error(`Размер таблицы переходов k должен быть целым числом от ${MIN_JUMP_BITS} до ${MAX_JUMP_BITS}`);
+        }
+
+        this.k = k;
+        this.size = 2 ** k;
+        this.bigK = BigInt(k);
+        this.bigMask = BigInt(this.size - 1);
+
+        // Степени тройки для c = 0..k
+        this.powers = Array.from({ length: k + 1 }, (_, c) => 3 ** c);
+        this.bigPowers = this.powers.map(power => BigInt(power));
+
+        // c и d = T^k(b)
+        this.odd = new Uint8Array(this.size);
+        this.tail = new Float64Array(this.size);
+        // Сумма значений блока (без начального, с конечным): a·sumSlope + sumOffset
+        this.sumSlope = new Float64Array(this.size);
+        this.sumOffset = new Float64Array(this.size);
+        // Границы значений блока: максимум ≤ a·peakSlope + peakOffset, минимум ≥ a·floorSlope
+        this.peakSlope = new Float64Array(this.size);
+        this.peakOffset = new Float64Array(this.size);
+        this.floorSlope = new Float64Array(this.size);
+        // Изменения направления внутри блока (см. StatisticsAccumulator, complexity)
+        this.changes = new Uint8Array(this.size);
+
+        for (let b = 0; b < this.size; b++) {
+            this.build(b);
+        }
+    }
+
+    /**
+     * Таблица для k бит (таблицы строятся один раз и переиспользуются)
+     * @param {number} k - Количество бит
+     * @returns {JumpTable} Таблица
+     */
+    static forBits(k = DEFAULT_JUMP_BITS) {
+        if (!tables.has(k)) {
+            tables.set(k, new JumpTable(k));
+        }
+        return tables.get(k);
+    }
+
+    /**
+     * Заполняет записи таблицы для младших бит b
+     * Значение после i шагов ускоренного отображения равно a·2^(k−i)·3^(c_i) + T^i(b);
+     * после нечетного шага в полной траектории есть еще промежуточное значение 3m+1,
+     * вдвое большее следующего.
+     * @param {number} b - Младшие k бит
+     */
+    build(b) {
+        const { k } = this;
+        let value = b;
+        let odd = 0;
+        let sumSlope = 0;
+        let sumOffset = 0;
+        let peakSlope = 0;
+        let peakOffset = 0;
+        let floorSlope = Infinity;
+        let changes = 0;
+        let previousUp = null;
+
+        const addValue = (slope, offset) => {
+            sumSlope += slope;
+            sumOffset += offset;
+            peakSlope = Math.max(peakSlope, slope);
+            peakOffset = Math.max(peakOffset, offset);
+            floorSlope = Math.min(floorSlope, slope);
+        };
+        const addDirection = (up) => {
+            if (previousUp !== null && previousUp !== up) changes++;
+            previousUp = up;
+        };
+
+        for (let i = 1; i <= k; i++) {
+            const isOdd = value % 2 === 1;
+            if (isOdd) {
+                odd++;
+                value = (3 * value + 1) / 2;
+                // Промежуточное 3m+1 = 2·T(m)
+                addValue(2 ** (k - i + 1) * 3 ** odd, 2 * value);
+                addDirection(true);
+            } else {
+                value /= 2;
+            }
+            addValue(2 ** (k - i) * 3 ** odd, value);
+            addDirection(false);
+        }
+
+        this.odd[b] = odd;
+        this.tail[b] = value;
+        this.sumSlope[b] = sumSlope;
+        this.sumOffset[b] = sumOffset;
+        this.peakSlope[b] = peakSlope;
+        this.peakOffset[b] = peakOffset;
+        this.floorSlope[b] = floorSlope;
+        this.changes[b] = changes;
+    }
+
+    /**
+     * Разбивает число на старшую часть a и младшие k бит b
+     * @param {number|bigint} n - Положительное число
+     * @returns {Array} [a, b]: a того же типа, что n, b - number
+     */
+    split(n) {
+        if (BigMath.isBigInt(n)) {
+            return [n >> this.bigK, Number(n & this.bigMask)];
+        }
+        return [Math.floor(n / this.size), n % this.size];
+    }
+
+    /**
+     * Продвигает число на k шагов ускоренного отображения (k + c шагов полной траектории)
+     * @param {number|bigint} n - Положительное число
+     * @returns {number|bigint} T^k(n); number переходит в BigInt при потере точности
+     */
+    jump(n) {
+        if (!BigMath.isBigInt(n)) {
+            const a = Math.floor(n / this.size);
+            const b = n - a * this.size;
+            const c = this.odd[b];
+            const next = a * this.powers[c] + this.tail[b];
+            if (Number.isSafeInteger(next)) return next;
+            return BigInt(a) * this.bigPowers[c] + BigInt(this.tail[b]);
+        }
+        const [a, b] = this.split(n);
+        return a * this.bigPowers[this.odd[b]] + BigInt(this.tail[b]);
+    }
+
+    /**
+     * Количество шагов полной траектории в блоке из k шагов, начинающемся с n
+     * @param {number|bigint} n - Положительное число
+     * @returns {number} k + c
+     */
+    blockSteps(n) {
+        const b = BigMath.isBigInt(n) ? Number(n & this.bigMask) : n % this.size;
+        return this.k + this.odd[b];
+    }
+
+    /**
+     * Верхняя граница значений блока, начинающегося с n
+     * @param {number|bigint} n - Положительное число
+     * @returns {number} Граница (приближенная сверху, для BigInt - через number)
+     */
+    peakBound(n) {
+        const [a, b] = this.split(n);
+        return Number(a) * this.peakSlope[b] + this.peakOffset[b];
+    }
+
+    /**
+     * Нижняя граница значений блока, начинающегося с n
+     * @param {number|bigint} n - Положительное число
+     * @returns {number} Граница (приближенная снизу)
+     */
+    floorBound(n) {
+        const [a, b] = this.split(n);
+        return Number(a) * this.floorSlope[b];
+    }
+
+    /**
+     * Точный максимум значений блока (без начального) проходом по шагам
+     * @param {number} n - Положительное число
+     * @returns {number} Максимум
+     */
+    blockPeak(n) {
+        let peak = 0;
+        let value = n;
+        for (let i = 0; i < this.k; i++) {
+            if (value % 2 === 1) {
+                value = 3 * value + 1;
+                if (value > peak) peak = value;
+            }
+            value /= 2;
+            if (value > peak) peak = value;
+        }
+        return peak;
+    }
+
+    /**
+     * Сводка траектории 3n+1 положительного числа с переходами по таблице
+     * Статистика совпадает с CollatzAlgorithm.summarizeTrajectory для стандартного
+     * отображения: те же поля и те же типы значений (остаток считается по количеству
+     * шагов и может отличаться в последних знаках).
+     * @param {number|bigint} startNumber - Положительное число
+     * @param {Object} options - Параметры
+     * @param {number} options.maxIterations - Лимит шагов полной траектории
+     * @param {number} options.maxBits - Граница роста в битах
+     * @returns {Object|null} Статистика с метриками или null, если траектория может
+     * исчерпать лимит шагов или выйти за границу роста (тогда сводку нужно строить обычным обходом)
+     */
+    summarize(startNumber, options = {}) {
+        const maxIterations = options.maxIterations || Infinity;
+        const limit = options.maxBits ? 2n ** BigInt(options.maxBits) : null;
+        const big = BigMath.isBigInt(startNumber);
+        const start = BigMath.toBigInt(startNumber);
+        const threshold = BigInt(this.size);
+        const map = CollatzMap.standard();
+
+        // Траектория считается в BigInt; типы значений восстанавливаются в конце
+        const state = {
+            value: start,
+            steps: 0,
+            oddSteps: 0,
+            evenSteps: 0,
+            shortcutSteps: 0,
+            previousDivisible: true,
+            previousUp: null,
+            changes: 0,
+            sum: start,
+            max: start,
+            maxIndex: 0,
+            glide: null,
+            stoppingTime: null
+        };
+
+        while (state.value >= threshold) {
+            // Блок содержит не больше 2k шагов полной траектории
+            if (state.steps + 2 * this.k > maxIterations) return null;
+
+            // Границы сравниваются точно: огромные числа не помещаются в number
+            const [a, b] = this.split(state.value);
+            const mayDip = state.glide === null && a * BigInt(this.floorSlope[b]) < start;
+            const peakBound = a * BigInt(this.peakSlope[b]) + BigInt(this.peakOffset[b]);
+            const mayPeak = peakBound > state.max;
+            if (limit !== null && peakBound > limit) return null;
+
+            if (mayDip || mayPeak) {
+                for (let i = 0; i < this.k; i++) {
+                    this.step(state, start);
+                }
+                continue;
+            }
+
+            const c = this.odd[b];
+            if (state.previousUp === false && b % 2 === 1) state.changes++;
+            state.changes += this.changes[b];
+            state.previousUp = false;
+            state.previousDivisible = true;
+            state.sum += a * BigInt(this.sumSlope[b]) + BigInt(this.sumOffset[b]);
+            state.oddSteps += c;
+            state.evenSteps += this.k;
+            state.steps += this.k + c;
+            state.shortcutSteps += this.k;
+            state.value = a * this.bigPowers[c] + BigInt(this.tail[b]);
+        }
+
+        while (state.value !== 1n) {
+            if (state.steps >= maxIterations || (limit !== null && state.max > limit)) return null;
+            this.step(state, start);
+        }
+
+        // Как и при обходе по шагам, number остается number, пока значения безопасны
+        const wentBig = big || state.max > BigInt(Number.MAX_SAFE_INTEGER);
+        const like = value => (wentBig ? value : Number(value));
+        const length = state.steps + 1;
+        const lnStart = BigMath.ln(startNumber);
+        const logFactor = state.evenSteps * map.logFactor(2) + state.oddSteps * map.logFactor(1);
+
+        return {
+            length,
+            maxValue: like(state.max),
+            minValue: like(1n),
+            steps: state.steps,
+            hasReachedOne: true,
+            startNumber,
+            endNumber: like(1n),
+            averageValue: BigMath.toNumber(state.sum) / length,
+            evenCount: state.evenSteps,
+            oddCount: length - state.evenSteps,
+            maxValueIndex: state.maxIndex,
+            peakToTroughRatio: BigMath.ratio(like(state.max), like(1n)),
+            complexity: state.changes,
+            cycle: null,
+            stoppingTime: state.stoppingTime,
+            totalStoppingTime: state.steps,
+            glide: state.glide,
+            oddSteps: state.oddSteps,
+            evenSteps: state.evenSteps,
+            residue: Math.exp(logFactor - lnStart),
+            gamma: lnStart > 0 ? state.steps / lnStart : null,
+            completeness: state.evenSteps > 0 ? state.oddSteps / state.evenSteps : null
+        };
+    }
+
+    /**
+     * Один шаг ускоренного отображения с учетом всех значений полной траектории
+     * (1 или 2 шага полной траектории), как в StatisticsAccumulator
+     * @param {Object} state - Состояние сводки (см. summarize)
+     * @param {bigint} start - Начальное число
+     */
+    step(state, start) {
+        const push = (value, up) => {
+            if (state.previousUp !== null && state.previousUp !== up) state.changes++;
+            state.previousUp = up;
+            state.steps++;
+            state.sum += value;
+            if (value > state.max) {
+                state.max = value;
+                state.maxIndex = state.steps;
+            }
+            if (state.glide === null && value < start) {
+                state.glide = state.steps;
+                state.stoppingTime = state.shortcutSteps;
+            }
+        };
+
+        if (state.value % 2n === 1n) {
+            state.oddSteps++;
+            state.shortcutSteps++;
+            state.previousDivisible = false;
+            state.value = 3n * state.value + 1n;
+            push(state.value, true);
+        } else {
+            if (state.previousDivisible) state.shortcutSteps++;
+            state.previousDivisible = true;
+        }
+
+        state.evenSteps++;
+        state.value /= 2n;
+        push(state.value, false);
+
+        // Деление после 3m+1 завершает шаг ускоренного отображения
+        state.previousDivisible = true;
+    }
+}
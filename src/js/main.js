@@ -1,5 +1,5 @@
 // Главный файл приложения
-import { CollatzAlgorithm } from './algorithm.js';
+import { CollatzAlgorithm, TrajectoryOutcome, SequenceMode, SequenceModeLabels } from './algorithm.js';
 import { DataManager } from './dataManager.js';
 import { Visualization2D } from './visualization2d.js';
 import { Visualization3D } from './visualization3d.js';
@@ -7,7 +7,25 @@ import { UIController } from './uiController.js';
 import { Utils } from './utils.js';
 import { TabManager } from './tabManager.js';
 import { AdvancedVisualization } from './advancedVisualization.js';
-import { ComparisonAnalyzer } from './comparisonAnalyzer.js';
+import { ComparisonAnalyzer, MAX_CYCLE_SEARCH_LIMIT, DigitDistributionKind } from './comparisonAnalyzer.js';
+import { BigMath } from './bigMath.js';
+import { CollatzMap, MAX_MAP_MODULUS } from './collatzMap.js';
+import { WorkerPool } from './workerPool.js';
+import { SweepEngine, RecordMetric } from './sweepEngine.js';
+import { ResidueSieve } from './residueSieve.js';
+import { TrajectoryPlayer } from './trajectoryPlayer.js';
+import { InputParser } from './inputParser.js';
+import { Rational } from './rational.js';
+import { RandomWalkModel } from './randomWalkModel.js';
+
+// Траектории чисел длиннее этой границы (в битах) хранятся только сводкой
+const SUMMARY_ONLY_BITS = 1024;
+
+// Сводки набора чисел считаются порциями такого размера (по задаче на порцию)
+const SUMMARY_BATCH_CHUNK = 100;
+
+// Количество найденных начальных чисел на странице результатов поиска
+const SEARCH_PAGE_SIZE = 20;
 
 class App {
     constructor() {
@@ -15,6 +33,19 @@ class App {
         this.uiController = new UIController();
         this.tabManager = new TabManager();
         this.comparisonAnalyzer = new ComparisonAnalyzer();
+        this.workerPool = new WorkerPool();
+        this.player = new TrajectoryPlayer();
+        this.sweepEngine = null;
+        this.rangeChart = null;
+        this.rangeResidualChart = null;
+        // Распределение цифр по диапазону начальных чисел (см. ComparisonAnalyzer.analyzeRangeDigits)
+        this.digitRange = null;
+        // Результат поиска начальных чисел и номер показанной страницы
+        this.startSearch = null;
+        this.startSearchPage = 0;
+        // Результат поиска циклов на 1..N и текущая сортировка его таблицы
+        this.cycleSearch = null;
+        this.cycleSort = { key: 'minElement', ascending: true };
         this.visualization2D = null;
         this.visualization3D = null;
         this.advancedVisualization = null;
@@ -45,6 +76,10 @@ class App {
             console.log('🔗 Настройка обработчиков событий...');
             this.setupEventListeners();
             
+            // Настройка проигрывателя траектории
+            console.log('⏯️ Настройка проигрывателя траектории...');
+            this.setupPlayer();
+            
             // Загрузка примера
             console.log('📝 Загрузка примера...');
             this.loadExample();
@@ -118,6 +153,77 @@ class App {
             console.error('❌ Кнопка "Сравнить" не найдена!');
         }
 
+        // Выбор отображения qn+r
+        this.setupMapControls();
+
+        // Выбор метрики рекордсменов диапазона
+        const recordMetricSelect = document.getElementById('recordMetricSelect');
+        if (recordMetricSelect) {
+            recordMetricSelect.addEventListener('change', () => this.updateRangeRecords());
+        }
+
+        // Графики диапазона следуют выбранному режиму последовательности
+        const modeSelect = document.getElementById('modeSelect');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => {
+                if (!this.sweepEngine) return;
+                this.updateRangeModel();
+                this.updateRangeRecords();
+            });
+        }
+
+        // Расчет диапазона
+        const sweepBtn = document.getElementById('sweepBtn');
+        if (sweepBtn) {
+            sweepBtn.addEventListener('click', () => {
+                console.log('🖱️ Клик по кнопке "Рассчитать диапазон"');
+                this.handleSweep();
+            });
+        }
+
+        // Поиск начальных чисел по ограничениям на траекторию
+        const startSearchBtn = document.getElementById('startSearchBtn');
+        if (startSearchBtn) {
+            startSearchBtn.addEventListener('click', () => {
+                console.log('🖱️ Клик по кнопке "Найти в 1..N"');
+                this.handleStartSearch();
+            });
+        }
+
+        document.getElementById('searchPrevPageBtn')?.addEventListener('click', () => {
+            this.showStartSearchPage(this.startSearchPage - 1);
+        });
+        document.getElementById('searchNextPageBtn')?.addEventListener('click', () => {
+            this.showStartSearchPage(this.startSearchPage + 1);
+        });
+        document.getElementById('loadSearchPageBtn')?.addEventListener('click', () => this.loadStartSearchPage());
+
+        // Поиск циклов отображения на 1..N
+        const cycleSearchBtn = document.getElementById('cycleSearchBtn');
+        if (cycleSearchBtn) {
+            cycleSearchBtn.addEventListener('click', () => {
+                console.log('🖱️ Клик по кнопке "Найти циклы"');
+                this.handleCycleSearch();
+            });
+        }
+
+        const exportCyclesBtn = document.getElementById('exportCyclesBtn');
+        if (exportCyclesBtn) {
+            exportCyclesBtn.addEventListener('click', () => this.exportCycleSearch());
+        }
+
+        // Сортировка таблицы циклов по щелчку на заголовке колонки
+        document.querySelectorAll('#cycleSearchHeader [data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                this.cycleSort = {
+                    key,
+                    ascending: this.cycleSort.key === key ? !this.cycleSort.ascending : true
+                };
+                this.updateCycleSearchResults();
+            });
+        });
+
         // Обработчики панели сравнения
         const clearComparisonBtn = document.getElementById('clearComparisonBtn');
         if (clearComparisonBtn) {
@@ -135,6 +241,26 @@ class App {
             });
         }
 
+        // Переключение метрики матрицы схожести
+        const similarityMetricSelect = document.getElementById('similarityMetricSelect');
+        if (similarityMetricSelect) {
+            similarityMetricSelect.addEventListener('change', () => this.createSimilarityChart());
+        }
+
+        // Распределение цифр в панели сравнения
+        const digitKindSelect = document.getElementById('digitKindSelect');
+        if (digitKindSelect) {
+            digitKindSelect.addEventListener('change', () => this.createDigitChart());
+        }
+        const digitModulusInput = document.getElementById('digitModulusInput');
+        if (digitModulusInput) {
+            digitModulusInput.addEventListener('change', () => this.handleDigitModulusChange(digitModulusInput));
+        }
+        const digitRangeBtn = document.getElementById('digitRangeBtn');
+        if (digitRangeBtn) {
+            digitRangeBtn.addEventListener('click', () => this.handleDigitRange());
+        }
+
         // Обработчик Enter в поле ввода
         const numberInput = document.getElementById('numberInput');
         console.log('📝 Поле ввода:', numberInput);
@@ -149,6 +275,18 @@ class App {
             console.error('❌ Поле ввода не найдено!');
         }
 
+        // Переключение шкалы значений 2D графика
+        const scale2dBtn = document.getElementById('scale2dBtn');
+        if (scale2dBtn) {
+            scale2dBtn.addEventListener('click', () => this.toggleScale2D(scale2dBtn));
+        }
+
+        // Наложение модели случайного блуждания на 2D график
+        const model2dBtn = document.getElementById('model2dBtn');
+        if (model2dBtn) {
+            model2dBtn.addEventListener('click', () => this.toggleModel2D(model2dBtn));
+        }
+
         // Обработчики 3D визуализации
         const reset3dBtn = document.getElementById('reset3dBtn');
         if (reset3dBtn) {
@@ -159,98 +297,1041 @@ class App {
             });
         }
 
+        // Решето вычетов на вкладке расширенных визуализаций
+        const sieveBtn = document.getElementById('sieveBtn');
+        if (sieveBtn) {
+            sieveBtn.addEventListener('click', () => this.handleSieve());
+        }
+
+        const tree3dBtn = document.getElementById('tree3dBtn');
+        if (tree3dBtn) {
+            tree3dBtn.addEventListener('click', () => this.toggleInverseTree3D());
+        }
+
         const toggle3dAnimationBtn = document.getElementById('toggle3dAnimationBtn');
         if (toggle3dAnimationBtn) {
             toggle3dAnimationBtn.addEventListener('click', () => {
                 if (this.visualization3D) {
                     this.visualization3D.toggleAnimation();
                 }
-            });
-        }
-
-        // Обработчик изменения размера окна
-        window.addEventListener('resize', () => this.handleResize());
-
-        // Обработчик смены вкладок
-        document.addEventListener('tabChanged', (e) => {
-            this.handleTabChange(e.detail);
-        });
-
-        // Обработчик изменения размера вкладок
-        document.addEventListener('tabResize', (e) => {
-            this.handleTabResize(e.detail);
+            });
+        }
+
+        // Обработчик изменения размера окна
+        window.addEventListener('resize', () => this.handleResize());
+
+        // Обработчик смены вкладок
+        document.addEventListener('tabChanged', (e) => {
+            this.handleTabChange(e.detail);
+        });
+
+        // Обработчик изменения размера вкладок
+        document.addEventListener('tabResize', (e) => {
+            this.handleTabResize(e.detail);
+        });
+    }
+
+    /**
+     * Настройка элементов выбора отображения
+     */
+    setupMapControls() {
+        const presetSelect = document.getElementById('mapPresetSelect');
+        if (!presetSelect) return;
+
+        const inputs = {
+            multiplier: document.getElementById('mapMultiplierInput'),
+            increment: document.getElementById('mapIncrementInput'),
+            divisor: document.getElementById('mapDivisorInput')
+        };
+
+        // Редактор по вычетам показывается только для пресета "По вычетам"
+        const toggleBranchEditor = () => {
+            const isBranches = presetSelect.value === 'branches';
+            document.getElementById('branchEditor')?.classList.toggle('hidden', !isBranches);
+            Object.values(inputs).forEach(input => {
+                if (input) input.disabled = isBranches;
+            });
+        };
+
+        // Выбор пресета заполняет поля коэффициентов
+        presetSelect.addEventListener('change', () => {
+            toggleBranchEditor();
+            if (presetSelect.value === 'custom' || presetSelect.value === 'branches') return;
+            const [multiplier, increment, divisor] = presetSelect.value.split(',');
+            inputs.multiplier.value = multiplier;
+            inputs.increment.value = increment;
+            inputs.divisor.value = divisor;
+        });
+
+        // Ручное изменение коэффициентов переключает пресет на "Свое"
+        Object.values(inputs).forEach(input => {
+            input?.addEventListener('input', () => {
+                presetSelect.value = 'custom';
+            });
+        });
+
+        this.setupBranchEditor();
+        toggleBranchEditor();
+    }
+
+    /**
+     * Настройка редактора отображения по вычетам (в духе Конвея)
+     * Пример записывается как "m:a,b,c;a,b,c;..." - по ветви на каждый вычет.
+     */
+    setupBranchEditor() {
+        const modulusInput = document.getElementById('branchModulusInput');
+        const examplesSelect = document.getElementById('branchPresetSelect');
+        const body = document.getElementById('branchTableBody');
+        if (!modulusInput || !body) return;
+
+        const applyExample = value => {
+            const [modulus, rows] = value.split(':');
+            const branches = rows.split(';').map(row => {
+                const [multiplier, increment, divisor] = row.split(',').map(Number);
+                return { multiplier, increment, divisor };
+            });
+            modulusInput.value = modulus;
+            this.uiController.renderBranchRows(branches);
+            this.validateBranchEditor();
+        };
+
+        // Смена модуля перестраивает таблицу, сохраняя уже заданные ветви
+        modulusInput.addEventListener('change', () => {
+            const modulus = Math.min(Math.max(Math.trunc(Number(modulusInput.value)) || 2, 2), MAX_MAP_MODULUS);
+            modulusInput.value = modulus;
+            const { branches } = this.readBranchEditor();
+            const resized = Array.from({ length: modulus }, (_, residue) => (
+                branches[residue] || { multiplier: 1, increment: 0, divisor: 1 }
+            ));
+            if (examplesSelect) examplesSelect.value = '';
+            this.uiController.renderBranchRows(resized);
+            this.validateBranchEditor();
+        });
+
+        examplesSelect?.addEventListener('change', () => {
+            if (examplesSelect.value) applyExample(examplesSelect.value);
+        });
+
+        body.addEventListener('input', () => {
+            if (examplesSelect) examplesSelect.value = '';
+            this.validateBranchEditor();
+        });
+
+        const initial = examplesSelect?.options[1]?.value;
+        if (initial) {
+            examplesSelect.value = initial;
+            applyExample(initial);
+        }
+    }
+
+    /**
+     * Читает ветви из редактора отображения по вычетам
+     * @returns {Object} { modulus, branches }
+     */
+    readBranchEditor() {
+        const modulus = Number(document.getElementById('branchModulusInput')?.value);
+        const rows = document.querySelectorAll('#branchTableBody tr');
+        const branches = Array.from(rows, row => {
+            const readField = field => Number(row.querySelector(`[data-field="${field}"]`)?.value);
+            return {
+                multiplier: readField('multiplier'),
+                increment: readField('increment'),
+                divisor: readField('divisor')
+            };
+        });
+        return { modulus, branches };
+    }
+
+    /**
+     * Проверяет целозначность отображения из редактора и показывает результат
+     * @returns {boolean} true, если отображение корректно
+     */
+    validateBranchEditor() {
+        const { modulus, branches } = this.readBranchEditor();
+        const errors = CollatzMap.validateBranches(modulus, branches);
+        const map = errors.length === 0 ? new CollatzMap({ modulus, branches }) : null;
+        this.uiController.updateBranchValidation(branches, errors, map);
+        return errors.length === 0;
+    }
+
+    /**
+     * Возвращает выбранное пользователем отображение
+     * @returns {CollatzMap|null} Отображение или null при некорректных параметрах
+     */
+    getSelectedMap() {
+        const readValue = (id, fallback) => {
+            const input = document.getElementById(id);
+            return input ? Number(input.value) : fallback;
+        };
+
+        try {
+            if (document.getElementById('mapPresetSelect')?.value === 'branches') {
+                return new CollatzMap(this.readBranchEditor());
+            }
+            return new CollatzMap({
+                multiplier: readValue('mapMultiplierInput', 3),
+                increment: readValue('mapIncrementInput', 1),
+                divisor: readValue('mapDivisorInput', 2)
+            });
+        } catch (error) {
+            this.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Переводит введенные числа в начальные значения с учетом знаменателя
+     * При знаменателе b > 1 каждое число n задает дробь n/b (см. Rational).
+     * @param {Array<number|bigint>} numbers - Введенные числа
+     * @param {CollatzMap} map - Отображение (знаменатель должен быть взаимно прост с d)
+     * @returns {Array<number|bigint|Rational>|null} Начальные значения или null при ошибке
+     */
+    applyDenominator(numbers, map) {
+        const input = document.getElementById('denominatorInput');
+        const denominator = input ? Number(input.value) : 1;
+
+        if (!Number.isSafeInteger(denominator) || denominator < 1) {
+            this.showError('Знаменатель должен быть положительным целым числом');
+            return null;
+        }
+        if (denominator === 1) {
+            return numbers;
+        }
+        if (Rational.gcd(BigInt(denominator), map.big.modulus) !== 1n) {
+            this.showError(`Знаменатель должен быть взаимно прост с модулем отображения ${map.modulus}`);
+            return null;
+        }
+
+        return numbers.map(number => new Rational(number, denominator));
+    }
+
+    /**
+     * Возвращает выбранные режимы представления траектории
+     * @returns {Array<string>} Режимы (SequenceMode); в режиме наложения - все три
+     */
+    getSelectedModes() {
+        const select = document.getElementById('modeSelect');
+        const value = select ? select.value : SequenceMode.STANDARD;
+
+        if (value === 'overlay') {
+            return Object.values(SequenceMode);
+        }
+        return [value];
+    }
+
+    async handleCalculate() {
+        console.log('🔍 handleCalculate вызван');
+        
+        const input = document.getElementById('numberInput');
+        console.log('📝 Input элемент:', input);
+        
+        // Выражения, списки и диапазоны; большие числа разбираются как BigInt
+        const parsed = this.parseNumberInput(input);
+        if (!parsed) return;
+
+        const map = this.getSelectedMap();
+        if (!map) return;
+
+        const numbers = this.applyDenominator(parsed, map);
+        if (!numbers) return;
+        console.log('🔢 Начальные значения:', numbers.map(String));
+
+        if (numbers.length > 1) {
+            await this.handleCalculateBatch(numbers, map);
+            return;
+        }
+
+        const [number] = numbers;
+        if (BigMath.isBigInt(number) && BigMath.abs(number).toString(2).length > SUMMARY_ONLY_BITS) {
+            await this.handleCalculateSummary(number, map);
+            return;
+        }
+
+        await this.calculateSequence(number, map);
+    }
+
+    /**
+     * Строит одну последовательность, добавляет ее в DataManager и обновляет интерфейс
+     * @param {number|bigint|Rational} number - Начальное число или дробь
+     * @param {CollatzMap} map - Отображение
+     */
+    async calculateSequence(number, map) {
+        try {
+            console.log('🚀 Начинаем вычисление...');
+            
+            // Генерация последовательности в воркерах (в режиме наложения - во всех трех представлениях)
+            const modes = this.getSelectedModes();
+            console.log('📊 Генерируем последовательность...', modes);
+            const results = await this.runTasks(
+                modes.map(mode => ['computeSequence', { startNumber: number, map: map.toJSON(), mode }]),
+                'Вычисление последовательности...'
+            );
+
+            // Добавление в DataManager
+            console.log('💾 Добавляем в DataManager...');
+            let sequenceData = null;
+            results.forEach((result, index) => {
+                sequenceData = this.dataManager.addSequence(number, result.sequence, {
+                    ...result,
+                    map,
+                    mode: modes[index]
+                });
+            });
+            console.log('✅ Данные добавлены:', sequenceData);
+            
+            // Плавное обновление UI с анимациями
+            console.log('🎨 Обновляем UI с анимациями...');
+            this.updateUIWithAnimations(sequenceData);
+            
+            // Обновление визуализаций
+            console.log('📈 Обновляем визуализации...');
+            await this.updateVisualizations();
+            
+            console.log('✅ Вычисление завершено успешно');
+            
+            // Показ успешного сообщения с анимацией
+            this.showSuccessWithAnimation(`Последовательность для числа ${number} успешно вычислена!`);
+            
+        } catch (error) {
+            this.handleTaskError(error, 'Ошибка при вычислении последовательности');
+        }
+    }
+
+    /**
+     * Разбирает поле ввода (см. InputParser)
+     * При ошибке курсор ставится на позицию ошибки и показывается сообщение.
+     * @param {HTMLInputElement} input - Поле ввода
+     * @returns {Array<number|bigint>|null} Начальные числа или null при ошибке
+     */
+    parseNumberInput(input) {
+        try {
+            return InputParser.parse(input.value);
+        } catch (error) {
+            console.log('❌ Ошибка разбора ввода:', error.message);
+            if (error.position !== undefined) {
+                input.focus();
+                input.setSelectionRange(error.position, error.position + 1);
+            }
+            this.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Расчет набора последовательностей (список или диапазон из поля ввода)
+     * Последние maxSequences чисел строятся целиком для графиков, для остальных
+     * (и для чисел длиннее SUMMARY_ONLY_BITS бит) считаются только сводки.
+     * Все записи добавляются в DataManager одним пакетом.
+     * @param {Array<number|bigint|Rational>} numbers - Начальные числа или дроби
+     * @param {CollatzMap} map - Отображение
+     */
+    async handleCalculateBatch(numbers, map) {
+        const [mode] = this.getSelectedModes();
+        const materializedFrom = Math.max(0, numbers.length - this.dataManager.maxSequences);
+        const isMaterialized = (number, index) => index >= materializedFrom &&
+            !(BigMath.isBigInt(number) && BigMath.abs(number).toString(2).length > SUMMARY_ONLY_BITS);
+
+        const full = numbers.filter(isMaterialized);
+        const summarized = numbers.filter((number, index) => !isMaterialized(number, index));
+
+        const jobs = full.map(number => ['computeSequence', { startNumber: number, map: map.toJSON(), mode }]);
+        for (let i = 0; i < summarized.length; i += SUMMARY_BATCH_CHUNK) {
+            jobs.push(['summarizeBatch', {
+                startNumbers: summarized.slice(i, i + SUMMARY_BATCH_CHUNK),
+                map: map.toJSON()
+            }]);
+        }
+
+        try {
+            console.log(`📦 Пакетный расчет: ${full.length} траекторий, ${summarized.length} сводок`);
+            const results = await this.runTasks(jobs, `Вычисление ${numbers.length} последовательностей...`);
+
+            // Результаты сопоставляются по записи числа: дроби из воркеров - новые объекты
+            const computed = new Map();
+            results.slice(0, full.length).forEach((result, index) => {
+                computed.set(String(full[index]), { startNumber: full[index], ...result, map, mode });
+            });
+            results.slice(full.length).flat().forEach(summary => {
+                computed.set(String(summary.startNumber), { ...summary, sequence: null, map });
+            });
+
+            const records = this.dataManager.addSequences(numbers.map(number => computed.get(String(number))));
+
+            this.updateUIWithAnimations(records[records.length - 1]);
+            await this.updateVisualizations();
+            this.showSuccessWithAnimation(`Вычислено последовательностей: ${numbers.length}`);
+        } catch (error) {
+            this.handleTaskError(error, 'Ошибка при вычислении последовательностей');
+        }
+    }
+
+    /**
+     * Расчет сводки траектории огромного числа без хранения значений
+     * @param {bigint} number - Начальное число
+     * @param {CollatzMap} map - Отображение
+     */
+    async handleCalculateSummary(number, map) {
+        try {
+            console.log(`📏 Число длиннее ${SUMMARY_ONLY_BITS} бит - сохраняем только сводку`);
+
+            const [summary] = await this.runTasks(
+                [['summarizeSequence', { startNumber: number, map: map.toJSON() }]],
+                'Вычисление сводки траектории...'
+            );
+            const sequenceData = this.dataManager.addSequenceSummary(number, { ...summary, map });
+
+            this.updateUIWithAnimations(sequenceData);
+            await this.updateVisualizations();
+            this.showSuccessWithAnimation(
+                `Сводка траектории вычислена (${sequenceData.statistics.length.toLocaleString()} значений не сохранялись)`
+            );
+        } catch (error) {
+            this.handleTaskError(error, 'Ошибка при вычислении сводки траектории');
+        }
+    }
+
+    /**
+     * Выполняет тяжелые задачи в пуле воркеров
+     * Пока задачи выполняются, показывается индикатор загрузки с прогрессом и кнопкой отмены;
+     * отмена или ошибка одной задачи отменяет остальные.
+     * @param {Array<Array>} jobs - Задачи в виде [type, payload] или [type, payload, transfer]
+     * (см. computeTasks; transfer - буферы, передаваемые воркеру без копирования)
+     * @param {string} text - Текст индикатора загрузки
+     * @returns {Promise<Array>} Результаты задач в том же порядке
+     */
+    async runTasks(jobs, text) {
+        const controller = new AbortController();
+        const progress = jobs.map(() => ({ done: 0, total: 0 }));
+
+        this.uiController.showLoading({ text, onCancel: () => controller.abort() });
+
+        const reportProgress = (index, done, total) => {
+            progress[index] = { done, total };
+            const sum = progress.reduce((acc, item) => ({
+                done: acc.done + item.done,
+                total: acc.total + item.total
+            }), { done: 0, total: 0 });
+            this.uiController.updateLoadingProgress(sum.done, sum.total);
+        };
+
+        try {
+            const results = await Promise.all(jobs.map(([type, payload, transfer], index) =>
+                this.workerPool.run(type, payload, {
+                    signal: controller.signal,
+                    transfer,
+                    onProgress: (done, total) => reportProgress(index, done, total)
+                })
+            ));
+            // Structured clone не сохраняет класс Rational - восстанавливаем дроби
+            return results.map(result => Rational.revive(result));
+        } catch (error) {
+            controller.abort();
+            throw error;
+        } finally {
+            this.uiController.hideLoading();
+        }
+    }
+
+    /**
+     * Обработка ошибки фоновой задачи
+     * @param {Error} error - Ошибка
+     * @param {string} message - Сообщение для пользователя
+     */
+    handleTaskError(error, message) {
+        if (error.name === 'AbortError') {
+            console.log('⏹️ Вычисление отменено пользователем');
+            this.showError('Вычисление отменено');
+            return;
+        }
+
+        console.error('❌ ' + message + ':', error);
+        this.showError(message);
+    }
+
+    /**
+     * Расчет диапазона 1..N в воркере
+     */
+    async handleSweep() {
+        const input = document.getElementById('rangeLimitInput');
+        const limit = BigMath.parseInteger(input ? input.value : '');
+
+        if (limit === null || BigMath.isBigInt(limit) || limit < 1) {
+            this.showError('Пожалуйста, введите положительную границу диапазона');
+            return;
+        }
+
+        try {
+            // Проверяем границу до запуска воркера
+            SweepEngine.validateLimit(limit);
+
+            const [tables] = await this.runTasks([['sweep', { limit }]], 'Расчет диапазона...');
+            this.sweepEngine = SweepEngine.fromTables(tables);
+            this.updateRangeResults();
+            this.showSuccessWithAnimation(`Диапазон 1..${limit.toLocaleString()} рассчитан`);
+        } catch (error) {
+            this.handleTaskError(error, error.message || 'Ошибка при расчете диапазона');
+        }
+    }
+
+    /**
+     * Читает запрос поиска начальных чисел из формы
+     * Пустые поля не участвуют в запросе; числовые поля принимают и запись вида 1e6,
+     * границы пика записываются точно (больше 2^53 - как BigInt).
+     * @returns {Object} Запрос для SweepEngine.search
+     */
+    readStartSearchQuery() {
+        const query = {};
+        document.querySelectorAll('#startSearchForm [data-query]').forEach(input => {
+            const text = input.value.trim();
+            const key = input.dataset.query;
+            if (text === '') return;
+            if (key === 'parityMotif') {
+                query[key] = text;
+            } else if (key === 'minPeak' || key === 'maxPeak') {
+                query[key] = BigMath.parseInteger(text) ?? Number(text);
+            } else {
+                query[key] = Number(text);
+            }
+        });
+        return query;
+    }
+
+    /**
+     * Поиск начальных чисел 1..N по ограничениям на траекторию в воркере
+     * Если диапазон 1..N уже рассчитан, его таблицы передаются воркеру без копирования
+     * и возвращаются вместе с результатом; для другой границы воркер считает диапазон заново.
+     */
+    async handleStartSearch() {
+        const input = document.getElementById('rangeLimitInput');
+        const limit = BigMath.parseInteger(input ? input.value : '');
+        let engine = null;
+
+        try {
+            if (limit === null || BigMath.isBigInt(limit)) {
+                throw new Error('Пожалуйста, введите положительную границу диапазона');
+            }
+            SweepEngine.validateLimit(limit);
+            const query = SweepEngine.validateQuery(this.readStartSearchQuery());
+
+            // Пока таблицы у воркера, рассчитанного диапазона у основного потока нет
+            engine = this.sweepEngine && this.sweepEngine.limit === limit ? this.sweepEngine : null;
+            const tables = engine ? engine.toTables() : undefined;
+            const transfer = engine ? [tables.steps.buffer, tables.peaks.buffer] : [];
+            if (engine) this.sweepEngine = null;
+
+            const [{ tables: returned, ...result }] = await this.runTasks(
+                [['searchStarts', { limit, query, tables }, transfer]],
+                'Поиск начальных чисел...'
+            );
+            if (returned) {
+                this.sweepEngine = SweepEngine.fromTables(returned);
+            }
+            this.startSearch = { ...result, limit };
+            this.showStartSearchPage(0);
+            console.log(`🔎 Поиск в 1..${limit}: найдено ${result.total}`);
+        } catch (error) {
+            this.handleTaskError(error, error.message || 'Ошибка при поиске начальных чисел');
+            if (engine && !this.sweepEngine) {
+                // Без воркеров таблицы не передавались; иначе они ушли вместе с отмененным воркером
+                if (engine.steps.length > 0) {
+                    this.sweepEngine = engine;
+                } else {
+                    this.showError('Таблицы диапазона сброшены вместе с поиском - рассчитайте диапазон заново');
+                }
+            }
+        }
+    }
+
+    /**
+     * Показывает страницу результатов поиска начальных чисел
+     * @param {number} page - Номер страницы (с нуля)
+     */
+    showStartSearchPage(page) {
+        const result = this.startSearch;
+        const tableBody = document.getElementById('startSearchTableBody');
+        if (!result || !tableBody) return;
+
+        const pageCount = Math.max(1, Math.ceil(result.numbers.length / SEARCH_PAGE_SIZE));
+        this.startSearchPage = Math.min(Math.max(page, 0), pageCount - 1);
+        const from = this.startSearchPage * SEARCH_PAGE_SIZE;
+        const to = Math.min(from + SEARCH_PAGE_SIZE, result.numbers.length);
+
+        document.getElementById('startSearchSummary').textContent =
+            `1..${result.limit.toLocaleString()}: найдено ${result.total.toLocaleString()}` +
+            (result.truncated ? ` (показаны первые ${result.numbers.length.toLocaleString()})` : '');
+        document.getElementById('searchPageLabel').textContent = result.numbers.length > 0
+            ? `${(from + 1).toLocaleString()}-${to.toLocaleString()} из ${result.numbers.length.toLocaleString()}`
+            : '-';
+        document.getElementById('searchPrevPageBtn').disabled = this.startSearchPage === 0;
+        document.getElementById('searchNextPageBtn').disabled = this.startSearchPage >= pageCount - 1;
+        document.getElementById('loadSearchPageBtn').disabled = result.numbers.length === 0;
+
+        if (result.numbers.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="5" class="text-center py-4 text-text-secondary">Нет совпадений</td></tr>';
+            return;
+        }
+
+        const rows = [];
+        for (let i = from; i < to; i++) {
+            const number = result.numbers[i];
+            rows.push(`
+                <tr class="border-b border-secondary/20 hover:bg-surface/50">
+                    <td class="py-2 px-3">${number.toLocaleString()}</td>
+                    <td class="py-2 px-3">${result.steps[i]}</td>
+                    <td class="py-2 px-3">${result.peaks[i].toLocaleString()}</td>
+                    <td class="py-2 px-3">${result.glides[i] ?? '-'}</td>
+                    <td class="py-2 px-3">
+                        <button onclick="app.loadRangeStart(${number})" class="text-xs text-primary hover:text-primary/80">
+                            Загрузить
+                        </button>
+                    </td>
+                </tr>
+            `);
+        }
+        tableBody.innerHTML = rows.join('');
+    }
+
+    /**
+     * Загружает все числа текущей страницы результатов поиска как последовательности 3n+1
+     */
+    async loadStartSearchPage() {
+        const result = this.startSearch;
+        if (!result || result.numbers.length === 0) return;
+
+        const from = this.startSearchPage * SEARCH_PAGE_SIZE;
+        const numbers = result.numbers.slice(from, from + SEARCH_PAGE_SIZE);
+        await this.handleCalculateBatch(numbers, CollatzMap.standard());
+    }
+
+    /**
+     * Поиск всех циклов выбранного отображения на 1..N в воркере
+     */
+    async handleCycleSearch() {
+        const input = document.getElementById('cycleSearchLimitInput');
+        const limit = BigMath.parseInteger(input ? input.value : '');
+
+        if (limit === null || BigMath.isBigInt(limit) || limit < 1 || limit > MAX_CYCLE_SEARCH_LIMIT) {
+            this.showError(`Граница поиска циклов должна быть от 1 до ${MAX_CYCLE_SEARCH_LIMIT.toLocaleString()}`);
+            return;
+        }
+
+        const map = this.getSelectedMap();
+        if (!map) return;
+
+        try {
+            const [result] = await this.runTasks(
+                [['findRangeCycles', { limit, map: map.toJSON() }]],
+                'Поиск циклов...'
+            );
+            this.cycleSearch = result;
+            this.updateCycleSearchResults();
+            console.log(`🔁 Циклы ${map.label} на 1..${limit}: найдено ${result.cycles.length}`);
+        } catch (error) {
+            this.handleTaskError(error, error.message || 'Ошибка при поиске циклов');
+        }
+    }
+
+    /**
+     * Обновление таблицы найденных циклов с учетом сортировки
+     */
+    updateCycleSearchResults() {
+        const result = this.cycleSearch;
+        const tableBody = document.getElementById('cycleSearchTableBody');
+        if (!result || !tableBody) return;
+
+        const map = CollatzMap.from(result.map);
+        const unresolved = [
+            result.divergent.count > 0
+                ? `расходятся ${result.divergent.count.toLocaleString()} (первое ${result.divergent.smallestStart})`
+                : '',
+            result.exhausted.count > 0
+                ? `не завершились ${result.exhausted.count.toLocaleString()} (первое ${result.exhausted.smallestStart})`
+                : ''
+        ].filter(Boolean);
+        document.getElementById('cycleSearchSummary').textContent =
+            `${map.label}, 1..${result.limit.toLocaleString()}: циклов ${result.cycles.length}` +
+            (unresolved.length > 0 ? `; ${unresolved.join(', ')}` : '');
+        document.getElementById('exportCyclesBtn')?.removeAttribute('disabled');
+
+        document.querySelectorAll('#cycleSearchHeader [data-sort]').forEach(header => {
+            const arrow = this.cycleSort.ascending ? ' ▲' : ' ▼';
+            header.textContent = header.textContent.replace(/ [▲▼]$/, '') +
+                (header.dataset.sort === this.cycleSort.key ? arrow : '');
+        });
+
+        if (result.cycles.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="5" class="text-center py-4 text-text-secondary">Циклы не найдены</td></tr>';
+            return;
+        }
+
+        const cycles = this.comparisonAnalyzer.sortRangeCycles(
+            result.cycles, this.cycleSort.key, this.cycleSort.ascending
+        );
+        const shownMembers = 12;
+        tableBody.innerHTML = cycles.map(cycle => `
+            <tr class="border-b border-secondary/20 hover:bg-surface/50">
+                <td class="py-2 px-3">${cycle.minElement.toLocaleString()}${cycle.known ? ` <span class="text-xs text-text-secondary">(${cycle.known})</span>` : ''}</td>
+                <td class="py-2 px-3">${cycle.length}</td>
+                <td class="py-2 px-3">${cycle.basinSize.toLocaleString()}</td>
+                <td class="py-2 px-3">${cycle.smallestStart.toLocaleString()}</td>
+                <td class="py-2 px-3 font-mono text-xs">${cycle.members.slice(0, shownMembers).join(' → ')}${cycle.length > shownMembers ? ' → …' : ''}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Экспорт результатов поиска циклов в JSON и CSV
+     */
+    exportCycleSearch() {
+        if (!this.cycleSearch) return;
+
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            Utils.downloadFile(
+                this.comparisonAnalyzer.exportRangeCycles(this.cycleSearch, 'json'),
+                `cycles_${timestamp}.json`,
+                'application/json'
+            );
+            Utils.downloadFile(
+                this.comparisonAnalyzer.exportRangeCycles(this.cycleSearch, 'csv'),
+                `cycles_${timestamp}.csv`,
+                'text/csv'
+            );
+            this.showSuccessWithAnimation('Циклы экспортированы');
+        } catch (error) {
+            console.error('❌ Ошибка экспорта циклов:', error);
+            this.showError('Ошибка при экспорте циклов');
+        }
+    }
+
+    /**
+     * Построение решета вычетов mod 2^k в воркере
+     */
+    async handleSieve() {
+        const input = document.getElementById('sieveKInput');
+        const k = BigMath.parseInteger(input ? input.value : '');
+
+        try {
+            ResidueSieve.validateK(k);
+
+            const [result] = await this.runTasks([['residueSieve', { k }]], 'Построение решета вычетов...');
+            if (this.advancedVisualization) {
+                this.advancedVisualization.updateSieve(result);
+            }
+            console.log(`🧮 Решето mod 2^${k}: выжило ${result.survivorCount} классов`);
+        } catch (error) {
+            this.handleTaskError(error, error.message || 'Ошибка при построении решета вычетов');
+        }
+    }
+
+    /**
+     * Обновление результатов анализа диапазона
+     */
+    updateRangeResults() {
+        const engine = this.sweepEngine;
+        if (!engine) return;
+
+        const stats = engine.getRangeStatistics(1, engine.computedUpTo);
+        const records = engine.findRecords(RecordMetric.DELAY);
+        const holder = records[records.length - 1];
+
+        document.getElementById('rangeCount').textContent = stats.count.toLocaleString();
+        document.getElementById('rangeAverageLength').textContent = stats.averageLength.toFixed(2);
+        document.getElementById('rangeMaxLength').textContent =
+            `${stats.maxLength} (n = ${holder.number.toLocaleString()})`;
+        document.getElementById('rangeMaxPeak').textContent = stats.maxPeak.toLocaleString();
+
+        this.updateRangeModel();
+        this.updateRangeRecords();
+    }
+
+    /**
+     * Сравнение времени остановки диапазона с моделью случайного блуждания
+     * Сводка считается по всей таблице полного времени остановки, диаграмма остатков -
+     * по выборке в выбранном представлении траектории
+     */
+    updateRangeModel() {
+        const engine = this.sweepEngine;
+        const summary = document.getElementById('rangeModelSummary');
+        if (!engine || !summary || engine.computedUpTo < 2) return;
+
+        const comparison = RandomWalkModel.compareStoppingTimes(engine.steps, engine.computedUpTo);
+        summary.textContent =
+            `Модель: ${comparison.expectedFactor.toFixed(2)}·ln n шагов полной траектории, ` +
+            `по данным: ${comparison.fittedFactor.toFixed(2)}·ln n. ` +
+            `Средний остаток ${comparison.meanResidual.toFixed(2)}, ` +
+            `СКО ${comparison.rmsResidual.toFixed(2)}, ` +
+            `R² = ${comparison.rSquared.toFixed(3)} (n = 2..${engine.computedUpTo.toLocaleString()})`;
+
+        // Графики диапазона строятся в первом из выбранных режимов
+        const [mode] = this.getSelectedModes();
+        const samples = engine.sampleSteps().map(({ x }) => ({ x, y: this.getRangeSteps(x, mode) }));
+        this.createRangeResidualChart(samples, mode);
+    }
+
+    /**
+     * Время остановки числа из диапазона в шагах представления
+     * Таблица диапазона хранит шаги полной траектории, шаги ускоренного отображения
+     * и отображения Сиракуз пересчитываются через число нечетных шагов
+     * @param {number} n - Число из рассчитанного диапазона
+     * @param {string} mode - Представление траектории (SequenceMode)
+     * @returns {number} Количество шагов до 1
+     */
+    getRangeSteps(n, mode) {
+        const steps = this.sweepEngine.steps[n];
+        if (mode === SequenceMode.STANDARD) {
+            return steps;
+        }
+
+        const odd = this.sweepEngine.countOddSteps(n);
+        return mode === SequenceMode.SHORTCUT ? steps - odd : odd;
+    }
+
+    /**
+     * Диаграмма остатков: время остановки минус ожидание модели
+     * @param {Array<Object>} samples - Точки { x: n, y: шагов } (см. getRangeSteps)
+     * @param {string} mode - Представление, в котором посчитаны шаги (SequenceMode)
+     */
+    createRangeResidualChart(samples, mode) {
+        const ctx = document.getElementById('rangeResidualChart');
+        if (!ctx) return;
+
+        if (this.rangeResidualChart) {
+            this.rangeResidualChart.destroy();
+            this.rangeResidualChart = null;
+        }
+
+        const axis = (text) => ({
+            title: {
+                display: true,
+                text,
+                color: '#a1a1aa'
+            },
+            ticks: {
+                color: '#a1a1aa'
+            },
+            grid: {
+                color: 'rgba(100, 116, 139, 0.2)'
+            }
+        });
+
+        this.rangeResidualChart = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: `Остаток (шагов - модель), ${SequenceModeLabels[mode]}`,
+                    data: RandomWalkModel.residuals(samples, mode),
+                    backgroundColor: 'rgba(16, 185, 129, 0.45)',
+                    pointRadius: 1.5,
+                    pointHoverRadius: 3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#ffffff'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const { x, y } = context.raw;
+                                return `n = ${x.toLocaleString()}: ${y >= 0 ? '+' : ''}${y.toFixed(1)} шагов к модели`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: { type: 'logarithmic', ...axis('n') },
+                    y: axis('Остаток')
+                }
+            }
+        });
+    }
+
+    /**
+     * Обновление таблицы рекордсменов выбранной метрики и диаграммы рассеяния
+     */
+    updateRangeRecords() {
+        const engine = this.sweepEngine;
+        if (!engine) return;
+
+        const metric = document.getElementById('recordMetricSelect')?.value || RecordMetric.DELAY;
+        const records = engine.findRecords(metric);
+        const valueLabels = {
+            [RecordMetric.DELAY]: 'Шагов',
+            [RecordMetric.PATH]: 'Пик',
+            [RecordMetric.GLIDE]: 'Глиссада'
+        };
+
+        const valueHeader = document.getElementById('recordValueHeader');
+        if (valueHeader) valueHeader.textContent = valueLabels[metric];
+
+        const tableBody = document.getElementById('rangeRecordsTableBody');
+        if (tableBody) {
+            tableBody.innerHTML = records.slice().reverse().map(record => `
+                <tr class="border-b border-secondary/20 hover:bg-surface/50">
+                    <td class="py-2 px-3">${record.number.toLocaleString()}</td>
+                    <td class="py-2 px-3">${record.value.toLocaleString()}</td>
+                    <td class="py-2 px-3">${record.steps}</td>
+                    <td class="py-2 px-3">${record.peak.toLocaleString()}</td>
+                    <td class="py-2 px-3">
+                        <button onclick="app.loadRangeStart(${record.number})" class="text-xs text-primary hover:text-primary/80">
+                            Загрузить
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        this.createRangeScatterChart(records, valueLabels[metric]);
+    }
+
+    /**
+     * Диаграмма рассеяния времени остановки с выделенными рекордсменами
+     * Точки, рекордсмены и кривая модели строятся в первом из выбранных режимов
+     * @param {Array<Object>} records - Рекордсмены (см. SweepEngine.findRecords)
+     * @param {string} metricLabel - Название метрики рекордов
+     */
+    createRangeScatterChart(records, metricLabel) {
+        const ctx = document.getElementById('rangeScatterChart');
+        if (!ctx || !this.sweepEngine) return;
+
+        if (this.rangeChart) {
+            this.rangeChart.destroy();
+            this.rangeChart = null;
+        }
+
+        const engine = this.sweepEngine;
+        const [mode] = this.getSelectedModes();
+
+        this.rangeChart = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Рекордсмены',
+                    data: records.map(record => ({ x: record.number, y: this.getRangeSteps(record.number, mode), record })),
+                    backgroundColor: '#f59e0b',
+                    borderColor: '#ffffff',
+                    borderWidth: 1,
+                    pointRadius: 5,
+                    pointHoverRadius: 7
+                }, {
+                    label: `Время остановки (${SequenceModeLabels[mode]})`,
+                    data: engine.sampleSteps().map(({ x }) => ({ x, y: this.getRangeSteps(x, mode) })),
+                    backgroundColor: 'rgba(59, 130, 246, 0.35)',
+                    pointRadius: 1.5,
+                    pointHoverRadius: 3
+                }, {
+                    type: 'line',
+                    label: `Модель: ${RandomWalkModel.stoppingTimeFactor(mode).toFixed(2)}·ln n`,
+                    data: RandomWalkModel.expectedStoppingCurve(1, engine.computedUpTo, { mode })
+                        .map(point => ({ ...point, model: true })),
+                    borderColor: '#ef4444',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    pointHoverRadius: 3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                onClick: (event, elements) => {
+                    const point = elements.find(element => element.datasetIndex === 0);
+                    if (point) {
+                        this.loadRangeStart(records[point.index].number);
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#ffffff'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const { x, y, record, model } = context.raw;
+                                if (model) {
+                                    return `n ≈ ${Math.round(x).toLocaleString()}: модель ≈ ${y.toFixed(1)} шагов`;
+                                }
+                                return record
+                                    ? `n = ${x.toLocaleString()}: рекорд (${metricLabel.toLowerCase()} ${record.value.toLocaleString()}), ${y} шагов`
+                                    : `n = ${x.toLocaleString()}: ${y} шагов`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'logarithmic',
+                        title: {
+                            display: true,
+                            text: 'n',
+                            color: '#a1a1aa'
+                        },
+                        ticks: {
+                            color: '#a1a1aa'
+                        },
+                        grid: {
+                            color: 'rgba(100, 116, 139, 0.2)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Полное время остановки',
+                            color: '#a1a1aa'
+                        },
+                        ticks: {
+                            color: '#a1a1aa'
+                        },
+                        grid: {
+                            color: 'rgba(100, 116, 139, 0.2)'
+                        }
+                    }
+                }
+            }
         });
     }
 
-    async handleCalculate() {
-        console.log('🔍 handleCalculate вызван');
-        
+    /**
+     * Загрузка числа из анализа диапазона: траектория 3n+1 строится и добавляется в DataManager
+     * @param {number} number - Начальное число
+     */
+    async loadRangeStart(number) {
+        console.log(`📥 Загрузка числа ${number} из анализа диапазона`);
         const input = document.getElementById('numberInput');
-        console.log('📝 Input элемент:', input);
-        
-        const number = parseInt(input.value);
-        console.log('🔢 Введенное число:', number);
-
-        if (!number || number < 1) {
-            console.log('❌ Неверное число');
-            this.showError('Пожалуйста, введите положительное число');
-            return;
-        }
-
-        if (number > 1000000) {
-            console.log('❌ Слишком большое число');
-            this.showError('Число слишком большое. Максимум: 1,000,000');
-            return;
-        }
-
-        try {
-            console.log('🚀 Начинаем вычисление...');
-            // Показ загрузки с анимацией
-            this.uiController.showLoading();
-            
-            // Генерация последовательности
-            console.log('📊 Генерируем последовательность...');
-            const sequence = CollatzAlgorithm.generateSequence(number);
-            console.log('✅ Последовательность сгенерирована:', sequence.length, 'элементов');
-            
-            // Добавление в DataManager
-            console.log('💾 Добавляем в DataManager...');
-            const sequenceData = this.dataManager.addSequence(number, sequence);
-            console.log('✅ Данные добавлены:', sequenceData);
-            
-            // Плавное обновление UI с анимациями
-            console.log('🎨 Обновляем UI с анимациями...');
-            this.updateUIWithAnimations(sequenceData);
-            
-            // Обновление визуализаций
-            console.log('📈 Обновляем визуализации...');
-            await this.updateVisualizations();
-            
-            console.log('✅ Вычисление завершено успешно');
-            // Скрытие загрузки с анимацией
-            this.uiController.hideLoading();
-            
-            // Показ успешного сообщения с анимацией
-            this.showSuccessWithAnimation(`Последовательность для числа ${number} успешно вычислена!`);
-            
-        } catch (error) {
-            console.error('❌ Ошибка вычисления:', error);
-            this.showError('Ошибка при вычислении последовательности');
-            this.uiController.hideLoading();
-        }
+        if (input) input.value = String(number);
+        await this.calculateSequence(number, CollatzMap.standard());
     }
 
     async handleCompare() {
         const input = document.getElementById('numberInput');
-        const number = parseInt(input.value);
+        const numbers = this.parseNumberInput(input);
+        if (!numbers) return;
 
-        if (!number || number < 1) {
-            this.showError('Пожалуйста, введите положительное число');
+        if (numbers.length > this.dataManager.maxSequences) {
+            this.showError(`Для сравнения можно ввести не больше ${this.dataManager.maxSequences} чисел`);
             return;
         }
 
-        // Добавляем несколько последовательностей для сравнения
-        const numbersToCompare = [number, number + 1, number + 2, number + 3, number + 5, number + 7];
+        const map = this.getSelectedMap();
+        if (!map) return;
+        const [mode] = this.getSelectedModes();
+
+        // Список сравнивается как есть, к одному числу добавляются соседние
+        // (ноль, который может попасть в соседи отрицательного числа, пропускается)
+        const candidates = numbers.length > 1 ? numbers : [0, 1, 2, 3, 5, 7]
+            .map(offset => BigMath.toBigInt(numbers[0]) + BigInt(offset))
+            .filter(value => value !== 0n)
+            .map(value => (BigMath.isSafe(value) ? Number(value) : value));
+        const numbersToCompare = this.applyDenominator(candidates, map);
+        if (!numbersToCompare) return;
         
         try {
             this.showLoading(true);
@@ -258,13 +1339,24 @@ class App {
             // Очищаем предыдущие данные сравнения
             this.comparisonAnalyzer.clearSequences();
             
-            for (const num of numbersToCompare) {
-                const sequence = CollatzAlgorithm.generateSequence(num);
-                const sequenceData = this.dataManager.addSequence(num, sequence);
-                
-                // Добавляем в анализатор сравнений
-                this.comparisonAnalyzer.addSequence(sequenceData);
-            }
+            // Траектории строятся в воркерах параллельно
+            const results = await this.runTasks(
+                numbersToCompare.map(num => ['computeSequence', { startNumber: num, map: map.toJSON(), mode }]),
+                'Вычисление последовательностей...'
+            );
+            const records = this.dataManager.addSequences(results.map((result, index) => ({
+                startNumber: numbersToCompare[index],
+                ...result,
+                map,
+                mode
+            })));
+
+            // Анализ для панели сравнения также выполняется в воркере
+            const [comparison] = await this.runTasks(
+                [['analyzeComparison', { sequences: records }]],
+                'Анализ последовательностей...'
+            );
+            this.comparisonAnalyzer.addSequences(records, comparison.analyses, comparison.statistics);
             
             // Обновление визуализаций
             await this.updateVisualizations();
@@ -278,8 +1370,7 @@ class App {
             this.showLoading(false);
             
         } catch (error) {
-            console.error('Ошибка сравнения:', error);
-            this.showError('Ошибка при сравнении последовательностей');
+            this.handleTaskError(error, 'Ошибка при сравнении последовательностей');
             this.showLoading(false);
         }
     }
@@ -407,15 +1498,23 @@ class App {
         if (!tableBody) return;
         
         if (sequences.length === 0) {
-            tableBody.innerHTML = '<tr><td colspan="5" class="text-center py-4 text-text-secondary">Нет данных</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="11" class="text-center py-4 text-text-secondary">Нет данных</td></tr>';
             return;
         }
         
-        tableBody.innerHTML = sequences.map(seq => `
+        tableBody.innerHTML = sequences.map(seq => {
+            const metrics = this.formatMetrics(seq.metrics);
+            return `
             <tr class="border-b border-secondary/20 hover:bg-surface/50">
                 <td class="py-2 px-3">${seq.startNumber}</td>
                 <td class="py-2 px-3">${seq.length}</td>
                 <td class="py-2 px-3">${seq.maxValue.toLocaleString()}</td>
+                <td class="py-2 px-3">${this.getStatusText(seq.outcome)}</td>
+                <td class="py-2 px-3">${metrics.glide}</td>
+                <td class="py-2 px-3">${metrics.stoppingTime}</td>
+                <td class="py-2 px-3">${metrics.totalStoppingTime}</td>
+                <td class="py-2 px-3">${metrics.gamma}</td>
+                <td class="py-2 px-3">${this.formatSimilarity(seq.similarity)}</td>
                 <td class="py-2 px-3">
                     <div class="flex flex-wrap gap-1">
                         ${seq.patterns.map(pattern => 
@@ -429,7 +1528,19 @@ class App {
                     </button>
                 </td>
             </tr>
-        `).join('');
+        `;
+        }).join('');
+    }
+
+    /**
+     * Форматирует схожесть с эталонной последовательностью
+     * @param {Object|null} similarity - { parity, dtw } или null
+     * @returns {string} Текст ячейки таблицы
+     */
+    formatSimilarity(similarity) {
+        if (!similarity) return '-';
+        const percent = value => `${(value * 100).toFixed(0)}%`;
+        return `${percent(similarity.parity)} / ${percent(similarity.dtw)}`;
     }
 
     /**
@@ -448,6 +1559,288 @@ class App {
     updateComparisonCharts() {
         this.createComparisonChart();
         this.createCorrelationChart();
+        this.createSimilarityChart();
+        this.createDigitChart();
+    }
+
+    /**
+     * Смена модуля распределения вычетов
+     * @param {HTMLInputElement} input - Поле модуля
+     */
+    handleDigitModulusChange(input) {
+        try {
+            this.comparisonAnalyzer.setDigitModulus(BigMath.parseInteger(input.value));
+            this.createDigitChart();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Распределение цифр, объединенное по траекториям диапазона начальных чисел (в воркере)
+     */
+    async handleDigitRange() {
+        const start = BigMath.parseInteger(document.getElementById('digitRangeStartInput')?.value || '');
+        const end = BigMath.parseInteger(document.getElementById('digitRangeEndInput')?.value || '');
+        const kind = document.getElementById('digitKindSelect')?.value || DigitDistributionKind.LEADING;
+        const modulus = this.comparisonAnalyzer.digitModulus;
+        const map = this.getSelectedMap();
+        if (!map) return;
+
+        try {
+            const [result] = await this.runTasks(
+                [['digitDistribution', { start, end, kind, modulus, map: map.toJSON() }]],
+                'Подсчет цифр траекторий диапазона...'
+            );
+            this.digitRange = result;
+            this.createDigitChart();
+            console.log(`🔢 Распределение цифр ${start}..${end}: χ² = ${result.chiSquare?.toFixed(2)}, p = ${result.pValue}`);
+        } catch (error) {
+            this.handleTaskError(error, error.message || 'Ошибка при подсчете распределения цифр');
+        }
+    }
+
+    /**
+     * Сгруппированная столбчатая диаграмма распределения цифр с кривой ожидаемых долей
+     * Столбцы - доли по каждой траектории сравнения, объединенные и по диапазону (если посчитан)
+     */
+    createDigitChart() {
+        const ctx = document.getElementById('digitChart');
+        if (!ctx) return;
+
+        if (this.comparisonAnalyzer.charts.digits) {
+            this.comparisonAnalyzer.charts.digits.destroy();
+            this.comparisonAnalyzer.charts.digits = null;
+        }
+
+        const kind = document.getElementById('digitKindSelect')?.value || DigitDistributionKind.LEADING;
+        const modulus = this.comparisonAnalyzer.digitModulus;
+        const analysis = this.comparisonAnalyzer.analyzeComparisonDigits({ kind, modulus });
+        const { pooled } = analysis;
+
+        const describe = result => (result.chiSquare === null
+            ? 'нет значений'
+            : `χ² = ${result.chiSquare.toFixed(2)}, df = ${result.degreesOfFreedom}, ` +
+              `p = ${result.pValue.toPrecision(3)}${result.lowExpected ? ' (мало значений, p неточно)' : ''}`);
+
+        const datasets = analysis.sequences.map(item => {
+            const record = this.comparisonAnalyzer.sequences.find(seq => seq.id === item.id);
+            return {
+                label: `Число ${item.startNumber}`,
+                data: item.observed,
+                result: item,
+                backgroundColor: record?.color || '#3b82f6'
+            };
+        });
+        const summary = [`Все траектории сравнения: ${describe(pooled)}`];
+
+        if (analysis.sequences.length > 1) {
+            datasets.push({
+                label: 'Все траектории',
+                data: pooled.observed,
+                result: pooled,
+                backgroundColor: '#ffffff'
+            });
+        }
+
+        const range = this.digitRange;
+        if (range && range.kind === kind && (kind !== DigitDistributionKind.MODULO || range.modulus === modulus)) {
+            datasets.push({
+                label: `Диапазон ${range.start.toLocaleString()}..${range.end.toLocaleString()}`,
+                data: range.observed,
+                result: range,
+                backgroundColor: '#10b981'
+            });
+            summary.push(`диапазон ${range.start.toLocaleString()}..${range.end.toLocaleString()}: ${describe(range)}`);
+            const skipped = [['расходящихся', range.divergent], ['исчерпавших лимит', range.exhausted]]
+                .filter(([, item]) => item.count > 0)
+                .map(([label, item]) => `${label} ${item.count.toLocaleString()} (от n = ${item.smallestStart})`);
+            if (skipped.length > 0) {
+                summary.push(`без учета ${skipped.join(', ')}`);
+            }
+        } else if (range) {
+            summary.push('распределение по диапазону посчитано для другого вида, пересчитайте его');
+        }
+
+        datasets.push({
+            type: 'line',
+            label: kind === DigitDistributionKind.LEADING ? 'Закон Бенфорда' : 'Равномерное распределение',
+            data: pooled.expected,
+            borderColor: '#ef4444',
+            backgroundColor: '#ef4444',
+            borderWidth: 2,
+            pointRadius: 3,
+            tension: 0.3
+        });
+
+        const summaryElement = document.getElementById('digitSummary');
+        if (summaryElement) summaryElement.textContent = summary.join('; ');
+
+        const titles = {
+            [DigitDistributionKind.LEADING]: 'Первая цифра',
+            [DigitDistributionKind.FINAL]: 'Последняя цифра',
+            [DigitDistributionKind.MODULO]: `Вычет mod ${modulus}`
+        };
+
+        this.comparisonAnalyzer.charts.digits = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: pooled.labels,
+                datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#ffffff'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const share = `${(context.parsed.y * 100).toFixed(2)}%`;
+                                const result = context.dataset.result;
+                                return result
+                                    ? `${context.dataset.label}: ${share} (${result.counts[context.dataIndex].toLocaleString()} из ${result.total.toLocaleString()})`
+                                    : `${context.dataset.label}: ${share}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: titles[kind],
+                            color: '#a1a1aa'
+                        },
+                        ticks: {
+                            color: '#a1a1aa'
+                        },
+                        grid: {
+                            color: 'rgba(100, 116, 139, 0.2)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Доля значений',
+                            color: '#a1a1aa'
+                        },
+                        ticks: {
+                            color: '#a1a1aa'
+                        },
+                        grid: {
+                            color: 'rgba(100, 116, 139, 0.2)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Создание тепловой карты матрицы схожести (см. ComparisonAnalyzer.calculateSimilarityMatrices)
+     * Строки и столбцы переставлены так, что похожие траектории стоят рядом
+     */
+    createSimilarityChart() {
+        const ctx = document.getElementById('similarityChart');
+        if (!ctx) return;
+
+        if (this.comparisonAnalyzer.charts.similarity) {
+            this.comparisonAnalyzer.charts.similarity.destroy();
+            this.comparisonAnalyzer.charts.similarity = null;
+        }
+
+        const similarity = this.comparisonAnalyzer.statistics.similarity;
+        if (!similarity || similarity.ids.length === 0) return;
+
+        const metric = document.getElementById('similarityMetricSelect')?.value || 'dtw';
+        const matrix = similarity[metric];
+        const { order } = similarity;
+        const labels = order.map(index => {
+            const record = this.comparisonAnalyzer.sequences.find(seq => seq.id === similarity.ids[index]);
+            return String(record.startNumber);
+        });
+
+        const cells = [];
+        order.forEach((row, y) => {
+            order.forEach((column, x) => {
+                cells.push({ x, y, value: matrix[row][column] });
+            });
+        });
+
+        // Квадрат точки 'rect' со стороной r·√2 заполняет ячейку сетки
+        const cellRadius = (context) => {
+            const area = context.chart.chartArea;
+            if (!area) return 5;
+            const size = Math.min(area.width, area.height) / labels.length;
+            return (size / 2) * Math.SQRT2 * 0.95;
+        };
+
+        this.comparisonAnalyzer.charts.similarity = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: metric === 'dtw' ? 'Схожесть (DTW)' : 'Схожесть (четность)',
+                    data: cells,
+                    pointStyle: 'rect',
+                    pointRadius: cellRadius,
+                    pointHoverRadius: cellRadius,
+                    backgroundColor: (context) => {
+                        const value = context.raw ? context.raw.value : 0;
+                        return `rgba(139, 92, 246, ${0.1 + 0.9 * value})`;
+                    },
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const { x, y, value } = context.raw;
+                                return `${labels[y]} ↔ ${labels[x]}: ${(value * 100).toFixed(1)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        min: -0.5,
+                        max: labels.length - 0.5,
+                        ticks: {
+                            stepSize: 1,
+                            color: '#a1a1aa',
+                            callback: (value) => labels[value] ?? ''
+                        },
+                        grid: {
+                            display: false
+                        }
+                    },
+                    y: {
+                        reverse: true,
+                        min: -0.5,
+                        max: labels.length - 0.5,
+                        ticks: {
+                            stepSize: 1,
+                            color: '#a1a1aa',
+                            callback: (value) => labels[value] ?? ''
+                        },
+                        grid: {
+                            display: false
+                        }
+                    }
+                }
+            }
+        });
     }
 
     /**
@@ -481,7 +1874,7 @@ class App {
                     },
                     {
                         label: 'Максимальное значение (÷100)',
-                        data: maxValues.map(v => v / 100),
+                        data: maxValues.map(v => BigMath.toNumber(v) / 100),
                         backgroundColor: 'rgba(245, 158, 11, 0.8)',
                         borderColor: 'rgba(245, 158, 11, 1)',
                         borderWidth: 1
@@ -605,6 +1998,15 @@ class App {
             this.comparisonAnalyzer.charts.correlation.destroy();
             this.comparisonAnalyzer.charts.correlation = null;
         }
+        if (this.comparisonAnalyzer.charts.similarity) {
+            this.comparisonAnalyzer.charts.similarity.destroy();
+            this.comparisonAnalyzer.charts.similarity = null;
+        }
+        if (this.comparisonAnalyzer.charts.digits) {
+            this.comparisonAnalyzer.charts.digits.destroy();
+            this.comparisonAnalyzer.charts.digits = null;
+        }
+        this.digitRange = null;
         
         this.showSuccess('Сравнение очищено');
     }
@@ -649,6 +2051,45 @@ class App {
         }
     }
 
+    /**
+     * Текст статуса последовательности по ее исходу
+     * @param {Object} outcome - Исход траектории
+     * @returns {string} Статус для панели статистики
+     */
+    getStatusText(outcome) {
+        switch (outcome?.type) {
+            case TrajectoryOutcome.CONVERGED: return '✓ Достигла 1';
+            case TrajectoryOutcome.CYCLE: return outcome.cycle.known
+                ? `↻ Известный ${outcome.cycle.known}`
+                : `↻ Цикл длины ${outcome.cycle.length}`;
+            case TrajectoryOutcome.DIVERGENT: return `↗ Рост выше 2^${outcome.maxBits}`;
+            case TrajectoryOutcome.EXHAUSTED: return '⚠ Лимит шагов';
+            default: return '-';
+        }
+    }
+
+    /**
+     * Форматирует метрики траектории для панели статистики и таблиц
+     * @param {Object} stats - Статистика последовательности
+     * @returns {Object} Отформатированные значения по id элементов
+     */
+    formatMetrics(stats) {
+        const formatInteger = (value) => (value === null || value === undefined ? '-' : String(value));
+        const formatReal = (value, digits) => (
+            value === null || value === undefined || !Number.isFinite(value) ? '-' : value.toFixed(digits)
+        );
+
+        return {
+            stoppingTime: formatInteger(stats.stoppingTime),
+            totalStoppingTime: formatInteger(stats.totalStoppingTime),
+            glide: formatInteger(stats.glide),
+            oddSteps: formatInteger(stats.oddSteps),
+            residue: formatReal(stats.residue, 4),
+            gamma: formatReal(stats.gamma, 2),
+            completeness: formatReal(stats.completeness, 3)
+        };
+    }
+
     updateUI(sequenceData) {
         // Обновление статистики
         const stats = sequenceData.statistics;
@@ -656,7 +2097,11 @@ class App {
         document.getElementById('sequenceLength').textContent = stats.length;
         document.getElementById('maxValue').textContent = stats.maxValue.toLocaleString();
         document.getElementById('stepCount').textContent = stats.steps;
-        document.getElementById('status').textContent = stats.hasReachedOne ? '✓ Завершена' : '⚠ Не завершена';
+        document.getElementById('status').textContent = this.getStatusText(sequenceData.outcome);
+        Object.entries(this.formatMetrics(stats)).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
         
         // Обновление деталей последовательности
         this.updateSequenceDetails(sequenceData);
@@ -686,7 +2131,8 @@ class App {
             sequenceLength: sequenceData.statistics.length,
             maxValue: sequenceData.statistics.maxValue.toLocaleString(),
             stepCount: sequenceData.statistics.steps,
-            status: sequenceData.statistics.hasReachedOne ? '✓ Завершена' : '⚠ Не завершена'
+            status: this.getStatusText(sequenceData.outcome),
+            ...this.formatMetrics(sequenceData.statistics)
         };
         
         // Плавное обновление статистических значений с анимациями
@@ -703,7 +2149,16 @@ class App {
         const showFirst = 20;
         const showLast = 10;
         
-        if (sequence.length <= showFirst + showLast) {
+        if (!sequence) {
+            // Для записи со сводкой запрашиваем только начало траектории
+            const firstPart = this.dataManager.getSequenceWindow(sequenceData.id, 0, showFirst)
+                .map(num => `<span class="sequence-number">${num}</span>`)
+                .join(' → ');
+            const { length, endNumber } = sequenceData.statistics;
+            detailsHTML = firstPart +
+                ` → <span class="sequence-step">... (${(length - showFirst).toLocaleString()} элементов) ...</span>` +
+                ` → <span class="sequence-number">${endNumber}</span>`;
+        } else if (sequence.length <= showFirst + showLast) {
             // Если последовательность короткая, показываем все
             detailsHTML = sequence.map((num, index) => 
                 `<span class="sequence-number">${num}</span>${index < sequence.length - 1 ? ' → ' : ''}`
@@ -739,7 +2194,7 @@ class App {
     }
 
     async updateVisualizations() {
-        const sequences = this.dataManager.getSequences();
+        const sequences = this.dataManager.getMaterializedSequences();
         
         if (sequences.length === 0) return;
         
@@ -759,11 +2214,145 @@ class App {
                 this.advancedVisualization.updateCharts(sequences);
             }
             
+            this.syncPlayer();
+            this.updateMergePoint();
+            
         } catch (error) {
             console.error('Ошибка обновления визуализаций:', error);
         }
     }
 
+    /**
+     * Находит точку слияния показанных траекторий, подсвечивает ее на 2D и 3D
+     * графиках и выводит шаги до нее в панели сравнения
+     */
+    updateMergePoint() {
+        const sequences = this.dataManager.getMaterializedSequences();
+        const summary = document.getElementById('mergePointSummary');
+        const tableBody = document.getElementById('mergePointTableBody');
+
+        let merge = null;
+        let message;
+        if (sequences.length < 2) {
+            message = 'Нужно не меньше двух траекторий';
+        } else if (!this.dataManager.canMerge(sequences)) {
+            message = 'Траектории построены разными отображениями или в разных режимах';
+        } else {
+            merge = this.dataManager.findMergePoint();
+            message = merge
+                ? `Траектории сливаются в ${merge.value.toLocaleString()}, общий хвост - ${merge.sharedTailLength} значений`
+                : 'У траекторий нет общих значений';
+        }
+
+        this.visualization2D?.showMergePoint(merge);
+        this.visualization3D?.showMergePoint(merge);
+
+        if (summary) summary.textContent = message;
+        if (tableBody) {
+            tableBody.innerHTML = merge ? merge.records.map(record => {
+                const { statistics } = this.dataManager.getSequenceById(record.id);
+                return `
+                    <tr class="border-b border-secondary/10">
+                        <td class="py-2 px-3">
+                            <span class="inline-block w-3 h-3 rounded-full mr-2" style="background-color: ${record.color}"></span>${record.startNumber.toLocaleString()}
+                        </td>
+                        <td class="py-2 px-3">${record.steps}</td>
+                        <td class="py-2 px-3">${statistics.length}</td>
+                    </tr>
+                `;
+            }).join('') : '';
+        }
+    }
+
+    /**
+     * Подписка визуализаций и панели статистики на проигрыватель траектории
+     */
+    setupPlayer() {
+        this.uiController.setupTransportBars(this.player);
+
+        this.player.addEventListener('step', ({ record, step }) => {
+            this.visualization2D?.showPlaybackStep(record, step);
+            this.visualization3D?.showPlaybackStep(record, step);
+        });
+
+        // Удаленная запись не должна оставаться в проигрывателе
+        this.dataManager.addEventListener('sequenceRemoved', () => this.syncPlayer());
+        this.dataManager.addEventListener('sequencesCleared', () => this.syncPlayer());
+    }
+
+    /**
+     * Загружает в проигрыватель последнюю рассчитанную последовательность
+     * Для уже загруженной записи текущий шаг сохраняется
+     */
+    syncPlayer() {
+        const sequences = this.dataManager.getMaterializedSequences();
+        const record = sequences[sequences.length - 1] || null;
+
+        if (record && record.id === this.player.getState().recordId) {
+            this.player.load(record, this.player.step);
+        } else {
+            this.player.load(record);
+        }
+    }
+
+    /**
+     * Переключение 3D сцены между траекториями и деревом прообразов
+     * Корень дерева - начальное число последней последовательности (или 1)
+     */
+    async toggleInverseTree3D() {
+        if (!this.visualization3D) return;
+
+        const sequences = this.dataManager.getSequences();
+        if (this.visualization3D.viewMode === 'tree') {
+            await this.visualization3D.update(this.dataManager.getMaterializedSequences());
+            this.syncPlayer();
+            this.updateMergePoint();
+            return;
+        }
+
+        const last = sequences[sequences.length - 1];
+        try {
+            const tree = CollatzAlgorithm.buildInverseTree(
+                last ? last.startNumber : 1,
+                this.visualization3D.settings.treeDepth,
+                { map: last?.map }
+            );
+            this.visualization3D.showInverseTree(tree);
+        } catch (error) {
+            console.error('Ошибка построения дерева прообразов:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Циклическое переключение шкалы 2D графика: авто → логарифмическая → линейная
+     * @param {HTMLElement} button - Кнопка переключения
+     */
+    async toggleScale2D(button) {
+        if (!this.visualization2D) return;
+
+        const modes = ['auto', 'logarithmic', 'linear'];
+        const labels = { auto: 'Шкала: авто', logarithmic: 'Шкала: лог', linear: 'Шкала: лин' };
+        const current = modes.indexOf(this.visualization2D.scaleMode);
+        const next = modes[(current + 1) % modes.length];
+
+        button.textContent = labels[next];
+        await this.visualization2D.setScaleMode(next, this.dataManager.getMaterializedSequences());
+    }
+
+    /**
+     * Включение и выключение модели случайного блуждания на 2D графике
+     * @param {HTMLElement} button - Кнопка переключения
+     */
+    async toggleModel2D(button) {
+        if (!this.visualization2D) return;
+
+        const visible = !this.visualization2D.showModel;
+        button.textContent = visible ? 'Модель: вкл' : 'Модель: выкл';
+        await this.visualization2D.setModelVisible(visible, this.dataManager.getMaterializedSequences());
+        console.log(`🎲 Модель случайного блуждания на 2D графике: ${visible ? 'включена' : 'выключена'}`);
+    }
+
     handleResize() {
         // Обновление размеров визуализаций при изменении размера окна
         if (this.visualization2D) {
@@ -873,19 +2462,23 @@ class App {
             // Обновление визуализаций в зависимости от активной вкладки
             if (tabId === '2d') {
                 // Обновление 2D визуализации
-                const sequences = this.dataManager.getSequences();
+                const sequences = this.dataManager.getMaterializedSequences();
                 if (sequences.length > 0 && this.visualization2D) {
                     await this.visualization2D.update(sequences);
+                    this.syncPlayer();
+                    this.updateMergePoint();
                 }
             } else if (tabId === '3d') {
                 // Обновление 3D визуализации
-                const sequences = this.dataManager.getSequences();
+                const sequences = this.dataManager.getMaterializedSequences();
                 if (sequences.length > 0 && this.visualization3D) {
                     await this.visualization3D.update(sequences);
+                    this.syncPlayer();
+                    this.updateMergePoint();
                 }
             } else if (tabId === 'advanced') {
                 // Обновление расширенных визуализаций
-                const sequences = this.dataManager.getSequences();
+                const sequences = this.dataManager.getMaterializedSequences();
                 if (sequences.length > 0 && this.advancedVisualization) {
                     this.advancedVisualization.updateCharts(sequences);
                 }
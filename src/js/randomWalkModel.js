@@ -0,0 +1,243 @@
+/**
+ * Модуль вероятностной модели случайного блуждания
+ *
+ * Эвристика: четности значений траектории ведут себя как независимые честные монеты.
+ * Шаг отображения Сиракуз n → (3n+1) / 2^k делает одно умножение на 3 и k делений на 2,
+ * где k распределено геометрически с P(k) = 2^-k и E[k] = 2, поэтому ln n в среднем
+ * смещается на ln 3 - 2·ln 2 = ln(3/4) за шаг. Отсюда ожидаемое время до 1:
+ * ln n / ln(4/3) шагов Сиракуз, 2·ln n / ln(4/3) ≈ 6.95·ln n шагов ускоренного
+ * отображения и 3·ln n / ln(4/3) ≈ 10.43·ln n шагов полной траектории.
+ */
+
+import { BigMath } from './bigMath.js';
+import { SequenceMode } from './algorithm.js';
+
+// Средний сдвиг ln n за шаг отображения Сиракуз
+export const SYRACUSE_DRIFT = Math.log(3 / 4);
+
+// Среднее число шагов каждого представления на один шаг Сиракуз (нечетный шаг + E[k] делений)
+const STEPS_PER_SYRACUSE_STEP = Object.freeze({
+    [SequenceMode.STANDARD]: 3,
+    [SequenceMode.SHORTCUT]: 2,
+    [SequenceMode.SYRACUSE]: 1
+});
+
+// Ограничение длины моделируемой траектории (блуждание с отрицательным сносом
+// заканчивается почти наверное, граница защищает от зависания при огромных n)
+const MAX_SIMULATION_STEPS = 1000000;
+
+// Допуск сравнения ln v с нулем: точные деления степени двойки накапливают ошибку округления
+const LOG_EPSILON = 1e-9;
+
+/**
+ * Генератор псевдослучайных чисел mulberry32: одинаковое зерно дает одинаковые траектории
+ * @param {number} seed - Зерно
+ * @returns {Function} Функция, возвращающая числа из [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class RandomWalkModel {
+    /**
+     * Коэффициент ожидаемого времени остановки: E[шагов до 1] ≈ factor·ln n
+     * @param {string} mode - Представление траектории (SequenceMode, по умолчанию standard)
+     * @returns {number} Коэффициент при ln n
+     */
+    static stoppingTimeFactor(mode = SequenceMode.STANDARD) {
+        const steps = STEPS_PER_SYRACUSE_STEP[mode];
+        if (!steps) {
+            throw new Error(`Неизвестный режим последовательности: ${mode}`);
+        }
+        return -steps / SYRACUSE_DRIFT;
+    }
+
+    /**
+     * Ожидаемое время остановки числа по модели
+     * @param {number|bigint} n - Положительное число
+     * @param {string} mode - Представление траектории (SequenceMode)
+     * @returns {number} Ожидаемое число шагов до 1
+     */
+    static expectedStoppingTime(n, mode = SequenceMode.STANDARD) {
+        return this.stoppingTimeFactor(mode) * BigMath.ln(n);
+    }
+
+    /**
+     * Кривая ожидаемого времени остановки для диапазона (логарифмически равномерная сетка)
+     * @param {number} start - Первое число (не меньше 1)
+     * @param {number} end - Последнее число
+     * @param {Object} options - Параметры
+     * @param {string} options.mode - Представление траектории (SequenceMode)
+     * @param {number} options.points - Количество точек кривой
+     * @returns {Array<Object>} Точки { x, y }
+     */
+    static expectedStoppingCurve(start, end, options = {}) {
+        const { mode = SequenceMode.STANDARD, points = 200 } = options;
+        const from = Math.max(1, start);
+        const ratio = Math.pow(end / from, 1 / Math.max(1, points - 1));
+
+        const curve = [];
+        for (let i = 0; i < points; i++) {
+            const x = i === points - 1 ? end : from * Math.pow(ratio, i);
+            curve.push({ x, y: this.expectedStoppingTime(x, mode) });
+        }
+        return curve;
+    }
+
+    /**
+     * Ожидаемая траектория: ln n убывает на ln(4/3) за шаг Сиракуз, то есть на ln(4/3) / 3
+     * за шаг полной траектории и на ln(4/3) / 2 за шаг ускоренного отображения
+     * @param {number|bigint} startNumber - Положительное начальное число
+     * @param {string} mode - Представление траектории (SequenceMode, по умолчанию standard)
+     * @returns {Array<number>} Значения по шагам представления до первого значения не больше 1
+     */
+    static expectedTrajectory(startNumber, mode = SequenceMode.STANDARD) {
+        const drift = -1 / this.stoppingTimeFactor(mode);
+        const logStart = BigMath.ln(startNumber);
+
+        const values = [];
+        for (let step = 0; values.length < MAX_SIMULATION_STEPS; step++) {
+            const logValue = logStart + step * drift;
+            values.push(Math.exp(logValue));
+            if (logValue <= LOG_EPSILON) break;
+        }
+        return values;
+    }
+
+    /**
+     * Моделирует одну траекторию
+     * Начальные деления на 2 четного числа точные, дальше каждый блок - нечетный шаг
+     * v → 3v + 1 и k ≥ 1 делений пополам, где каждое следующее деление происходит
+     * с вероятностью 1/2. Значения хранятся в логарифмах, чтобы моделировать и BigInt.
+     * Члены отбираются так же, как в CollatzAlgorithm.applyMode: ускоренное отображение
+     * объединяет нечетный шаг с первым делением, Сиракузы оставляют только нечетные члены.
+     * @param {number|bigint} startNumber - Положительное начальное число
+     * @param {Object} options - Параметры
+     * @param {number} options.seed - Зерно генератора (по умолчанию 1)
+     * @param {string} options.mode - Представление траектории (SequenceMode, по умолчанию standard)
+     * @returns {Array<number>} Значения по шагам представления до первого значения не больше 1
+     */
+    static simulateTrajectory(startNumber, options = {}) {
+        const { seed = 1, mode = SequenceMode.STANDARD } = options;
+        this.stoppingTimeFactor(mode);
+
+        const random = createRandom(seed);
+        const isSyracuse = mode === SequenceMode.SYRACUSE;
+        let start = BigMath.toBigInt(startNumber);
+        const values = isSyracuse && start % 2n === 0n ? [] : [BigMath.toNumber(startNumber)];
+        let logValue = BigMath.ln(startNumber);
+
+        // Последнее значение записывается всегда, остальные - если входят в представление
+        const push = (keep) => {
+            const done = logValue <= LOG_EPSILON;
+            if (keep || done) {
+                values.push(Math.exp(logValue));
+            }
+            return done || values.length >= MAX_SIMULATION_STEPS;
+        };
+
+        // Четная часть начального числа известна точно
+        while (start > 1n && start % 2n === 0n) {
+            start /= 2n;
+            logValue -= Math.LN2;
+            if (push(!isSyracuse || start % 2n === 1n)) return values;
+        }
+        if (logValue <= LOG_EPSILON) return values;
+
+        for (;;) {
+            // ln(3v + 1) = ln v + ln(3 + 1/v)
+            logValue += Math.log(3 + Math.exp(-logValue));
+            if (push(mode === SequenceMode.STANDARD)) return values;
+
+            let more;
+            do {
+                logValue -= Math.LN2;
+                more = random() < 0.5;
+                if (push(!isSyracuse || !more)) return values;
+            } while (more);
+        }
+    }
+
+    /**
+     * Ожидаемый номер шага полной траектории для шага представления
+     * (для размещения модели на общей оси шагов, см. CollatzAlgorithm.alignToStandardSteps)
+     * @param {number} step - Номер шага в представлении mode
+     * @param {string} mode - Представление траектории (SequenceMode)
+     * @returns {number} Номер шага полной траектории
+     */
+    static toStandardStep(step, mode = SequenceMode.STANDARD) {
+        return Math.round(step * STEPS_PER_SYRACUSE_STEP[SequenceMode.STANDARD] / STEPS_PER_SYRACUSE_STEP[mode]);
+    }
+
+    /**
+     * Остатки реальных времен остановки относительно модели
+     * @param {Array<Object>} points - Точки { x: n, y: шагов }
+     * @param {string} mode - Представление траектории (SequenceMode)
+     * @returns {Array<Object>} Точки { x: n, y: шагов - ожидание }
+     */
+    static residuals(points, mode = SequenceMode.STANDARD) {
+        const factor = this.stoppingTimeFactor(mode);
+        return points
+            .filter(point => point.x > 1)
+            .map(point => ({ x: point.x, y: point.y - factor * Math.log(point.x) }));
+    }
+
+    /**
+     * Сравнивает таблицу времен остановки с моделью
+     * @param {ArrayLike<number>} steps - Время остановки по индексу n (см. SweepEngine.steps)
+     * @param {number} end - Последнее число диапазона
+     * @param {Object} options - Параметры
+     * @param {number} options.start - Первое число (по умолчанию 2: ln 1 = 0)
+     * @param {string} options.mode - Представление, в котором посчитаны шаги (SequenceMode)
+     * @returns {Object} { count, expectedFactor, fittedFactor, meanResidual, rmsResidual, rSquared }
+     * (fittedFactor - коэффициент c наилучшего приближения шагов ≈ c·ln n)
+     */
+    static compareStoppingTimes(steps, end, options = {}) {
+        const { start = 2, mode = SequenceMode.STANDARD } = options;
+        const expectedFactor = this.stoppingTimeFactor(mode);
+
+        let count = 0;
+        let sumResidual = 0;
+        let sumSquaredResidual = 0;
+        let sumSteps = 0;
+        let sumSquaredSteps = 0;
+        let sumStepsLog = 0;
+        let sumSquaredLog = 0;
+
+        for (let n = Math.max(2, start); n <= end; n++) {
+            const logN = Math.log(n);
+            const value = steps[n];
+            const residual = value - expectedFactor * logN;
+
+            count++;
+            sumResidual += residual;
+            sumSquaredResidual += residual * residual;
+            sumSteps += value;
+            sumSquaredSteps += value * value;
+            sumStepsLog += value * logN;
+            sumSquaredLog += logN * logN;
+        }
+
+        if (count === 0) {
+            throw new Error('Диапазон для сравнения с моделью пуст');
+        }
+
+        const totalVariance = sumSquaredSteps - sumSteps * sumSteps / count;
+        return {
+            count,
+            expectedFactor,
+            fittedFactor: sumStepsLog / sumSquaredLog,
+            meanResidual: sumResidual / count,
+            rmsResidual: Math.sqrt(sumSquaredResidual / count),
+            // Доля дисперсии шагов, объясненная моделью (может быть отрицательной)
+            rSquared: totalVariance > 0 ? 1 - sumSquaredResidual / totalVariance : 0
+        };
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Модуль точных рациональных чисел
+ *
+ * Отображение 3x+1 продолжается на дроби a/b с нечетным знаменателем: «четность»
+ * такой дроби - четность числителя (b обратим по модулю 2). Траектории дробей
+ * почти всегда попадают в цикл, и для многих знаменателей таких циклов несколько.
+ *
+ * Дробь хранится в несократимом виде с положительным знаменателем, числитель и
+ * знаменатель - BigInt, поэтому вся арифметика точная. valueOf возвращает
+ * приближенное десятичное значение, чтобы дроби можно было рисовать на графиках
+ * наравне с целыми числами; для точных сравнений используется compare/equals.
+ */
+
+import { BigMath } from './bigMath.js';
+
+export class Rational {
+    /**
+     * @param {number|bigint} numerator - Числитель
+     * @param {number|bigint} denominator - Знаменатель (не ноль)
+     */
+    constructor(numerator, denominator = 1n) {
+        if (!BigMath.isInteger(numerator) || !BigMath.isInteger(denominator)) {
+            throw new Error('Числитель и знаменатель дроби должны быть целыми числами');
+        }
+
+        let a = BigMath.toBigInt(numerator);
+        let b = BigMath.toBigInt(denominator);
+        if (b === 0n) {
+            throw new Error('Знаменатель дроби не может быть нулем');
+        }
+        if (b < 0n) {
+            a = -a;
+            b = -b;
+        }
+
+        const divisor = Rational.gcd(a, b);
+        this.numerator = divisor > 1n ? a / divisor : a;
+        this.denominator = divisor > 1n ? b / divisor : b;
+        Object.freeze(this);
+    }
+
+    /**
+     * Наибольший общий делитель модулей
+     * @param {bigint} a - Первое число
+     * @param {bigint} b - Второе число
+     * @returns {bigint} НОД (неотрицательный)
+     */
+    static gcd(a, b) {
+        a = a < 0n ? -a : a;
+        b = b < 0n ? -b : b;
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Приводит значение к дроби
+     * @param {Rational|Object|number|bigint|string} value - Дробь, объект { numerator, denominator }
+     * (например, после structured clone), целое число или строка вида "a/b"
+     * @returns {Rational} Дробь
+     */
+    static from(value) {
+        if (value instanceof Rational) return value;
+        if (Rational.isRationalLike(value)) {
+            return new Rational(value.numerator, value.denominator);
+        }
+        if (typeof value === 'string') {
+            const match = /^\s*([+-]?\d+)\s*(?:\/\s*(\d+)\s*)?$/.exec(value);
+            if (!match) {
+                throw new Error(`Не удалось разобрать дробь «${value}»`);
+            }
+            return new Rational(BigInt(match[1]), BigInt(match[2] || 1));
+        }
+        return new Rational(value, 1n);
+    }
+
+    /**
+     * Похоже ли значение на дробь: экземпляр Rational или объект
+     * { numerator, denominator } с целыми полями (так дробь выглядит после
+     * structured clone или JSON.parse с BigMath.jsonReviver)
+     * @param {*} value - Значение
+     * @returns {boolean} true для дробей
+     */
+    static isRationalLike(value) {
+        return value instanceof Rational || (
+            value !== null && typeof value === 'object' &&
+            Object.keys(value).length === 2 &&
+            BigMath.isInteger(value.numerator) && BigMath.isInteger(value.denominator)
+        );
+    }
+
+    /**
+     * Восстанавливает дроби во вложенных массивах и объектах
+     * Нужен для результатов воркеров: structured clone не сохраняет классы.
+     * @param {*} value - Значение
+     * @returns {*} То же значение, в котором объекты-дроби заменены на Rational
+     */
+    static revive(value) {
+        if (value instanceof Rational || value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Rational.revive(item));
+        }
+        // Типизированные массивы и прочие объекты с прототипом не перебираются:
+        // Object.keys для таблицы на миллионы элементов создал бы миллионы строк
+        if (Object.getPrototypeOf(value) !== Object.prototype) {
+            return value;
+        }
+        if (Rational.isRationalLike(value)) {
+            return Rational.from(value);
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = Rational.revive(item);
+        }
+        return result;
+    }
+
+    /**
+     * Функция-восстановитель для JSON.parse (применяется после BigMath.jsonReviver)
+     * @param {string} key - Ключ
+     * @param {*} value - Значение
+     * @returns {*} Rational для объектов { numerator, denominator }, иначе само значение
+     */
+    static jsonReviver(key, value) {
+        return Rational.isRationalLike(value) ? Rational.from(value) : value;
+    }
+
+    /**
+     * Минимум массива дробей
+     * @param {Array<Rational>} values - Дроби
+     * @returns {Rational} Наименьшая дробь
+     */
+    static min(values) {
+        return values.reduce((result, value) => (value.compare(result) < 0 ? value : result));
+    }
+
+    /**
+     * Максимум массива дробей
+     * @param {Array<Rational>} values - Дроби
+     * @returns {Rational} Наибольшая дробь
+     */
+    static max(values) {
+        return values.reduce((result, value) => (value.compare(result) > 0 ? value : result));
+    }
+
+    /**
+     * Является ли дробь целым числом
+     * @returns {boolean} true при знаменателе 1
+     */
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    /**
+     * Сумма дробей
+     * @param {Rational|number|bigint} other - Слагаемое
+     * @returns {Rational} this + other
+     */
+    add(other) {
+        const value = Rational.from(other);
+        return new Rational(
+            this.numerator * value.denominator + value.numerator * this.denominator,
+            this.denominator * value.denominator
+        );
+    }
+
+    /**
+     * Произведение дробей
+     * @param {Rational|number|bigint} other - Множитель
+     * @returns {Rational} this · other
+     */
+    multiply(other) {
+        const value = Rational.from(other);
+        return new Rational(this.numerator * value.numerator, this.denominator * value.denominator);
+    }
+
+    /**
+     * Частное дробей
+     * @param {Rational|number|bigint} other - Делитель (не ноль)
+     * @returns {Rational} this / other
+     */
+    divide(other) {
+        const value = Rational.from(other);
+        if (value.numerator === 0n) {
+            throw new Error('Деление на ноль');
+        }
+        return new Rational(this.numerator * value.denominator, this.denominator * value.numerator);
+    }
+
+    /**
+     * Модуль дроби
+     * @returns {Rational} |this|
+     */
+    abs() {
+        return this.numerator < 0n ? new Rational(-this.numerator, this.denominator) : this;
+    }
+
+    /**
+     * Точное сравнение
+     * @param {Rational|number|bigint} other - Другое значение
+     * @returns {number} -1, 0 или 1
+     */
+    compare(other) {
+        const value = Rational.from(other);
+        const left = this.numerator * value.denominator;
+        const right = value.numerator * this.denominator;
+        return left < right ? -1 : (left > right ? 1 : 0);
+    }
+
+    /**
+     * Точное равенство
+     * @param {Rational|number|bigint} other - Другое значение
+     * @returns {boolean} true, если значения равны
+     */
+    equals(other) {
+        const value = Rational.from(other);
+        return this.numerator === value.numerator && this.denominator === value.denominator;
+    }
+
+    /**
+     * Десятичный логарифм модуля (работает за пределами Number.MAX_VALUE)
+     * @returns {number} log10 |this|
+     */
+    log10() {
+        return BigMath.log10(this.numerator) - BigMath.log10(this.denominator);
+    }
+
+    /**
+     * Приближенное десятичное значение
+     * @returns {number} Значение number
+     */
+    toNumber() {
+        const approx = Number(this.numerator) / Number(this.denominator);
+        if (Number.isFinite(approx)) {
+            return approx;
+        }
+        const sign = this.numerator < 0n ? -1 : 1;
+        return sign * Math.pow(10, this.log10());
+    }
+
+    valueOf() {
+        return this.toNumber();
+    }
+
+    /**
+     * Запись дроби: "a/b" или "a" для целых
+     * @returns {string} Строка
+     */
+    toString() {
+        return this.isInteger() ? String(this.numerator) : `${this.numerator}/${this.denominator}`;
+    }
+
+    /**
+     * Сериализация: BigInt-поля сохраняются BigMath.jsonReplacer
+     * @returns {Object} { numerator, denominator }
+     */
+    toJSON() {
+        return { numerator: this.numerator, denominator: this.denominator };
+    }
+}
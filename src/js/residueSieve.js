@@ -0,0 +1,164 @@
+/**
+ * Модуль решета классов вычетов по модулю 2^k
+ *
+ * Для ускоренного отображения T(n) = n / 2 или (3n + 1) / 2 первые j шагов числа n
+ * определяются вычетом n mod 2^j, а T^j(a + 2^j·t) = T^j(a) + 3^o·t, где o - число
+ * нечетных шагов. Если 3^o < 2^j, то T^j(n) < n для всех n > 1 класса, то есть время
+ * остановки класса не больше j. Классы, не остановившиеся к шагу j, расщепляются
+ * на два класса по модулю 2^(j+1); остальные отсеиваются.
+ *
+ * Доля выживших классов сравнивается с биномиальной оценкой: вероятностью того,
+ * что среди j случайных шагов нечетных больше j / log2(3).
+ */
+
+import { CollatzMap } from './collatzMap.js';
+
+// Максимальное k: число выживших классов растет примерно как 1.9^k
+const MAX_SIEVE_K = 24;
+
+// Сколько классов каждого уровня сохраняется для просмотра
+const SAMPLE_LIMIT = 64;
+
+export class ResidueSieve {
+    /**
+     * Проверяет показатель модуля
+     * @param {number} k - Показатель модуля 2^k
+     */
+    static validateK(k) {
+        if (!Number.isInteger(k) || k < 1) {
+            throw new Error('Показатель модуля должен быть положительным целым числом');
+        }
+        if (k > MAX_SIEVE_K) {
+            throw new Error(`Показатель модуля не может превышать ${MAX_SIEVE_K}`);
+        }
+    }
+
+    /**
+     * Строит решето классов вычетов по модулю 2^k
+     * @param {number} k - Показатель модуля
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение qn+r с делителем 2 (по умолчанию 3n+1)
+     * @param {Function} options.onProgress - Вызывается после каждого шага с (j, k)
+     * @returns {Object} { k, modulus, map, levels, survivors, survivorCount, density, estimate }:
+     * levels - по шагам j = 1..k { step, stopped, survivors, stoppedFraction, density, estimate, samples },
+     * где stopped - число классов mod 2^j с временем остановки ровно j, samples - первые из них;
+     * survivors - вычеты mod 2^k с временем остановки больше k (Float64Array)
+     */
+    static compute(k, options = {}) {
+        this.validateK(k);
+
+        const map = CollatzMap.from(options.map);
+        const { multiplier, increment } = map;
+        if (map.divisor !== 2 || multiplier % 2 === 0 || increment % 2 === 0) {
+            throw new Error('Решето строится только для qn+r с делителем 2 и нечетными q и r');
+        }
+        if (multiplier < 2 || !Number.isSafeInteger(Math.pow(multiplier, k + 1))) {
+            throw new Error('Для этого множителя решето с таким k недоступно');
+        }
+
+        // Степени множителя: powers[o] = q^o
+        const powers = [1];
+        for (let o = 1; o <= k; o++) {
+            powers.push(powers[o - 1] * multiplier);
+        }
+
+        // Выжившие классы: вычет a, T^j(a) и число нечетных шагов
+        let residues = new Float64Array([0]);
+        let values = new Float64Array([0]);
+        let odds = new Uint8Array([0]);
+        let count = 1;
+
+        const levels = [];
+        let modulus = 1;
+
+        for (let step = 1; step <= k; step++) {
+            const nextResidues = new Float64Array(count * 2);
+            const nextValues = new Float64Array(count * 2);
+            const nextOdds = new Uint8Array(count * 2);
+            const samples = [];
+            let survivors = 0;
+            let stopped = 0;
+
+            for (let i = 0; i < count; i++) {
+                // Класс a mod 2^(step-1) расщепляется на a и a + 2^(step-1)
+                for (let half = 0; half < 2; half++) {
+                    const residue = residues[i] + half * modulus;
+                    let value = values[i] + half * powers[odds[i]];
+                    let oddSteps = odds[i];
+
+                    if (value % 2 === 0) {
+                        value /= 2;
+                    } else {
+                        value = (multiplier * value + increment) / 2;
+                        oddSteps++;
+                    }
+
+                    if (powers[oddSteps] < modulus * 2) {
+                        stopped++;
+                        if (samples.length < SAMPLE_LIMIT) samples.push(residue);
+                    } else {
+                        nextResidues[survivors] = residue;
+                        nextValues[survivors] = value;
+                        nextOdds[survivors] = oddSteps;
+                        survivors++;
+                    }
+                }
+            }
+
+            modulus *= 2;
+            residues = nextResidues;
+            values = nextValues;
+            odds = nextOdds;
+            count = survivors;
+
+            levels.push({
+                step,
+                stopped,
+                survivors,
+                stoppedFraction: stopped / modulus,
+                density: survivors / modulus,
+                estimate: this.estimateSurvivorDensity(step, multiplier),
+                samples: samples.sort((a, b) => a - b)
+            });
+
+            if (options.onProgress) {
+                options.onProgress(step, k);
+            }
+        }
+
+        const survivors = residues.slice(0, count).sort();
+
+        return {
+            k,
+            modulus,
+            map: map.toJSON(),
+            levels,
+            survivors,
+            survivorCount: count,
+            density: count / modulus,
+            estimate: this.estimateSurvivorDensity(k, multiplier)
+        };
+    }
+
+    /**
+     * Биномиальная оценка доли выживших классов по модулю 2^j
+     * Шаги считаются независимыми и равновероятно четными; класс выживает,
+     * если нечетных шагов больше j / log2(q). Оценка не учитывает остановку
+     * на более ранних шагах, поэтому превышает точную долю.
+     * @param {number} j - Число шагов
+     * @param {number} multiplier - Множитель q
+     * @returns {number} Оценка доли выживших классов
+     */
+    static estimateSurvivorDensity(j, multiplier = 3) {
+        const threshold = j / Math.log2(multiplier);
+
+        let coefficient = 1; // C(j, o)
+        let sum = 0;
+        for (let o = 0; o <= j; o++) {
+            if (o > threshold) sum += coefficient;
+            coefficient = coefficient * (j - o) / (o + 1);
+        }
+
+        return sum / Math.pow(2, j);
+    }
+}
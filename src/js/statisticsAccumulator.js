@@ -0,0 +1,213 @@
+/**
+ * Модуль потоковой статистики траектории
+ *
+ * Накопитель получает значения траектории по одному (например, из генератора
+ * CollatzAlgorithm.iterate) и за один проход вычисляет ту же статистику, что
+ * CollatzAlgorithm.calculateStatistics и calculateMetrics, храня только несколько
+ * последних значений. Поэтому траектории огромных чисел не нужно держать в памяти.
+ *
+ * Метрики (glide, время остановки, остаток и т.д.) имеют смысл, только если
+ * в накопитель передается полная траектория (режим standard).
+ *
+ * Траектории дробей (Rational) обрабатываются той же логикой: сравнения и сумма
+ * считаются точно, четность - по числителю.
+ */
+
+import { BigMath } from './bigMath.js';
+import { CollatzMap } from './collatzMap.js';
+import { Rational } from './rational.js';
+
+export class StatisticsAccumulator {
+    /**
+     * @param {Object} options - Параметры
+     * @param {CollatzMap|Object} options.map - Отображение (по умолчанию 3n+1)
+     */
+    constructor(options = {}) {
+        this.map = CollatzMap.from(options.map);
+
+        this.length = 0;
+        this.rational = false;
+        this.startNumber = null;
+        this.previous = null;
+        this.beforePrevious = null;
+        this.sum = 0;
+        this.maxValue = null;
+        this.minValue = null;
+        this.maxValueIndex = 0;
+        this.evenCount = 0;
+        this.directionChanges = 0;
+
+        // Метрики полной траектории
+        this.evenSteps = 0;
+        this.oddSteps = 0;
+        // Сумма логарифмов множителей шагов (см. CollatzMap.logFactor)
+        this.logFactor = 0;
+        this.shortcutSteps = 0;
+        this.previousDivisible = true;
+        this.glide = null;
+        this.stoppingTime = null;
+    }
+
+    /**
+     * Добавляет следующее значение траектории
+     * @param {number|bigint|Rational} value - Значение
+     */
+    push(value) {
+        if (this.length === 0) {
+            this.rational = value instanceof Rational;
+            this.startNumber = value;
+            this.maxValue = value;
+            this.minValue = value;
+            this.sum = value;
+        } else {
+            this.pushStep(this.previous, value);
+
+            if (this.compare(value, this.maxValue) > 0) {
+                this.maxValue = value;
+                this.maxValueIndex = this.length;
+            }
+            if (this.compare(value, this.minValue) < 0) this.minValue = value;
+
+            if (this.rational) {
+                this.sum = this.sum.add(value);
+            } else {
+                // Траектория могла перейти в BigInt посередине
+                if (BigMath.isBigInt(value) && !BigMath.isBigInt(this.sum)) {
+                    this.sum = BigInt(this.sum);
+                }
+                this.sum += BigMath.like(value, this.sum);
+            }
+        }
+
+        if (this.rational ? value.numerator % 2n === 0n : BigMath.isEven(value)) this.evenCount++;
+
+        // Локальный экстремум в предыдущем значении - изменение направления
+        if (this.length >= 2) {
+            const current = this.previous;
+            const fromBefore = this.compare(current, this.beforePrevious);
+            const toNext = this.compare(current, value);
+            if ((fromBefore > 0 && toNext > 0) || (fromBefore < 0 && toNext < 0)) {
+                this.directionChanges++;
+            }
+        }
+
+        this.beforePrevious = this.previous;
+        this.previous = value;
+        this.length++;
+    }
+
+    /**
+     * Сравнивает значения траектории (для дробей - точно)
+     * @param {number|bigint|Rational} a - Первое значение
+     * @param {number|bigint|Rational} b - Второе значение
+     * @returns {number} -1, 0 или 1
+     */
+    compare(a, b) {
+        if (this.rational) return a.compare(b);
+        return a > b ? 1 : (a < b ? -1 : 0);
+    }
+
+    /**
+     * Учитывает шаг траектории from → to в метриках
+     * @param {number|bigint} from - Текущее значение
+     * @param {number|bigint} to - Следующее значение
+     */
+    pushStep(from, to) {
+        const divisible = this.map.isDivisible(from);
+        if (divisible) {
+            this.evenSteps++;
+            // Деление сразу после шага qn+r входит в шаг ускоренного отображения
+            if (this.previousDivisible) this.shortcutSteps++;
+        } else {
+            this.oddSteps++;
+            this.shortcutSteps++;
+        }
+        this.previousDivisible = divisible;
+        this.logFactor += this.map.logFactor(from);
+
+        // Для отрицательных траекторий сравниваются модули
+        if (this.glide === null && (this.rational
+            ? to.abs().compare(this.startNumber.abs()) < 0
+            : BigMath.abs(to) < BigMath.abs(this.startNumber))) {
+            this.glide = this.length;
+            this.stoppingTime = this.shortcutSteps;
+        }
+    }
+
+    /**
+     * Добавляет все значения итерируемого объекта
+     * @param {Iterable<number|bigint|Rational>} values - Значения траектории
+     * @returns {StatisticsAccumulator} Этот же накопитель
+     */
+    pushAll(values) {
+        for (const value of values) {
+            this.push(value);
+        }
+        return this;
+    }
+
+    /**
+     * Достигла ли траектория 1
+     * @returns {boolean} true, если последнее значение равно 1
+     */
+    hasReachedOne() {
+        if (this.length === 0) return false;
+        return this.rational
+            ? this.previous.equals(1)
+            : this.previous === BigMath.like(1, this.previous);
+    }
+
+    /**
+     * Основная статистика (поля calculateStatistics без цикла и метрик)
+     * @returns {Object} Статистика траектории
+     */
+    getStatistics() {
+        if (this.length === 0) {
+            throw new Error('Последовательность должна быть непустым массивом');
+        }
+
+        return {
+            length: this.length,
+            maxValue: this.maxValue,
+            minValue: this.minValue,
+            steps: this.length - 1,
+            hasReachedOne: this.hasReachedOne(),
+            startNumber: this.startNumber,
+            endNumber: this.previous,
+            averageValue: BigMath.toNumber(this.sum) / this.length,
+            evenCount: this.evenCount,
+            oddCount: this.length - this.evenCount,
+            maxValueIndex: this.maxValueIndex,
+            peakToTroughRatio: this.minValue > 0 ? BigMath.ratio(this.maxValue, this.minValue) : 0,
+            complexity: this.directionChanges
+        };
+    }
+
+    /**
+     * Метрики полной траектории (см. CollatzAlgorithm.calculateMetrics)
+     * @returns {Object} Метрики траектории
+     */
+    getMetrics() {
+        const converged = this.hasReachedOne();
+        const totalStoppingTime = converged ? this.length - 1 : null;
+        const lnStart = BigMath.ln(this.startNumber);
+
+        let residue = null;
+        let gamma = null;
+        if (converged) {
+            residue = Math.exp(this.logFactor - lnStart);
+            gamma = lnStart > 0 ? totalStoppingTime / lnStart : null;
+        }
+
+        return {
+            stoppingTime: this.stoppingTime,
+            totalStoppingTime,
+            glide: this.glide,
+            oddSteps: this.oddSteps,
+            evenSteps: this.evenSteps,
+            residue,
+            gamma,
+            completeness: this.evenSteps > 0 ? this.oddSteps / this.evenSteps : null
+        };
+    }
+}
@@ -0,0 +1,613 @@
+/**
+ * Модуль массового расчета диапазона 1..N
+ *
+ * Заполняет типизированные таблицы полного времени остановки (число шагов до 1)
+ * и пиков траекторий для всех n от 1 до N. Траектории не сохраняются:
+ * каждое число проходится только до первого значения с уже известным результатом,
+ * после чего результаты переносятся обратно на все пройденные значения ≤ N.
+ *
+ * Все характеристики диапазона (гистограммы, рекорды, тепловые карты,
+ * поиск длинных последовательностей) читаются из этих таблиц.
+ * Расчет ведется для стандартного отображения 3n+1.
+ */
+
+import { BigMath } from './bigMath.js';
+import { JumpTable } from './jumpTable.js';
+
+// Ограничение размера таблицы: 2 байта на шаги + 8 байт на пик для каждого числа
+const MAX_LIMIT = 50000000;
+
+// Размер порции по умолчанию между отчетами о прогрессе
+const DEFAULT_CHUNK_SIZE = 250000;
+
+// Наибольшее количество сохраняемых совпадений поиска (считаются все)
+const MAX_SEARCH_MATCHES = 100000;
+
+// Наибольшая длина мотива четности: окно последних шагов хранится в битах number
+const MAX_MOTIF_LENGTH = 30;
+
+// Границы запроса поиска (см. search): [минимум, максимум] для каждой метрики
+const QUERY_RANGES = Object.freeze({
+    steps: ['minSteps', 'maxSteps'],
+    peak: ['minPeak', 'maxPeak'],
+    glide: ['minGlide', 'maxGlide']
+});
+
+/**
+ * Метрики рекордов диапазона (см. findRecords)
+ */
+export const RecordMetric = Object.freeze({
+    DELAY: 'steps',
+    PATH: 'peaks',
+    GLIDE: 'glides'
+});
+
+export class SweepEngine {
+    /**
+     * @param {number} limit - Верхняя граница диапазона N
+     * @param {Object} options - Параметры
+     * @param {number} options.jumpBits - Размер таблицы переходов k для значений выше N
+     * (см. JumpTable; по умолчанию обход по одному шагу: таблица уже кэширует почти все
+     * значения траекторий, и блоки дают выигрыш только выше N - см. benchmark.html)
+     */
+    constructor(limit, options = {}) {
+        SweepEngine.validateLimit(limit);
+
+        this.limit = limit;
+        // Полное время остановки n (для n < 10^9 не превышает 1000 шагов)
+        this.steps = new Uint16Array(limit + 1);
+        // Максимальное значение траектории n
+        this.peaks = new Float64Array(limit + 1);
+        // Все числа до computedUpTo включительно уже рассчитаны
+        this.computedUpTo = 1;
+        this.jumpTable = null;
+        this.initPath(options.jumpBits);
+
+        this.peaks[1] = 1;
+    }
+
+    /**
+     * Создает буферы пройденного пути
+     * @param {number} jumpBits - Размер таблицы переходов (0 или не задан - без таблицы)
+     */
+    initPath(jumpBits) {
+        // Буферы пройденных значений, переиспользуются между числами: значение,
+        // количество шагов до следующего значения пути и пик на этом отрезке
+        this.path = new Float64Array(1024);
+        this.pathSteps = new Uint8Array(1024);
+        this.pathPeaks = new Float64Array(1024);
+        this.jumpTable = jumpBits ? JumpTable.forBits(jumpBits) : null;
+    }
+
+    /**
+     * Проверяет границу диапазона
+     * @param {number} limit - Верхняя граница диапазона N
+     */
+    static validateLimit(limit) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('Граница диапазона должна быть положительным целым числом');
+        }
+        if (limit > MAX_LIMIT) {
+            throw new Error(`Граница диапазона не может превышать ${MAX_LIMIT.toLocaleString()}`);
+        }
+    }
+
+    /**
+     * Восстанавливает движок из таблиц (например, полученных из Web Worker)
+     * @param {Object} tables - { limit, computedUpTo, steps, peaks } (см. toTables)
+     * @param {Object} options - Параметры (см. constructor)
+     * @returns {SweepEngine} Движок с готовыми таблицами
+     */
+    static fromTables({ limit, computedUpTo, steps, peaks }, options = {}) {
+        const engine = Object.create(SweepEngine.prototype);
+        engine.limit = limit;
+        engine.steps = steps;
+        engine.peaks = peaks;
+        engine.computedUpTo = computedUpTo;
+        engine.initPath(options.jumpBits);
+        return engine;
+    }
+
+    /**
+     * Таблицы движка для передачи между потоками
+     * @returns {Object} { limit, computedUpTo, steps, peaks }
+     */
+    toTables() {
+        return {
+            limit: this.limit,
+            computedUpTo: this.computedUpTo,
+            steps: this.steps,
+            peaks: this.peaks
+        };
+    }
+
+    /**
+     * Проверяет, известен ли результат для значения
+     * @param {number} value - Значение траектории
+     * @returns {boolean} true, если значение в таблице и уже рассчитано
+     */
+    isKnown(value) {
+        return value <= this.limit && (value === 1 || this.steps[value] !== 0);
+    }
+
+    /**
+     * Рассчитывает числа от computedUpTo + 1 до end включительно
+     * Выше N значения не попадают в таблицу, поэтому там траектория продвигается
+     * блоками по k шагов (если задана таблица переходов), пока граница пика блока
+     * не превышает его начало; иначе делается один обычный шаг.
+     * @param {number} end - Последнее число порции
+     */
+    fill(end) {
+        const { steps, peaks, limit, jumpTable } = this;
+
+        for (let n = this.computedUpTo + 1; n <= end; n++) {
+            if (steps[n] !== 0) continue; // Уже заполнено при проходе меньшего числа
+
+            // Идем по траектории до значения с известным результатом
+            let length = 0;
+            let value = n;
+            while (!this.isKnown(value)) {
+                if (length === this.path.length) {
+                    this.growPath();
+                }
+                this.path[length] = value;
+
+                this.pathPeaks[length] = value;
+
+                let jumped = false;
+                if (jumpTable && value > limit) {
+                    const high = Math.floor(value / jumpTable.size);
+                    const low = value - high * jumpTable.size;
+                    // Блок не поднимается выше своего начала - проходим его целиком
+                    if (high > 0 && high * jumpTable.peakSlope[low] + jumpTable.peakOffset[low] <= value) {
+                        const odd = jumpTable.odd[low];
+                        this.pathSteps[length] = jumpTable.k + odd;
+                        value = high * jumpTable.powers[odd] + jumpTable.tail[low];
+                        jumped = true;
+                    }
+                }
+                if (!jumped) {
+                    this.pathSteps[length] = 1;
+                    value = value % 2 === 0 ? value / 2 : 3 * value + 1;
+                }
+                length++;
+
+                if (value > Number.MAX_SAFE_INTEGER) {
+                    throw new Error(`Траектория числа ${n} выходит за пределы точности number`);
+                }
+            }
+
+            // Переносим результат обратно на все пройденные значения из таблицы
+            let currentSteps = steps[value];
+            let currentPeak = peaks[value];
+            for (let i = length - 1; i >= 0; i--) {
+                const pathValue = this.path[i];
+                currentSteps += this.pathSteps[i];
+                if (this.pathPeaks[i] > currentPeak) currentPeak = this.pathPeaks[i];
+
+                if (pathValue <= limit) {
+                    steps[pathValue] = currentSteps;
+                    peaks[pathValue] = currentPeak;
+                }
+            }
+        }
+
+        this.computedUpTo = Math.max(this.computedUpTo, end);
+    }
+
+    /**
+     * Удваивает буферы пройденного пути
+     */
+    growPath() {
+        const grow = (buffer) => {
+            const grown = new buffer.constructor(buffer.length * 2);
+            grown.set(buffer);
+            return grown;
+        };
+        this.path = grow(this.path);
+        this.pathSteps = grow(this.pathSteps);
+        this.pathPeaks = grow(this.pathPeaks);
+    }
+
+    /**
+     * Заполняет таблицу целиком порциями
+     * Между порциями управление возвращается циклу событий, чтобы не блокировать интерфейс
+     * @param {Object} options - Параметры
+     * @param {number} options.chunkSize - Размер порции
+     * @param {Function} options.onProgress - Вызывается после каждой порции с (computed, limit)
+     * @param {AbortSignal} options.signal - Сигнал отмены
+     * @returns {Promise<SweepEngine>} Заполненный движок
+     */
+    async run(options = {}) {
+        const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+
+        while (this.computedUpTo < this.limit) {
+            if (options.signal?.aborted) {
+                throw new DOMException('Расчет диапазона отменен', 'AbortError');
+            }
+
+            this.fill(Math.min(this.limit, this.computedUpTo + chunkSize));
+
+            if (options.onProgress) {
+                options.onProgress(this.computedUpTo, this.limit);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return this;
+    }
+
+    /**
+     * Синхронно заполняет таблицу целиком
+     * @returns {SweepEngine} Заполненный движок
+     */
+    runSync() {
+        this.fill(this.limit);
+        return this;
+    }
+
+    /**
+     * Проверяет, что число входит в рассчитанную часть таблицы
+     * @param {number} n - Число
+     */
+    assertComputed(n) {
+        if (!Number.isInteger(n) || n < 1 || n > this.computedUpTo) {
+            throw new Error(`Число ${n} вне рассчитанного диапазона 1..${this.computedUpTo}`);
+        }
+    }
+
+    /**
+     * Полное время остановки числа
+     * @param {number} n - Число
+     * @returns {number} Количество шагов до 1
+     */
+    getSteps(n) {
+        this.assertComputed(n);
+        return this.steps[n];
+    }
+
+    /**
+     * Пик траектории числа
+     * @param {number} n - Число
+     * @returns {number} Максимальное значение траектории
+     */
+    getPeak(n) {
+        this.assertComputed(n);
+        return this.peaks[n];
+    }
+
+    /**
+     * Глиссада числа: количество шагов до первого значения меньше n
+     * Глиссада не хранится в таблицах - траектория проходится до спуска ниже n,
+     * что в среднем занимает несколько шагов.
+     * @param {number} n - Число (не меньше 2; у 1 глиссады нет)
+     * @returns {number} Количество шагов
+     */
+    getGlide(n) {
+        this.assertComputed(n);
+        if (n === 1) {
+            throw new Error('У числа 1 нет глиссады');
+        }
+
+        let value = n;
+        let glide = 0;
+        while (value >= n) {
+            value = value % 2 === 0 ? value / 2 : 3 * value + 1;
+            glide++;
+        }
+        return glide;
+    }
+
+    /**
+     * Приводит границы диапазона к рассчитанной части таблицы
+     * @param {number} start - Начало диапазона
+     * @param {number} end - Конец диапазона
+     * @returns {Array<number>} [start, end]
+     */
+    clampRange(start = 1, end = this.computedUpTo) {
+        return [Math.max(1, start), Math.min(end, this.computedUpTo)];
+    }
+
+    /**
+     * Статистика диапазона
+     * @param {number} start - Начало диапазона
+     * @param {number} end - Конец диапазона
+     * @returns {Object} Количество чисел, средняя/максимальная/минимальная длина и максимальный пик
+     */
+    getRangeStatistics(start, end) {
+        [start, end] = this.clampRange(start, end);
+        if (start > end) {
+            return { count: 0, averageLength: 0, maxLength: 0, minLength: 0, maxPeak: 0 };
+        }
+
+        let sum = 0;
+        let maxSteps = 0;
+        let minSteps = Infinity;
+        let maxPeak = 0;
+        for (let n = start; n <= end; n++) {
+            const value = this.steps[n];
+            sum += value;
+            if (value > maxSteps) maxSteps = value;
+            if (value < minSteps) minSteps = value;
+            if (this.peaks[n] > maxPeak) maxPeak = this.peaks[n];
+        }
+
+        const count = end - start + 1;
+        // Длина последовательности на единицу больше числа шагов
+        return {
+            count,
+            averageLength: sum / count + 1,
+            maxLength: maxSteps + 1,
+            minLength: minSteps + 1,
+            maxPeak
+        };
+    }
+
+    /**
+     * Гистограмма полного времени остановки
+     * @param {number} start - Начало диапазона
+     * @param {number} end - Конец диапазона
+     * @returns {Uint32Array} Количество чисел для каждого числа шагов (индекс - число шагов)
+     */
+    getStepsHistogram(start, end) {
+        [start, end] = this.clampRange(start, end);
+
+        let maxSteps = 0;
+        for (let n = start; n <= end; n++) {
+            if (this.steps[n] > maxSteps) maxSteps = this.steps[n];
+        }
+
+        const histogram = new Uint32Array(maxSteps + 1);
+        for (let n = start; n <= end; n++) {
+            histogram[this.steps[n]]++;
+        }
+        return histogram;
+    }
+
+    /**
+     * Рекордсмены диапазона: числа, у которых значение строго больше, чем у всех меньших
+     * Рекорды глиссады считаются с n = 2, так как у 1 глиссады нет.
+     * @param {string} metric - RecordMetric: 'steps' (рекорды задержки), 'peaks' (рекорды пути)
+     * или 'glides' (рекорды глиссады)
+     * @param {number} end - Конец диапазона
+     * @returns {Array<Object>} Массив { number, value, steps, peak }
+     */
+    findRecords(metric = RecordMetric.DELAY, end = this.computedUpTo) {
+        if (!Object.values(RecordMetric).includes(metric)) {
+            throw new Error(`Неизвестная метрика рекордов: ${metric}`);
+        }
+        [, end] = this.clampRange(1, end);
+
+        const valueOf = metric === RecordMetric.GLIDE
+            ? n => this.getGlide(n)
+            : n => this[metric][n];
+        const first = metric === RecordMetric.GLIDE ? 2 : 1;
+
+        const records = [];
+        let best = -1;
+        for (let n = first; n <= end; n++) {
+            const value = valueOf(n);
+            if (value > best) {
+                best = value;
+                records.push({ number: n, value, steps: this.steps[n], peak: this.peaks[n] });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Проверяет и нормализует запрос поиска
+     * @param {Object} query - Запрос (см. search)
+     * @returns {Object} Запрос, в котором отсутствующие критерии равны null
+     */
+    static validateQuery(query = {}) {
+        const normalized = { passesThrough: null, parityMotif: null };
+        // Пики траекторий бывают больше 2^53, поэтому их границы могут быть BigInt
+        const checkInteger = (value, name, allowBigInt = false) => {
+            if (value === null || value === undefined || value === '') return null;
+            const isInteger = Number.isSafeInteger(value) || (allowBigInt && BigMath.isBigInt(value));
+            if (!isInteger || value < 0) {
+                throw new Error(`${name} должно быть неотрицательным целым числом`);
+            }
+            return value;
+        };
+
+        normalized.passesThrough = checkInteger(query.passesThrough, 'Значение траектории');
+        if (normalized.passesThrough === 0) {
+            throw new Error('Значение траектории должно быть положительным');
+        }
+
+        Object.values(QUERY_RANGES).forEach(([min, max]) => {
+            const allowBigInt = min === QUERY_RANGES.peak[0];
+            normalized[min] = checkInteger(query[min], 'Нижняя граница', allowBigInt);
+            normalized[max] = checkInteger(query[max], 'Верхняя граница', allowBigInt);
+            if (normalized[min] !== null && normalized[max] !== null && normalized[min] > normalized[max]) {
+                throw new Error('Нижняя граница критерия больше верхней');
+            }
+        });
+
+        if (query.parityMotif) {
+            if (!/^[01]+$/.test(query.parityMotif) || query.parityMotif.length > MAX_MOTIF_LENGTH) {
+                throw new Error(`Мотив четности - от 1 до ${MAX_MOTIF_LENGTH} символов 0 и 1`);
+            }
+            normalized.parityMotif = query.parityMotif;
+        }
+
+        if (Object.values(normalized).every(value => value === null)) {
+            throw new Error('Задайте хотя бы один критерий поиска');
+        }
+        return normalized;
+    }
+
+    /**
+     * Поиск начальных чисел по ограничениям на траекторию
+     * Дешевые критерии (шаги, пик) читаются из таблиц, глиссада и мотив четности
+     * требуют прохода по траектории и проверяются только для оставшихся чисел.
+     * @param {Object} query - Запрос: passesThrough - значение, через которое проходит траектория;
+     * minSteps/maxSteps, minPeak/maxPeak, minGlide/maxGlide - границы включительно
+     * (полное время остановки, пик, глиссада; границы пика могут быть BigInt); parityMotif - подстрока вектора четности
+     * ('1' - нечетный шаг) полной траектории
+     * @param {Object} options - Параметры
+     * @param {Function} options.onProgress - Обработчик прогресса (done, total)
+     * @returns {Object} { query, total, truncated, numbers, steps, peaks, glides }: total - число
+     * совпадений, numbers/steps/peaks/glides - первые MAX_SEARCH_MATCHES совпадений по возрастанию n
+     */
+    search(query, options = {}) {
+        query = SweepEngine.validateQuery(query);
+        const end = this.computedUpTo;
+        const through = query.passesThrough !== null ? this.findPassingThrough(query.passesThrough) : null;
+        const inRange = (value, [min, max]) => (query[min] === null || value >= query[min]) &&
+            (query[max] === null || value <= query[max]);
+        const needsGlide = query.minGlide !== null || query.maxGlide !== null;
+
+        const matches = { numbers: [], steps: [], peaks: [], glides: [] };
+        let total = 0;
+        for (let n = 1; n <= end; n++) {
+            if (options.onProgress && n % DEFAULT_CHUNK_SIZE === 0) {
+                options.onProgress(n, end);
+            }
+            if (through && !through[n]) continue;
+            if (!inRange(this.steps[n], QUERY_RANGES.steps) || !inRange(this.peaks[n], QUERY_RANGES.peak)) continue;
+
+            const glide = n > 1 ? this.getGlide(n) : null;
+            if (needsGlide && (glide === null || !inRange(glide, QUERY_RANGES.glide))) continue;
+            if (query.parityMotif && !this.containsParityMotif(n, query.parityMotif)) continue;
+
+            if (total < MAX_SEARCH_MATCHES) {
+                matches.numbers.push(n);
+                matches.steps.push(this.steps[n]);
+                matches.peaks.push(this.peaks[n]);
+                matches.glides.push(glide);
+            }
+            total++;
+        }
+
+        return { query, total, truncated: total > MAX_SEARCH_MATCHES, ...matches };
+    }
+
+    /**
+     * Отмечает числа диапазона, траектории которых проходят через значение
+     * Траектория n - это отрезок до первого значения меньше n и траектория этого
+     * значения, поэтому достаточно проверить отрезок и уже известный ответ.
+     * @param {number} target - Значение
+     * @returns {Uint8Array} 1 для n, траектория которого содержит target
+     */
+    findPassingThrough(target) {
+        const end = this.computedUpTo;
+        const through = new Uint8Array(end + 1);
+        through[1] = target === 1 ? 1 : 0;
+
+        for (let n = 2; n <= end; n++) {
+            let value = n;
+            let found = value === target;
+            while (!found && value >= n) {
+                value = value % 2 === 0 ? value / 2 : 3 * value + 1;
+                found = value === target;
+            }
+            through[n] = found || through[value] ? 1 : 0;
+        }
+        return through;
+    }
+
+    /**
+     * Проверяет, содержит ли вектор четности траектории n заданный мотив
+     * @param {number} n - Число
+     * @param {string} motif - Мотив из символов 0 и 1 (не длиннее MAX_MOTIF_LENGTH)
+     * @returns {boolean} true, если мотив встречается
+     */
+    containsParityMotif(n, motif) {
+        const length = motif.length;
+        const pattern = parseInt(motif, 2);
+        const mask = 2 ** length - 1;
+
+        // Окно последних length четностей: новый шаг - младший бит
+        let window = 0;
+        let value = n;
+        for (let step = 1; value !== 1; step++) {
+            const odd = value % 2 === 1;
+            window = (window * 2 + (odd ? 1 : 0)) % (mask + 1);
+            if (step >= length && window === pattern) return true;
+            value = odd ? 3 * value + 1 : value / 2;
+        }
+        return false;
+    }
+
+    /**
+     * Выборка точек (n, полное время остановки) для диаграммы рассеяния
+     * До 1000 берутся все числа, дальше - с шагом, растущим геометрически,
+     * чтобы точки равномерно покрывали логарифмическую ось.
+     * @param {number} maxPoints - Примерное количество точек
+     * @returns {Array<Object>} Точки { x: n, y: шаги }
+     */
+    sampleSteps(maxPoints = 4000) {
+        const end = this.computedUpTo;
+        const dense = Math.min(end, 1000);
+        const ratio = end > dense ? Math.pow(end / dense, 1 / Math.max(1, maxPoints - dense)) : 1;
+
+        const points = [];
+        for (let n = 1; n <= end; n = n < dense ? n + 1 : Math.max(n + 1, Math.floor(n * ratio))) {
+            points.push({ x: n, y: this.steps[n] });
+        }
+        return points;
+    }
+
+    /**
+     * Число нечетных шагов траектории n до 1: по нему полное время остановки
+     * пересчитывается в шаги ускоренного отображения (шагов - нечетных) и Сиракуз (нечетных)
+     * @param {number} n - Число из диапазона
+     * @returns {number} Количество нечетных шагов
+     */
+    countOddSteps(n) {
+        let odd = 0;
+        for (let value = n; value > 1;) {
+            const isOdd = value % 2 === 1;
+            if (isOdd) odd++;
+            value = isOdd ? 3 * value + 1 : value / 2;
+        }
+        return odd;
+    }
+
+    /**
+     * Тепловая карта полного времени остановки: числа раскладываются по строкам заданной ширины
+     * @param {number} start - Первое число
+     * @param {number} width - Количество чисел в строке
+     * @param {number} rows - Количество строк
+     * @returns {Array<Object>} Ячейки { x, y, number, value } (x - столбец, y - строка)
+     */
+    getStepsHeatmap(start, width, rows) {
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < width; column++) {
+                const n = start + row * width + column;
+                if (n > this.computedUpTo) return cells;
+                cells.push({ x: column, y: row, number: n, value: this.steps[n] });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Числа диапазона с длинными последовательностями
+     * @param {number} start - Начало диапазона
+     * @param {number} end - Конец диапазона
+     * @param {number} minLength - Минимальная длина последовательности
+     * @returns {Array<Object>} Массив { number, statistics: { length, steps, maxValue } },
+     * отсортированный по убыванию длины
+     */
+    findLongSequences(start, end, minLength = 100) {
+        [start, end] = this.clampRange(start, end);
+
+        const results = [];
+        for (let n = start; n <= end; n++) {
+            const length = this.steps[n] + 1;
+            if (length >= minLength) {
+                results.push({
+                    number: n,
+                    statistics: { length, steps: this.steps[n], maxValue: this.peaks[n] }
+                });
+            }
+        }
+
+        return results.sort((a, b) => b.statistics.length - a.statistics.length);
+    }
+}
@@ -52,7 +52,7 @@ export class TabManager {
         // Обработчики для кнопок экспорта
         const exportButtons = [
             'export2dBtn', 'exportRadarBtn', 'exportPolarBtn', 
-            'exportHeatmapBtn', 'exportTreeBtn'
+            'exportSieveBtn', 'exportTreeBtn'
         ];
 
         exportButtons.forEach(btnId => {
@@ -181,7 +181,7 @@ export class TabManager {
             'export2dBtn': 'chart2d',
             'exportRadarBtn': 'radarChart',
             'exportPolarBtn': 'polarChart',
-            'exportHeatmapBtn': 'heatmapChart',
+            'exportSieveBtn': 'sieveChart',
             'exportTreeBtn': 'treeChart'
         };
 
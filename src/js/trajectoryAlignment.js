@@ -0,0 +1,398 @@
+/**
+ * Модуль выравнивания траекторий
+ *
+ * Траектории разных чисел имеют разную длину и сливаются на разных шагах,
+ * поэтому сравнение значений по одинаковым индексам почти ничего не говорит.
+ * Здесь траектории сравниваются с выравниванием:
+ * - редакционное расстояние (Левенштейна) между векторами четности;
+ * - DTW (динамическая трансформация времени) между логарифмами значений.
+ *
+ * Оба метода возвращают путь выравнивания - пары [i, j] сопоставленных членов
+ * (для редакционного расстояния i или j равен null при вставке/удалении).
+ * Для очень длинных траекторий путь не строится, считается только расстояние,
+ * а ряды предварительно сжимаются (см. compressionFactor), чтобы время сравнения
+ * пары не зависело от длины траекторий; такие результаты помечены approximate.
+ */
+
+import { BigMath } from './bigMath.js';
+import { CollatzAlgorithm } from './algorithm.js';
+
+// Наибольший размер полной матрицы (n+1)·(m+1), для которой восстанавливается путь
+const MAX_PATH_CELLS = 4000000;
+
+// Наибольшее число клеток таблицы для расстояния без пути: более длинные пары
+// сжимаются в одинаковое число раз до этого размера
+const MAX_ALIGNMENT_CELLS = 1000000;
+
+export const AlignmentMetric = Object.freeze({
+    PARITY: 'parity',
+    DTW: 'dtw'
+});
+
+export class TrajectoryAlignment {
+    /**
+     * Редакционное расстояние между строками (векторами четности)
+     * Вставка, удаление и замена символа стоят 1.
+     * @param {string} a - Первая строка
+     * @param {string} b - Вторая строка
+     * @returns {Object} { distance, similarity, path }: similarity = 1 - distance / max(|a|, |b|),
+     * path - пары [i, j] (null вместо индекса при вставке или удалении) или null для длинных строк
+     * (тогда расстояние приближенное, см. editDistanceSimilarity)
+     */
+    static editDistance(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const longest = Math.max(n, m);
+        const similarityOf = distance => (longest === 0 ? 1 : 1 - distance / longest);
+
+        if ((n + 1) * (m + 1) > MAX_PATH_CELLS) {
+            return { ...this.editDistanceSimilarity(a, b), path: null };
+        }
+
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = 0; i <= n; i++) table[i * width] = i;
+        for (let j = 0; j <= m; j++) table[j] = j;
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                const substitution = table[(i - 1) * width + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                const deletion = table[(i - 1) * width + j] + 1;
+                const insertion = table[i * width + j - 1] + 1;
+                table[i * width + j] = Math.min(substitution, deletion, insertion);
+            }
+        }
+
+        // Обратный проход от правого нижнего угла
+        const path = [];
+        let i = n;
+        let j = m;
+        while (i > 0 || j > 0) {
+            const current = table[i * width + j];
+            if (i > 0 && j > 0 &&
+                current === table[(i - 1) * width + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+                path.push([--i, --j]);
+            } else if (i > 0 && current === table[(i - 1) * width + j] + 1) {
+                path.push([--i, null]);
+            } else {
+                path.push([null, --j]);
+            }
+        }
+        path.reverse();
+
+        const distance = table[n * width + m];
+        return { distance, similarity: similarityOf(distance), path };
+    }
+
+    /**
+     * Редакционное расстояние в памяти O(min(n, m)) без пути
+     * @param {string} a - Первая строка
+     * @param {string} b - Вторая строка
+     * @returns {number} Расстояние
+     */
+    static editDistanceOnly(a, b) {
+        if (a.length < b.length) [a, b] = [b, a];
+
+        let previous = new Uint32Array(b.length + 1).map((_, j) => j);
+        let current = new Uint32Array(b.length + 1);
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                    previous[j] + 1,
+                    current[j - 1] + 1
+                );
+            }
+            [previous, current] = [current, previous];
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * DTW между двумя рядами чисел
+     * Стоимость сопоставления - |x - y|; нормированное расстояние - сумма стоимостей,
+     * деленная на длину пути, similarity = 1 / (1 + нормированное расстояние).
+     * @param {Array<number>|Float64Array} x - Первый ряд
+     * @param {Array<number>|Float64Array} y - Второй ряд
+     * @returns {Object} { distance, normalizedDistance, similarity, path }:
+     * path - пары [i, j] или null для длинных рядов (тогда расстояние приближенное, см. dtwSimilarity)
+     */
+    static dtw(x, y) {
+        const n = x.length;
+        const m = y.length;
+        if (n === 0 || m === 0) {
+            throw new Error('Ряды для DTW должны быть непустыми');
+        }
+
+        const result = (distance, pathLength, path) => {
+            const normalizedDistance = distance / pathLength;
+            return { distance, normalizedDistance, similarity: 1 / (1 + normalizedDistance), path };
+        };
+
+        if (n * m > MAX_PATH_CELLS) {
+            const { distance, normalizedDistance, similarity, approximate } = this.dtwSimilarity(x, y);
+            return { distance, normalizedDistance, similarity, path: null, approximate };
+        }
+
+        const cost = new Float64Array(n * m);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < m; j++) {
+                const local = Math.abs(x[i] - y[j]);
+                if (i === 0 && j === 0) {
+                    cost[0] = local;
+                } else {
+                    const diagonal = i > 0 && j > 0 ? cost[(i - 1) * m + j - 1] : Infinity;
+                    const up = i > 0 ? cost[(i - 1) * m + j] : Infinity;
+                    const left = j > 0 ? cost[i * m + j - 1] : Infinity;
+                    cost[i * m + j] = local + Math.min(diagonal, up, left);
+                }
+            }
+        }
+
+        const path = [[n - 1, m - 1]];
+        let i = n - 1;
+        let j = m - 1;
+        while (i > 0 || j > 0) {
+            if (i === 0) {
+                j--;
+            } else if (j === 0) {
+                i--;
+            } else {
+                const diagonal = cost[(i - 1) * m + j - 1];
+                const up = cost[(i - 1) * m + j];
+                const left = cost[i * m + j - 1];
+                if (diagonal <= up && diagonal <= left) {
+                    i--;
+                    j--;
+                } else if (up <= left) {
+                    i--;
+                } else {
+                    j--;
+                }
+            }
+            path.push([i, j]);
+        }
+        path.reverse();
+
+        return result(cost[n * m - 1], path.length, path);
+    }
+
+    /**
+     * DTW в памяти O(m) без пути: вместе со стоимостью хранится длина лучшего пути
+     * @param {Array<number>|Float64Array} x - Первый ряд
+     * @param {Array<number>|Float64Array} y - Второй ряд
+     * @returns {Object} { distance, pathLength }
+     */
+    static dtwOnly(x, y) {
+        const m = y.length;
+        let previous = new Float64Array(m).fill(Infinity);
+        let previousLength = new Uint32Array(m);
+        let current = new Float64Array(m);
+        let currentLength = new Uint32Array(m);
+
+        for (let i = 0; i < x.length; i++) {
+            for (let j = 0; j < m; j++) {
+                const local = Math.abs(x[i] - y[j]);
+                if (i === 0 && j === 0) {
+                    current[0] = local;
+                    currentLength[0] = 1;
+                    continue;
+                }
+
+                let best = previous[j];
+                let length = previousLength[j];
+                if (j > 0 && previous[j - 1] <= best) {
+                    best = previous[j - 1];
+                    length = previousLength[j - 1];
+                }
+                if (j > 0 && current[j - 1] < best) {
+                    best = current[j - 1];
+                    length = currentLength[j - 1];
+                }
+                current[j] = local + best;
+                currentLength[j] = length + 1;
+            }
+            [previous, current] = [current, previous];
+            [previousLength, currentLength] = [currentLength, previousLength];
+        }
+
+        return { distance: previous[m - 1], pathLength: previousLength[m - 1] };
+    }
+
+    /**
+     * Логарифмы значений траектории (log2) для DTW
+     * @param {Array<number|bigint>} sequence - Последовательность
+     * @returns {Float64Array} log2 |значения| (0 для нуля)
+     */
+    static toLogValues(sequence) {
+        const values = new Float64Array(sequence.length);
+        sequence.forEach((value, index) => {
+            values[index] = value === BigMath.like(0, value) ? 0 : BigMath.log10(value) * Math.log2(10);
+        });
+        return values;
+    }
+
+    /**
+     * Сравнивает две записи последовательностей обоими методами
+     * @param {Object} recordA - Запись DataManager (со значениями)
+     * @param {Object} recordB - Запись DataManager (со значениями)
+     * @returns {Object} { parity, dtw } - результаты editDistance и dtw
+     */
+    static compare(recordA, recordB) {
+        return {
+            parity: this.editDistance(
+                CollatzAlgorithm.getParityVector(recordA.sequence, { map: recordA.map }),
+                CollatzAlgorithm.getParityVector(recordB.sequence, { map: recordB.map })
+            ),
+            dtw: this.dtw(this.toLogValues(recordA.sequence), this.toLogValues(recordB.sequence))
+        };
+    }
+
+    /**
+     * Матрица схожести набора последовательностей
+     * @param {Array<Object>} records - Записи со значениями
+     * @param {string} metric - AlignmentMetric.PARITY или AlignmentMetric.DTW
+     * @returns {Array<Array<number>>} Симметричная матрица similarity (1 на диагонали)
+     */
+    static similarityMatrix(records, metric = AlignmentMetric.DTW) {
+        const series = records.map(record => (metric === AlignmentMetric.PARITY
+            ? CollatzAlgorithm.getParityVector(record.sequence, { map: record.map })
+            : this.toLogValues(record.sequence)));
+
+        const matrix = records.map(() => new Array(records.length).fill(1));
+        for (let i = 0; i < records.length; i++) {
+            for (let j = i + 1; j < records.length; j++) {
+                const { similarity } = metric === AlignmentMetric.PARITY
+                    ? this.editDistanceSimilarity(series[i], series[j])
+                    : this.dtwSimilarity(series[i], series[j]);
+                matrix[i][j] = similarity;
+                matrix[j][i] = similarity;
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Во сколько раз сжимаются оба ряда пары, чтобы таблица выравнивания
+     * не превышала MAX_ALIGNMENT_CELLS (отношение длин сохраняется)
+     * @param {number} n - Длина первого ряда
+     * @param {number} m - Длина второго ряда
+     * @returns {number} Множитель длины (1 - без сжатия)
+     */
+    static compressionFactor(n, m) {
+        return n * m > MAX_ALIGNMENT_CELLS ? Math.sqrt(MAX_ALIGNMENT_CELLS / (n * m)) : 1;
+    }
+
+    /**
+     * Сжатие ряда усреднением по равным отрезкам
+     * @param {Array<number>|Float64Array} x - Ряд
+     * @param {number} length - Длина результата
+     * @returns {Float64Array} Средние значения отрезков
+     */
+    static downsampleSeries(x, length) {
+        const result = new Float64Array(length);
+        for (let k = 0; k < length; k++) {
+            const from = Math.floor(k * x.length / length);
+            const to = Math.max(from + 1, Math.floor((k + 1) * x.length / length));
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += x[i];
+            result[k] = sum / (to - from);
+        }
+        return result;
+    }
+
+    /**
+     * Сжатие строки выборкой символов через равные промежутки
+     * @param {string} a - Строка (вектор четности)
+     * @param {number} length - Длина результата
+     * @returns {string} Выбранные символы
+     */
+    static downsampleString(a, length) {
+        let result = '';
+        for (let k = 0; k < length; k++) {
+            result += a[Math.floor((k + 0.5) * a.length / length)];
+        }
+        return result;
+    }
+
+    /**
+     * Схожесть по редакционному расстоянию без построения пути
+     * Длинные векторы сжимаются (см. compressionFactor), и расстояние пересчитывается
+     * обратно к исходной длине.
+     * @param {string} a - Первый вектор четности
+     * @param {string} b - Второй вектор четности
+     * @returns {Object} { distance, similarity, approximate }
+     */
+    static editDistanceSimilarity(a, b) {
+        const longest = Math.max(a.length, b.length);
+        const factor = this.compressionFactor(a.length + 1, b.length + 1);
+        const approximate = factor < 1;
+
+        const distance = approximate
+            ? Math.round(this.editDistanceOnly(
+                this.downsampleString(a, Math.max(1, Math.round(a.length * factor))),
+                this.downsampleString(b, Math.max(1, Math.round(b.length * factor)))
+            ) / factor)
+            : this.editDistanceOnly(a, b);
+
+        return {
+            distance,
+            similarity: longest === 0 ? 1 : Math.max(0, 1 - distance / longest),
+            approximate
+        };
+    }
+
+    /**
+     * Схожесть по DTW без построения пути
+     * Длинные ряды сжимаются усреднением (см. compressionFactor): нормированное расстояние
+     * считается по сжатым рядам, полное - пересчитывается к исходной длине.
+     * @param {Float64Array} x - Первый ряд
+     * @param {Float64Array} y - Второй ряд
+     * @returns {Object} { distance, normalizedDistance, similarity, approximate }
+     */
+    static dtwSimilarity(x, y) {
+        const factor = this.compressionFactor(x.length, y.length);
+        const approximate = factor < 1;
+        const { distance, pathLength } = approximate
+            ? this.dtwOnly(
+                this.downsampleSeries(x, Math.max(1, Math.round(x.length * factor))),
+                this.downsampleSeries(y, Math.max(1, Math.round(y.length * factor)))
+            )
+            : this.dtwOnly(x, y);
+
+        const normalizedDistance = distance / pathLength;
+        return {
+            distance: approximate ? distance / factor : distance,
+            normalizedDistance,
+            similarity: 1 / (1 + normalizedDistance),
+            approximate
+        };
+    }
+
+    /**
+     * Порядок последовательностей, в котором похожие стоят рядом
+     * Жадная цепочка: от первой последовательности каждый раз переходим к самой
+     * похожей из еще не выбранных.
+     * @param {Array<Array<number>>} matrix - Матрица схожести
+     * @returns {Array<number>} Индексы в новом порядке
+     */
+    static orderBySimilarity(matrix) {
+        if (matrix.length === 0) return [];
+
+        const order = [0];
+        const used = new Set(order);
+        while (order.length < matrix.length) {
+            const last = order[order.length - 1];
+            let best = -1;
+            for (let j = 0; j < matrix.length; j++) {
+                if (!used.has(j) && (best === -1 || matrix[last][j] > matrix[last][best])) {
+                    best = j;
+                }
+            }
+            order.push(best);
+            used.add(best);
+        }
+        return order;
+    }
+}
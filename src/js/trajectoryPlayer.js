@@ -0,0 +1,293 @@
+/**
+ * Модуль проигрывателя траектории
+ *
+ * Пошагово проходит по последовательности записи DataManager и рассылает события,
+ * на которые подписываются 2D и 3D визуализации и панель статистики, чтобы все
+ * представления показывали один и тот же шаг.
+ *
+ * События (данные события - объект с полем state, см. getState):
+ * - 'load' - загружена запись ({ record, state });
+ * - 'step' - изменился текущий шаг ({ record, step, value, maxValue, state },
+ *   maxValue - наибольшее значение траектории до текущего шага);
+ * - 'play' / 'pause' - запуск и остановка воспроизведения;
+ * - 'change' - изменились скорость или режим повтора;
+ * - 'end' - воспроизведение дошло до последнего шага без повтора.
+ */
+
+import { Rational } from './rational.js';
+
+// Доступные скорости воспроизведения (шагов в секунду)
+export const PLAYER_SPEEDS = [1, 2, 5, 10, 25, 50, 100];
+
+const DEFAULT_SPEED = 10;
+
+export class TrajectoryPlayer {
+    constructor() {
+        this.record = null;
+        // Наибольшее значение до каждого шага записи (строится один раз при загрузке)
+        this.prefixMax = [];
+        this.step = 0;
+        this.speed = DEFAULT_SPEED;
+        this.loop = false;
+        this.isPlaying = false;
+        this.timerId = null;
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Номер последнего шага загруженной траектории
+     * @returns {number} Последний шаг (0, если запись не загружена)
+     */
+    get lastStep() {
+        return this.record ? this.record.sequence.length - 1 : 0;
+    }
+
+    /**
+     * Загружает запись последовательности
+     * Записи только со сводкой (без значений) проигрывать нельзя - проигрыватель очищается.
+     * @param {Object|null} record - Запись DataManager
+     * @param {number} step - Начальный шаг (по умолчанию последний - траектория видна целиком)
+     */
+    load(record, step) {
+        this.pause();
+
+        this.record = record && record.sequence ? record : null;
+        this.prefixMax = this.record ? this.buildPrefixMax(this.record.sequence) : [];
+        this.step = this.record ? this.clampStep(step ?? this.lastStep) : 0;
+
+        this.notifyListeners('load', { record: this.record, state: this.getState() });
+        if (this.record) {
+            this.emitStep();
+        }
+    }
+
+    /**
+     * Запускает воспроизведение; с последнего шага воспроизведение начинается заново
+     */
+    play() {
+        if (!this.record || this.isPlaying) return;
+
+        if (this.step >= this.lastStep) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.notifyListeners('play', { state: this.getState() });
+        this.scheduleNext();
+    }
+
+    /**
+     * Приостанавливает воспроизведение
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        clearTimeout(this.timerId);
+        this.timerId = null;
+        this.isPlaying = false;
+        this.notifyListeners('pause', { state: this.getState() });
+    }
+
+    /**
+     * Переключает воспроизведение и паузу
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Шаг вперед (воспроизведение приостанавливается)
+     */
+    stepForward() {
+        this.pause();
+        this.seek(this.step + 1);
+    }
+
+    /**
+     * Шаг назад (воспроизведение приостанавливается)
+     */
+    stepBack() {
+        this.pause();
+        this.seek(this.step - 1);
+    }
+
+    /**
+     * Переход к шагу
+     * @param {number} step - Номер шага (приводится к диапазону траектории)
+     */
+    seek(step) {
+        if (!this.record) return;
+
+        const target = this.clampStep(step);
+        if (target === this.step) return;
+
+        this.step = target;
+        this.emitStep();
+    }
+
+    /**
+     * Устанавливает скорость воспроизведения
+     * @param {number} speed - Шагов в секунду
+     */
+    setSpeed(speed) {
+        if (!Number.isFinite(speed) || speed <= 0) {
+            throw new Error('Скорость воспроизведения должна быть положительным числом');
+        }
+
+        this.speed = speed;
+        if (this.isPlaying) {
+            clearTimeout(this.timerId);
+            this.scheduleNext();
+        }
+        this.notifyListeners('change', { state: this.getState() });
+    }
+
+    /**
+     * Включает или выключает повтор
+     * @param {boolean} loop - Повторять воспроизведение с начала
+     */
+    setLoop(loop) {
+        this.loop = Boolean(loop);
+        this.notifyListeners('change', { state: this.getState() });
+    }
+
+    /**
+     * Планирует следующий шаг воспроизведения
+     */
+    scheduleNext() {
+        this.timerId = setTimeout(() => this.tick(), 1000 / this.speed);
+    }
+
+    /**
+     * Очередной шаг воспроизведения
+     */
+    tick() {
+        if (!this.isPlaying) return;
+
+        if (this.step >= this.lastStep) {
+            this.seek(0);
+        } else {
+            this.seek(this.step + 1);
+        }
+
+        if (this.step >= this.lastStep && !this.loop) {
+            this.pause();
+            this.notifyListeners('end', { state: this.getState() });
+            return;
+        }
+
+        this.scheduleNext();
+    }
+
+    /**
+     * Приводит номер шага к диапазону траектории
+     * @param {number} step - Номер шага
+     * @returns {number} Номер шага от 0 до lastStep
+     */
+    clampStep(step) {
+        return Math.min(this.lastStep, Math.max(0, Math.round(step)));
+    }
+
+    /**
+     * Префиксные максимумы траектории: шаг воспроизведения не пересматривает пройденную часть
+     * Дроби сравниваются точно (см. Rational.compare)
+     * @param {Array<number|bigint|Rational>} sequence - Значения траектории
+     * @returns {Array<number|bigint|Rational>} Наибольшее значение среди первых i + 1 членов
+     */
+    buildPrefixMax(sequence) {
+        const prefixMax = new Array(sequence.length);
+        let max = sequence[0];
+        sequence.forEach((value, index) => {
+            const isGreater = value instanceof Rational ? value.compare(max) > 0 : value > max;
+            if (isGreater) max = value;
+            prefixMax[index] = max;
+        });
+        return prefixMax;
+    }
+
+    /**
+     * Рассылает событие текущего шага
+     */
+    emitStep() {
+        this.notifyListeners('step', {
+            record: this.record,
+            step: this.step,
+            value: this.record.sequence[this.step],
+            maxValue: this.prefixMax[this.step],
+            state: this.getState()
+        });
+    }
+
+    /**
+     * Текущее состояние проигрывателя
+     * @returns {Object} { recordId, step, lastStep, speed, loop, isPlaying }
+     */
+    getState() {
+        return {
+            recordId: this.record ? this.record.id : null,
+            step: this.step,
+            lastStep: this.lastStep,
+            speed: this.speed,
+            loop: this.loop,
+            isPlaying: this.isPlaying
+        };
+    }
+
+    /**
+     * Добавляет слушателя событий
+     * @param {string} event - Тип события
+     * @param {Function} callback - Функция обратного вызова
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    /**
+     * Удаляет слушателя событий
+     * @param {string} event - Тип события
+     * @param {Function} callback - Функция обратного вызова
+     */
+    removeEventListener(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Уведомляет всех слушателей о событии
+     * @param {string} event - Тип события
+     * @param {*} data - Данные события
+     */
+    notifyListeners(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Ошибка в обработчике события ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Останавливает воспроизведение и удаляет слушателей
+     */
+    destroy() {
+        this.pause();
+        this.eventListeners.clear();
+        this.record = null;
+        this.prefixMax = [];
+    }
+}
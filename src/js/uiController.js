@@ -3,6 +3,11 @@
  * Отвечает за обработку пользовательского ввода, плавные анимации и обновление UI элементов
  */
 
+import { CollatzMap } from './collatzMap.js';
+import { PLAYER_SPEEDS } from './trajectoryPlayer.js';
+import { InputParser } from './inputParser.js';
+import { Utils } from './utils.js';
+
 export class UIController {
     constructor() {
         this.isInitialized = false;
@@ -209,7 +214,14 @@ export class UIController {
             'sequenceLength': document.getElementById('sequenceLength'),
             'maxValue': document.getElementById('maxValue'),
             'stepCount': document.getElementById('stepCount'),
-            'status': document.getElementById('status')
+            'status': document.getElementById('status'),
+            'stoppingTime': document.getElementById('stoppingTime'),
+            'totalStoppingTime': document.getElementById('totalStoppingTime'),
+            'glide': document.getElementById('glide'),
+            'oddSteps': document.getElementById('oddSteps'),
+            'residue': document.getElementById('residue'),
+            'gamma': document.getElementById('gamma'),
+            'completeness': document.getElementById('completeness')
         };
 
         Object.entries(newStats).forEach(([key, value]) => {
@@ -285,6 +297,15 @@ export class UIController {
                     numberInput.classList.remove('border-primary');
                 }
             });
+
+            // Предпросмотр количества последовательностей и ошибок разбора
+            const inputPreview = document.getElementById('inputPreview');
+            if (inputPreview) {
+                const hint = inputPreview.textContent.trim();
+                numberInput.addEventListener('input', Utils.debounce(() => {
+                    this.updateInputPreview(inputPreview, numberInput.value, hint);
+                }, 150));
+            }
         }
 
         // Обработка кнопок
@@ -378,6 +399,10 @@ export class UIController {
                         <span></span>
                         <span></span>
                     </div>
+                    <div class="loading-progress hidden">
+                        <div class="loading-progress-bar"></div>
+                    </div>
+                    <button type="button" class="loading-cancel hidden">Отменить</button>
                 </div>
             </div>
         `;
@@ -400,21 +425,48 @@ export class UIController {
 
     /**
      * Показать состояние загрузки
+     * @param {Object} options - Параметры
+     * @param {string} options.text - Текст под индикатором
+     * @param {Function} options.onCancel - Обработчик кнопки отмены (кнопка показывается, если задан)
      */
-    showLoading() {
+    showLoading(options = {}) {
         const loadingOverlay = document.querySelector('.loading-overlay');
         if (loadingOverlay) {
+            loadingOverlay.querySelector('.loading-text').textContent = options.text || 'Загрузка...';
+            loadingOverlay.querySelector('.loading-progress').classList.add('hidden');
+
+            const cancelButton = loadingOverlay.querySelector('.loading-cancel');
+            cancelButton.classList.toggle('hidden', !options.onCancel);
+            cancelButton.onclick = options.onCancel || null;
+
             loadingOverlay.classList.remove('hidden');
             loadingOverlay.classList.add('animate-fade-in');
         }
     }
 
+    /**
+     * Обновить прогресс текущей загрузки
+     * @param {number} done - Выполнено
+     * @param {number} total - Всего
+     */
+    updateLoadingProgress(done, total) {
+        const loadingOverlay = document.querySelector('.loading-overlay');
+        if (!loadingOverlay || total <= 0) return;
+
+        const percent = Math.min(100, Math.round((done / total) * 100));
+        loadingOverlay.querySelector('.loading-progress').classList.remove('hidden');
+        loadingOverlay.querySelector('.loading-progress-bar').style.width = `${percent}%`;
+        loadingOverlay.querySelector('.loading-text').textContent =
+            `${done.toLocaleString()} из ${total.toLocaleString()} (${percent}%)`;
+    }
+
     /**
      * Скрыть состояние загрузки
      */
     hideLoading() {
         const loadingOverlay = document.querySelector('.loading-overlay');
         if (loadingOverlay) {
+            loadingOverlay.querySelector('.loading-cancel').onclick = null;
             loadingOverlay.classList.add('animate-fade-out');
             setTimeout(() => {
                 loadingOverlay.classList.add('hidden');
@@ -423,6 +475,183 @@ export class UIController {
         }
     }
 
+    /**
+     * Подключает панели управления проигрывателем ([data-player] на вкладках 2D и 3D)
+     * @param {TrajectoryPlayer} player - Проигрыватель траектории
+     */
+    setupTransportBars(player) {
+        const actions = {
+            start: () => {
+                player.pause();
+                player.seek(0);
+            },
+            back: () => player.stepBack(),
+            toggle: () => player.toggle(),
+            forward: () => player.stepForward(),
+            end: () => {
+                player.pause();
+                player.seek(player.lastStep);
+            }
+        };
+
+        document.querySelectorAll('[data-player]').forEach(bar => {
+            bar.querySelectorAll('[data-player-action]').forEach(button => {
+                button.addEventListener('click', () => actions[button.dataset.playerAction]());
+            });
+
+            const seek = bar.querySelector('[data-player-seek]');
+            seek.addEventListener('input', () => {
+                player.pause();
+                player.seek(Number(seek.value));
+            });
+
+            const speed = bar.querySelector('[data-player-speed]');
+            speed.innerHTML = PLAYER_SPEEDS
+                .map(value => `<option value="${value}">${value} шаг/с</option>`)
+                .join('');
+            speed.addEventListener('change', () => player.setSpeed(Number(speed.value)));
+
+            const loop = bar.querySelector('[data-player-loop]');
+            loop.addEventListener('change', () => player.setLoop(loop.checked));
+        });
+
+        ['load', 'step', 'play', 'pause', 'change', 'end'].forEach(event => {
+            player.addEventListener(event, ({ state }) => this.updateTransportBars(state));
+        });
+        player.addEventListener('load', ({ record }) => {
+            if (!record) this.updatePlaybackStatistics(null);
+        });
+        player.addEventListener('step', (event) => this.updatePlaybackStatistics(event));
+
+        this.updateTransportBars(player.getState());
+    }
+
+    /**
+     * Обновляет состояние панелей управления проигрывателем
+     * @param {Object} state - Состояние проигрывателя (см. TrajectoryPlayer.getState)
+     */
+    updateTransportBars(state) {
+        const hasRecord = state.recordId !== null;
+
+        document.querySelectorAll('[data-player]').forEach(bar => {
+            bar.querySelectorAll('[data-player-action]').forEach(button => {
+                button.disabled = !hasRecord;
+            });
+
+            const toggle = bar.querySelector('[data-player-action="toggle"]');
+            toggle.textContent = state.isPlaying ? '⏸' : '▶';
+
+            const seek = bar.querySelector('[data-player-seek]');
+            seek.disabled = !hasRecord;
+            seek.max = state.lastStep;
+            seek.value = state.step;
+
+            bar.querySelector('[data-player-position]').textContent = `${state.step} / ${state.lastStep}`;
+            bar.querySelector('[data-player-speed]').value = String(state.speed);
+            bar.querySelector('[data-player-loop]').checked = state.loop;
+        });
+    }
+
+    /**
+     * Обновляет карточки текущего шага в панели статистики
+     * @param {Object|null} event - Событие шага проигрывателя { record, step, value, maxValue } или null
+     */
+    updatePlaybackStatistics(event) {
+        const fields = {
+            playbackStep: '-',
+            playbackValue: '-',
+            playbackNextStep: '-',
+            playbackMaxValue: '-'
+        };
+
+        if (event) {
+            const { record, step, value, maxValue } = event;
+            const map = CollatzMap.from(record.map);
+            const isLast = step === record.sequence.length - 1;
+
+            fields.playbackStep = `${step} из ${record.sequence.length - 1}`;
+            fields.playbackValue = value.toLocaleString();
+            fields.playbackNextStep = isLast
+                ? '-'
+                : map.describeStep(value);
+            fields.playbackMaxValue = maxValue.toLocaleString();
+        }
+
+        Object.entries(fields).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        });
+    }
+
+    /**
+     * Обновляет предпросмотр поля ввода (см. InputParser.preview)
+     * @param {HTMLElement} element - Элемент предпросмотра
+     * @param {string} text - Текст поля ввода
+     * @param {string} hint - Подсказка для пустого поля
+     */
+    updateInputPreview(element, text, hint) {
+        const { count, error } = InputParser.preview(text);
+
+        element.classList.toggle('text-error', Boolean(error));
+        element.classList.toggle('text-text-secondary', !error);
+
+        if (error) {
+            // Фрагмент ввода с отметкой места ошибки
+            const before = text.slice(Math.max(0, error.position - 12), error.position);
+            const at = text[error.position] || '␣';
+            element.textContent = `${error.message}: …${before}▸${at}◂`;
+        } else if (count === 0) {
+            element.textContent = hint;
+        } else {
+            element.textContent = `Будет создано последовательностей: ${count.toLocaleString()}`;
+        }
+    }
+
+    /**
+     * Строит строки редактора отображения по вычетам
+     * @param {Array<Object>} branches - Ветви { multiplier, increment, divisor } для вычетов 0..m−1
+     */
+    renderBranchRows(branches) {
+        const body = document.getElementById('branchTableBody');
+        if (!body) return;
+
+        const inputClass = 'w-20 px-2 py-1 bg-background border border-secondary/30 rounded text-text-primary focus:outline-none focus:ring-2 focus:ring-primary';
+        body.innerHTML = branches.map((branch, residue) => `
+            <tr>
+                <td class="py-1 px-2 text-text-secondary">${residue}</td>
+                <td class="py-1 px-2"><input type="number" data-field="multiplier" value="${branch.multiplier}" min="1" step="1" class="${inputClass}"></td>
+                <td class="py-1 px-2"><input type="number" data-field="increment" value="${branch.increment}" step="1" class="${inputClass}"></td>
+                <td class="py-1 px-2"><input type="number" data-field="divisor" value="${branch.divisor}" min="1" step="1" class="${inputClass}"></td>
+                <td class="py-1 px-2 font-mono" data-role="formula"></td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Показывает результат проверки отображения по вычетам
+     * @param {Array<Object>} branches - Ветви из редактора
+     * @param {Array<string>} errors - Ошибки CollatzMap.validateBranches
+     * @param {CollatzMap|null} map - Отображение, если ошибок нет
+     */
+    updateBranchValidation(branches, errors, map) {
+        const body = document.getElementById('branchTableBody');
+        body?.querySelectorAll('[data-role="formula"]').forEach((cell, residue) => {
+            const branch = branches[residue];
+            cell.textContent = branch && Object.values(branch).every(Number.isFinite)
+                ? CollatzMap.formatBranch(branch)
+                : '-';
+        });
+
+        const element = document.getElementById('branchValidation');
+        if (!element) return;
+
+        element.classList.toggle('text-error', errors.length > 0);
+        element.classList.toggle('text-success', errors.length === 0);
+        element.textContent = errors.length > 0
+            ? errors.join('; ')
+            : `✓ Отображение целозначно: ${map.label}`;
+    }
+
     /**
      * Обработка пользовательского ввода
      */
@@ -4,6 +4,14 @@
  */
 
 import Chart from 'chart.js/auto';
+import { BigMath } from './bigMath.js';
+import { CollatzMap } from './collatzMap.js';
+import { CollatzAlgorithm, SequenceMode, SequenceModeLabels } from './algorithm.js';
+import { Rational } from './rational.js';
+import { RandomWalkModel } from './randomWalkModel.js';
+
+// Количество моделируемых траекторий на каждое начальное число
+const MODEL_WALK_COUNT = 3;
 
 // Используем глобальный плагин зума из CDN
 // Chart.register(zoomPlugin); // Убираем эту строку, так как плагин уже загружен через CDN
@@ -13,6 +21,9 @@ export class Visualization2D {
         this.chart = null;
         this.isInitialized = false;
         this.chartType = 'line'; // 'line', 'bar', 'scatter'
+        this.scaleMode = 'auto'; // 'auto', 'linear', 'logarithmic'
+        this.logValues = false; // Точки откладываются как log10 значения (см. toChartValue)
+        this.showModel = false; // Наложение модели случайного блуждания (см. RandomWalkModel)
         this.container = null;
         this.config = {
             responsive: true,
@@ -95,7 +106,9 @@ export class Visualization2D {
                         labels: {
                             color: '#ffffff',
                             usePointStyle: true,
-                            padding: 20
+                            padding: 20,
+                            // Маркер проигрывателя не показывается в легенде
+                            filter: (item, data) => !data.datasets[item.datasetIndex].isPlaybackMarker
                         }
                     },
                     tooltip: {
@@ -110,8 +123,8 @@ export class Visualization2D {
                             title: function(context) {
                                 return `Шаг ${context[0].dataIndex}`;
                             },
-                            label: function(context) {
-                                return `${context.dataset.label}: ${context.parsed.y}`;
+                            label: (context) => {
+                                return `${context.dataset.label}: ${this.formatValue(this.getRawValue(context))}`;
                             }
                         }
                     }
@@ -143,7 +156,10 @@ export class Visualization2D {
                             color: '#a1a1aa'
                         },
                         grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
+                            // Нулевая линия выделяется для отрицательных траекторий
+                            color: (context) => (context.tick && context.tick.value === 0
+                                ? 'rgba(255, 255, 255, 0.4)'
+                                : 'rgba(255, 255, 255, 0.1)')
                         }
                     }
                 }
@@ -164,12 +180,20 @@ export class Visualization2D {
         try {
             console.log('📈 Обновление 2D графика:', sequences.length, 'последовательностей');
 
+            // Логарифмическая шкала строится по log10 значений: number не вмещает
+            // значения больше 2^1024, а log10 считается и для BigInt
+            this.logValues = this.resolveScaleType(sequences) === 'logarithmic';
+
             // Подготавливаем данные для графика
             const chartData = this.prepareChartData(sequences);
             
             // Обновляем данные графика
             this.chart.data.labels = chartData.labels;
             this.chart.data.datasets = chartData.datasets;
+            const { y } = this.chart.options.scales;
+            y.title.text = this.logValues ? 'Значение (лог. шкала)' : 'Значение';
+            // На лог. шкале деления ставятся на целые степени десяти
+            y.ticks.precision = this.logValues ? 0 : undefined;
             
             // Обновляем график
             this.chart.update('active');
@@ -193,12 +217,32 @@ export class Visualization2D {
         }
 
         const datasets = [];
-        const maxLength = Math.max(...sequences.map(seq => seq.sequence.length));
+        let maxLength = 0;
 
         sequences.forEach((sequenceData, index) => {
+            const map = CollatzMap.from(sequenceData.map);
+            const { data, rawValues, steps } = this.alignSequenceData(sequenceData, map);
+            maxLength = Math.max(maxLength, data.length);
+
+            const details = [];
+            if (!map.isStandard()) details.push(map.label);
+            if (sequenceData.mode && sequenceData.mode !== SequenceMode.STANDARD) {
+                details.push(SequenceModeLabels[sequenceData.mode]);
+            }
+
             const dataset = {
-                label: `Число ${sequenceData.startNumber}`,
-                data: sequenceData.sequence,
+                label: details.length > 0
+                    ? `Число ${sequenceData.startNumber} (${details.join(', ')})`
+                    : `Число ${sequenceData.startNumber}`,
+                map,
+                sequenceId: sequenceData.id,
+                // Chart.js работает только с number, точные значения хранятся в rawValues
+                data,
+                rawValues,
+                // Позиция каждого члена на оси шагов (null - совпадает с индексом)
+                steps,
+                // Сокращенные представления содержат пропуски между шагами полной траектории
+                spanGaps: true,
                 borderColor: sequenceData.color,
                 backgroundColor: this.hexToRgba(sequenceData.color, 0.1),
                 borderWidth: 2,
@@ -212,6 +256,14 @@ export class Visualization2D {
             };
 
             datasets.push(dataset);
+
+            if (this.showModel) {
+                const modelDatasets = this.createModelDatasets(sequenceData, map);
+                modelDatasets.forEach(item => {
+                    maxLength = Math.max(maxLength, item.data.length);
+                });
+                datasets.push(...modelDatasets);
+            }
         });
 
         // Создаем метки для оси X
@@ -223,6 +275,322 @@ export class Visualization2D {
         };
     }
 
+    /**
+     * Наборы данных модели случайного блуждания для последовательности:
+     * ожидаемая траектория и несколько смоделированных в представлении последовательности
+     * Модель описывает только 3n+1 для положительных целых начальных чисел.
+     * @param {Object} sequenceData - Данные последовательности
+     * @param {CollatzMap} map - Отображение
+     * @returns {Array<Object>} Наборы данных Chart.js (пустой массив, если модель неприменима)
+     */
+    createModelDatasets(sequenceData, map) {
+        const { startNumber, color, mode = SequenceMode.STANDARD } = sequenceData;
+        const isInteger = typeof startNumber === 'number' || BigMath.isBigInt(startNumber);
+        if (!map.isStandard() || !isInteger || startNumber <= 0) {
+            return [];
+        }
+
+        const common = {
+            isModel: true,
+            spanGaps: true,
+            fill: false,
+            pointRadius: 0,
+            pointHoverRadius: 3
+        };
+        const factor = RandomWalkModel.stoppingTimeFactor(mode);
+        const modeLabel = mode === SequenceMode.STANDARD ? '' : ` ${SequenceModeLabels[mode]}`;
+
+        const datasets = [{
+            ...common,
+            label: `Модель для ${startNumber}${modeLabel}: ожидание (≈ ${factor.toFixed(2)}·ln n шагов)`,
+            ...this.alignModelData(RandomWalkModel.expectedTrajectory(startNumber, mode), mode),
+            borderColor: color,
+            borderWidth: 2,
+            borderDash: [8, 4]
+        }];
+
+        for (let walk = 1; walk <= MODEL_WALK_COUNT; walk++) {
+            datasets.push({
+                ...common,
+                label: `Модель для ${startNumber}${modeLabel}: блуждание ${walk}`,
+                ...this.alignModelData(RandomWalkModel.simulateTrajectory(startNumber, { seed: walk, mode }), mode),
+                borderColor: this.hexToRgba(color, 0.35),
+                borderWidth: 1
+            });
+        }
+
+        return datasets;
+    }
+
+    /**
+     * Раскладывает значения модели по шагам полной траектории (как alignSequenceData):
+     * шаг представления ставится на ожидаемый шаг полной траектории
+     * @param {Array<number>} values - Значения модели по шагам представления
+     * @param {string} mode - Представление траектории (SequenceMode)
+     * @returns {Object} { data, rawValues } для набора данных Chart.js
+     */
+    alignModelData(values, mode) {
+        let rawValues = values;
+        if (mode !== SequenceMode.STANDARD) {
+            rawValues = new Array(RandomWalkModel.toStandardStep(values.length - 1, mode) + 1).fill(null);
+            values.forEach((value, step) => {
+                rawValues[RandomWalkModel.toStandardStep(step, mode)] = value;
+            });
+        }
+
+        return {
+            data: rawValues.map(value => (value === null ? null : this.toChartValue(value))),
+            rawValues
+        };
+    }
+
+    /**
+     * Включает или выключает наложение модели случайного блуждания
+     * @param {boolean} visible - Показывать модель
+     * @param {Array} sequences - Текущие последовательности для перерисовки
+     */
+    async setModelVisible(visible, sequences = []) {
+        this.showModel = visible;
+        if (sequences.length > 0) {
+            await this.update(sequences);
+        }
+    }
+
+    /**
+     * Раскладывает значения последовательности по шагам полной траектории
+     * Для сокращенных режимов члены размещаются на тех же шагах, что и в полной
+     * траектории, а промежуточные позиции остаются пустыми (null)
+     * @param {Object} sequenceData - Данные последовательности
+     * @param {CollatzMap} map - Отображение
+     * @returns {Object} { data, rawValues, steps } для набора данных Chart.js
+     * (steps - номер шага для каждого члена, null для полной траектории)
+     */
+    alignSequenceData(sequenceData, map) {
+        const { sequence } = sequenceData;
+        if (!sequenceData.mode || sequenceData.mode === SequenceMode.STANDARD) {
+            return {
+                data: sequence.map(value => this.toChartValue(value)),
+                rawValues: sequence,
+                steps: null
+            };
+        }
+
+        const steps = CollatzAlgorithm.alignToStandardSteps(sequence, sequenceData.startNumber, map);
+        const length = steps[steps.length - 1] + 1;
+        const data = new Array(length).fill(null);
+        const rawValues = new Array(length).fill(null);
+
+        sequence.forEach((value, index) => {
+            data[steps[index]] = this.toChartValue(value);
+            rawValues[steps[index]] = value;
+        });
+
+        return { data, rawValues, steps };
+    }
+
+    /**
+     * Показ шага проигрывателя (см. TrajectoryPlayer)
+     * Траектория записи выводится до текущего шага, текущая точка отмечается маркером
+     * @param {Object} record - Запись проигрываемой последовательности
+     * @param {number} step - Номер члена последовательности
+     */
+    showPlaybackStep(record, step) {
+        if (!this.chart) return;
+
+        const { datasets } = this.chart.data;
+        const dataset = datasets.find(item => item.sequenceId === record.id);
+        if (!dataset) return;
+
+        // Полные данные сохраняются при первом показе шага и восстанавливаются при update
+        if (!dataset.fullData) {
+            dataset.fullData = dataset.data;
+            dataset.data = dataset.fullData.slice();
+            dataset.revealedTo = dataset.fullData.length - 1;
+        }
+
+        // Открываются или скрываются только точки между прежним и новым шагом
+        const position = dataset.steps ? dataset.steps[step] : step;
+        for (let index = position + 1; index <= dataset.revealedTo; index++) {
+            dataset.data[index] = null;
+        }
+        for (let index = dataset.revealedTo + 1; index <= position; index++) {
+            dataset.data[index] = dataset.fullData[index];
+        }
+        dataset.revealedTo = position;
+
+        let marker = datasets.find(item => item.isPlaybackMarker);
+        if (!marker) {
+            marker = {
+                label: 'Текущий шаг',
+                isPlaybackMarker: true,
+                showLine: false,
+                pointRadius: 8,
+                pointHoverRadius: 10,
+                pointBackgroundColor: '#ffffff',
+                pointBorderColor: record.color,
+                pointBorderWidth: 3
+            };
+            datasets.push(marker);
+        }
+
+        // Массивы маркера создаются заново только при смене траектории
+        if (marker.recordId !== record.id || marker.data.length !== dataset.fullData.length) {
+            marker.recordId = record.id;
+            marker.data = new Array(dataset.fullData.length).fill(null);
+            marker.rawValues = new Array(dataset.fullData.length).fill(null);
+            marker.position = null;
+        }
+        if (marker.position !== null) {
+            marker.data[marker.position] = null;
+            marker.rawValues[marker.position] = null;
+        }
+        marker.data[position] = dataset.fullData[position];
+        marker.rawValues[position] = dataset.rawValues[position];
+        marker.position = position;
+        marker.pointBorderColor = record.color;
+
+        this.chart.update('none');
+    }
+
+    /**
+     * Подсветка точки слияния траекторий (см. DataManager.findMergePoint)
+     * Точка слияния отмечается на каждой траектории, общий хвост выводится толстой линией
+     * @param {Object|null} merge - Точка слияния или null, чтобы снять подсветку
+     */
+    showMergePoint(merge) {
+        if (!this.chart) return;
+
+        const datasets = this.chart.data.datasets.filter(item => !item.isMergeMarker);
+        datasets.forEach(dataset => {
+            delete dataset.segment;
+        });
+
+        if (merge) {
+            const length = this.chart.data.labels.length;
+            const marker = {
+                label: `Точка слияния: ${merge.value.toLocaleString()}`,
+                isMergeMarker: true,
+                showLine: false,
+                data: new Array(length).fill(null),
+                rawValues: new Array(length).fill(null),
+                pointStyle: 'rectRot',
+                pointRadius: 9,
+                pointHoverRadius: 11,
+                pointBackgroundColor: '#f59e0b',
+                pointBorderColor: '#ffffff',
+                pointBorderWidth: 2,
+                borderColor: '#f59e0b',
+                backgroundColor: '#f59e0b'
+            };
+
+            merge.records.forEach(({ id, steps }) => {
+                const dataset = datasets.find(item => item.sequenceId === id);
+                if (!dataset) return;
+
+                const position = dataset.steps ? dataset.steps[steps] : steps;
+                const data = dataset.fullData || dataset.data;
+                marker.data[position] = data[position];
+                marker.rawValues[position] = dataset.rawValues[position];
+
+                // Общий хвост начинается с точки слияния
+                dataset.segment = {
+                    borderWidth: context => (context.p0DataIndex >= position ? 4 : 2)
+                };
+            });
+
+            datasets.push(marker);
+        }
+
+        this.chart.data.datasets = datasets;
+        this.chart.update('none');
+    }
+
+    /**
+     * Определяет тип оси значений
+     * В автоматическом режиме логарифмическая шкала включается, когда значения
+     * выходят за пределы точного представления number, а при значениях больше
+     * Number.MAX_VALUE - и при выбранной линейной. Логарифмическая шкала
+     * не показывает значения ниже нуля, поэтому для отрицательных траекторий
+     * всегда используется линейная.
+     * @param {Array} sequences - Массив последовательностей
+     * @returns {string} 'linear' или 'logarithmic'
+     */
+    resolveScaleType(sequences) {
+        const hasNonPositive = sequences.some(seq => BigMath.min(seq.sequence) <= 0);
+        if (hasNonPositive) {
+            return 'linear';
+        }
+
+        const maxValues = sequences.map(seq => BigMath.max(seq.sequence));
+        // Значения за пределами number на линейной шкале не изобразить
+        const exceedsNumber = maxValues.some(value => value > Number.MAX_VALUE);
+        if (this.scaleMode !== 'auto' && !exceedsNumber) {
+            return this.scaleMode;
+        }
+
+        const hasHugeValues = maxValues.some(value => value > Number.MAX_SAFE_INTEGER);
+        return hasHugeValues ? 'logarithmic' : 'linear';
+    }
+
+    /**
+     * Устанавливает режим шкалы значений
+     * @param {string} mode - 'auto', 'linear' или 'logarithmic'
+     * @param {Array} sequences - Текущие последовательности для перерисовки
+     */
+    async setScaleMode(mode, sequences = []) {
+        this.scaleMode = mode;
+        if (sequences.length > 0) {
+            await this.update(sequences);
+        }
+    }
+
+    /**
+     * Переводит значение в координату оси: само значение или его log10 на лог. шкале
+     * (лог. шкала выбирается только для положительных траекторий, см. resolveScaleType)
+     * @param {number|bigint|Rational} value - Значение
+     * @returns {number} Координата точки
+     */
+    toChartValue(value) {
+        if (!this.logValues) {
+            return BigMath.toNumber(value);
+        }
+        return value instanceof Rational ? value.log10() : BigMath.log10(value);
+    }
+
+    /**
+     * Возвращает точное значение точки графика (включая BigInt и дроби)
+     * @param {Object} context - Контекст подсказки Chart.js
+     * @returns {number|bigint|Rational} Точное значение
+     */
+    getRawValue(context) {
+        const rawValues = context.dataset.rawValues;
+        return rawValues ? rawValues[context.dataIndex] : context.parsed.y;
+    }
+
+    /**
+     * Форматирует значение точки для подсказки: дроби выводятся точно и десятичной записью
+     * @param {number|bigint|Rational} value - Значение
+     * @returns {string} Подпись
+     */
+    formatValue(value) {
+        if (value instanceof Rational && !value.isInteger()) {
+            return `${value} ≈ ${value.toNumber().toLocaleString(undefined, { maximumSignificantDigits: 10 })}`;
+        }
+        return value.toLocaleString();
+    }
+
+    /**
+     * Форматирует подпись оси значений
+     * @param {number} value - Значение деления (на лог. шкале - показатель степени десяти)
+     * @returns {string} Подпись
+     */
+    formatTick(value) {
+        if (this.logValues) {
+            return Math.abs(value) < 15 ? Math.pow(10, value).toLocaleString() : `1e${value}`;
+        }
+        return Math.abs(value) >= 1e15 ? value.toExponential(1) : value.toLocaleString();
+    }
+
     /**
      * Создает гистограмму статистики
      * @param {Array} sequences - Массив последовательностей
@@ -233,7 +601,7 @@ export class Visualization2D {
         const statsData = sequences.map(seq => ({
             label: `Число ${seq.startNumber}`,
             length: seq.statistics.length,
-            maxValue: seq.statistics.maxValue,
+            maxValue: BigMath.toNumber(seq.statistics.maxValue),
             steps: seq.statistics.steps
         }));
 
@@ -373,18 +741,19 @@ export class Visualization2D {
                     return `Шаг ${context[0].dataIndex}`;
                 },
                 label: (context) => {
-                    const value = context.parsed.y;
+                    const value = this.getRawValue(context);
                     const datasetLabel = context.dataset.label;
-                    return `${datasetLabel}: ${value.toLocaleString()}`;
+                    if (context.dataset.isModel) {
+                        return `${datasetLabel}: ≈ ${value.toLocaleString(undefined, { maximumSignificantDigits: 6 })}`;
+                    }
+                    return `${datasetLabel}: ${this.formatValue(value)}`;
                 },
                 afterLabel: (context) => {
-                    // Дополнительная информация
-                    const value = context.parsed.y;
-                    if (value % 2 === 0) {
-                        return 'Четное число';
-                    } else {
-                        return 'Нечетное число';
-                    }
+                    // Дополнительная информация (у модели значения не целые)
+                    if (context.dataset.isModel) return '';
+                    const value = this.getRawValue(context);
+                    const map = context.dataset.map || CollatzMap.standard();
+                    return map.describeResidue(value);
                 }
             }
         };
@@ -419,7 +788,7 @@ export class Visualization2D {
             ticks: {
                 color: '#a1a1aa',
                 callback: (value) => {
-                    return value.toLocaleString();
+                    return this.formatTick(value);
                 }
             }
         };
@@ -440,7 +809,8 @@ export class Visualization2D {
                 const element = elements[0];
                 const dataIndex = element.index;
                 const datasetIndex = element.datasetIndex;
-                const value = this.chart.data.datasets[datasetIndex].data[dataIndex];
+                const dataset = this.chart.data.datasets[datasetIndex];
+                const value = dataset.rawValues ? dataset.rawValues[dataIndex] : dataset.data[dataIndex];
                 
                 this.highlightPoint(dataIndex, datasetIndex);
                 this.showPointDetails(dataIndex, value);
@@ -473,6 +843,7 @@ export class Visualization2D {
 
         // Сбрасываем все подсветки
         this.chart.data.datasets.forEach(dataset => {
+            if (dataset.isModel) return;
             dataset.pointBackgroundColor = dataset.originalPointBackgroundColor || dataset.backgroundColor;
             dataset.pointBorderColor = dataset.originalPointBorderColor || dataset.borderColor;
             dataset.pointRadius = dataset.originalPointRadius || 3;
@@ -491,7 +862,7 @@ export class Visualization2D {
     /**
      * Показ деталей точки
      * @param {number} dataIndex - Индекс данных
-     * @param {number} value - Значение
+     * @param {number|bigint} value - Значение
      */
     showPointDetails(dataIndex, value) {
         // Создаем временное уведомление с деталями
@@ -502,7 +873,7 @@ export class Visualization2D {
             <div class="text-sm">
                 <div>Шаг: ${dataIndex}</div>
                 <div>Значение: ${value.toLocaleString()}</div>
-                <div>Тип: ${value % 2 === 0 ? 'Четное' : 'Нечетное'}</div>
+                <div>Тип: ${BigMath.isEven(value) ? 'Четное' : 'Нечетное'}</div>
             </div>
         `;
         
@@ -5,6 +5,8 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { BigMath } from './bigMath.js';
+import { CollatzAlgorithm, SequenceMode } from './algorithm.js';
 
 export class Visualization3D {
     constructor() {
@@ -26,15 +28,28 @@ export class Visualization3D {
             cameraDistance: 50,
             pointSize: 0.5,
             lineWidth: 2,
-            animationSpeed: 0.01
+            animationSpeed: 0.01,
+            logScaleThreshold: 1e6, // Выше этого значения ось Y переводится в логарифмическую шкалу
+            logScaleFactor: 10,     // Высота одной декады в логарифмической шкале
+            treeDepth: 16,          // Глубина дерева прообразов
+            treeLevelSpacing: 3,    // Расстояние между уровнями дерева по оси X
+            treeNodeSpacing: 1.5,   // Расстояние между вершинами уровня по оси Z
+            treeHeightFactor: 2     // Высота одного удвоения значения по оси Y
         };
+
+        // Текущая шкала оси Y: 'linear' или 'log'
+        this.valueScale = 'linear';
+
+        // Режим сцены: 'sequences' (траектории) или 'tree' (дерево прообразов)
+        this.viewMode = 'sequences';
         
         // Объекты сцены
         this.objects = {
             grid: null,
             axes: null,
             sequences: new Map(),
-            labels: []
+            labels: [],
+            playbackMarker: null
         };
         
         // Состояние камеры
@@ -283,6 +298,8 @@ export class Visualization3D {
 
         if (object.userData && object.userData.text) {
             tooltipText = object.userData.text;
+        } else if (object.userData && object.userData.nodeLabels && intersect.index !== undefined) {
+            tooltipText = object.userData.nodeLabels[intersect.index];
         } else if (object.parent && object.parent.name && object.parent.name.startsWith('sequence-')) {
             const sequenceId = object.parent.name.replace('sequence-', '');
             const sequence = this.objects.sequences.get(sequenceId);
@@ -318,6 +335,11 @@ export class Visualization3D {
         try {
             // Очистка предыдущих последовательностей
             this.clearSequences();
+            this.viewMode = 'sequences';
+            this.updateViewModeButton();
+
+            // Выбор шкалы оси Y для всех последовательностей сразу
+            this.valueScale = this.resolveValueScale(sequences);
             
             // Создание новых визуализаций
             for (const sequenceData of sequences) {
@@ -332,27 +354,62 @@ export class Visualization3D {
         }
     }
 
+    /**
+     * Определяет шкалу оси Y: большие (в том числе BigInt) значения
+     * отображаются в логарифмической шкале
+     * @param {Array} sequences - Массив последовательностей
+     * @returns {string} 'linear' или 'log'
+     */
+    resolveValueScale(sequences) {
+        const hasLargeValues = sequences.some(seq =>
+            BigMath.max(seq.sequence.map(value => BigMath.abs(value))) > this.settings.logScaleThreshold
+        );
+        return hasLargeValues ? 'log' : 'linear';
+    }
+
+    /**
+     * Преобразует значение последовательности в координату Y сцены
+     * В логарифмической шкале используется sign(n)·log10(1 + |n|), чтобы
+     * отрицательные траектории оставались ниже нуля.
+     * @param {number|bigint} value - Значение
+     * @returns {number} Координата Y
+     */
+    toSceneY(value) {
+        if (this.valueScale === 'log') {
+            const sign = value < BigMath.like(0, value) ? -1 : 1;
+            return sign * BigMath.log10(BigMath.abs(value) + BigMath.like(1, value)) * this.settings.logScaleFactor;
+        }
+        return BigMath.toNumber(value);
+    }
+
     /**
      * Создание 3D представления последовательности
      * @param {Object} sequenceData - Данные последовательности
      */
     async createSequenceVisualization(sequenceData) {
         const { id, sequence, color, startNumber } = sequenceData;
+
+        // Сокращенные режимы размещаются на шагах полной траектории
+        const steps = !sequenceData.mode || sequenceData.mode === SequenceMode.STANDARD
+            ? sequence.map((_, index) => index)
+            : CollatzAlgorithm.alignToStandardSteps(sequence, startNumber, sequenceData.map);
         
         // Создаем группу для последовательности
         const sequenceGroup = new THREE.Group();
         sequenceGroup.name = `sequence-${id}`;
+        // Нужны для показа шага проигрывателя
+        sequenceGroup.userData = { sequence, steps };
         
         // Создаем точки для каждого числа в последовательности
-        const points = this.createSequencePoints(sequence, color);
+        const points = this.createSequencePoints(sequence, color, steps);
         sequenceGroup.add(points);
         
         // Создаем линии, соединяющие точки
-        const lines = this.createSequenceLines(sequence, color);
+        const lines = this.createSequenceLines(sequence, color, steps);
         sequenceGroup.add(lines);
         
         // Создаем метки для важных точек
-        const labels = this.createSequenceLabels(sequence, startNumber, color);
+        const labels = this.createSequenceLabels(sequence, startNumber, color, steps);
         labels.forEach(label => sequenceGroup.add(label));
         
         // Добавляем группу в сцену
@@ -369,9 +426,10 @@ export class Visualization3D {
      * Создание точек последовательности
      * @param {Array} sequence - Последовательность чисел
      * @param {string} color - Цвет последовательности
+     * @param {Array<number>} steps - Координата X (номер шага) для каждого члена
      * @returns {THREE.Points} Объект точек
      */
-    createSequencePoints(sequence, color) {
+    createSequencePoints(sequence, color, steps = sequence.map((_, index) => index)) {
         const positions = [];
         const colors = [];
         const sizes = [];
@@ -379,11 +437,12 @@ export class Visualization3D {
         const colorObj = new THREE.Color(color);
         
         sequence.forEach((value, index) => {
-            // Позиция: X = индекс, Y = значение, Z = 0
-            positions.push(index, value, 0);
+            // Позиция: X = номер шага, Y = значение, Z = 0
+            positions.push(steps[index], this.toSceneY(value), 0);
             
             // Цвет с градиентом
-            const intensity = Math.min(value / 1000, 1);
+            const numericValue = Math.abs(BigMath.toNumber(value));
+            const intensity = Math.min(numericValue / 1000, 1);
             colors.push(
                 colorObj.r * intensity,
                 colorObj.g * intensity,
@@ -391,7 +450,7 @@ export class Visualization3D {
             );
             
             // Размер точки зависит от значения
-            sizes.push(Math.max(0.2, Math.min(2, value / 100)));
+            sizes.push(Math.max(0.2, Math.min(2, numericValue / 100)));
         });
         
         const geometry = new THREE.BufferGeometry();
@@ -416,9 +475,10 @@ export class Visualization3D {
      * Создание линий последовательности
      * @param {Array} sequence - Последовательность чисел
      * @param {string} color - Цвет последовательности
+     * @param {Array<number>} steps - Координата X (номер шага) для каждого члена
      * @returns {THREE.LineSegments} Объект линий
      */
-    createSequenceLines(sequence, color) {
+    createSequenceLines(sequence, color, steps = sequence.map((_, index) => index)) {
         const positions = [];
         const colors = [];
         
@@ -429,11 +489,11 @@ export class Visualization3D {
             const next = sequence[i + 1];
             
             // Текущая точка
-            positions.push(i, current, 0);
+            positions.push(steps[i], this.toSceneY(current), 0);
             colors.push(colorObj.r, colorObj.g, colorObj.b);
             
             // Следующая точка
-            positions.push(i + 1, next, 0);
+            positions.push(steps[i + 1], this.toSceneY(next), 0);
             colors.push(colorObj.r, colorObj.g, colorObj.b);
         }
         
@@ -458,9 +518,10 @@ export class Visualization3D {
      * @param {Array} sequence - Последовательность чисел
      * @param {number} startNumber - Начальное число
      * @param {string} color - Цвет последовательности
+     * @param {Array<number>} steps - Координата X (номер шага) для каждого члена
      * @returns {Array} Массив меток
      */
-    createSequenceLabels(sequence, startNumber, color) {
+    createSequenceLabels(sequence, startNumber, color, steps = sequence.map((_, index) => index)) {
         const labels = [];
         const colorObj = new THREE.Color(color);
         
@@ -468,19 +529,19 @@ export class Visualization3D {
         if (sequence.length > 0) {
             const startLabel = this.createTextLabel(
                 `Начало: ${startNumber}`,
-                new THREE.Vector3(0, sequence[0], 2),
+                new THREE.Vector3(steps[0], this.toSceneY(sequence[0]), 2),
                 colorObj
             );
             labels.push(startLabel);
         }
         
         // Метка для максимального значения
-        const maxValue = Math.max(...sequence);
+        const maxValue = BigMath.max(sequence);
         const maxIndex = sequence.indexOf(maxValue);
         if (maxIndex > 0) {
             const maxLabel = this.createTextLabel(
                 `Макс: ${maxValue}`,
-                new THREE.Vector3(maxIndex, maxValue, 2),
+                new THREE.Vector3(steps[maxIndex], this.toSceneY(maxValue), 2),
                 new THREE.Color(0xff6b6b)
             );
             labels.push(maxLabel);
@@ -490,7 +551,7 @@ export class Visualization3D {
         if (sequence.length > 1) {
             const endLabel = this.createTextLabel(
                 `Конец: ${sequence[sequence.length - 1]}`,
-                new THREE.Vector3(sequence.length - 1, sequence[sequence.length - 1], 2),
+                new THREE.Vector3(steps[sequence.length - 1], this.toSceneY(sequence[sequence.length - 1]), 2),
                 new THREE.Color(0x51cf66)
             );
             labels.push(endLabel);
@@ -577,6 +638,216 @@ export class Visualization3D {
         return 1 - Math.pow(1 - t, 3);
     }
 
+    /**
+     * Показ шага проигрывателя (см. TrajectoryPlayer)
+     * Точки и линии записи выводятся до текущего шага, текущая точка отмечается сферой
+     * @param {Object} record - Запись проигрываемой последовательности
+     * @param {number} step - Номер члена последовательности
+     */
+    showPlaybackStep(record, step) {
+        if (!this.isInitialized || this.viewMode !== 'sequences') return;
+
+        const group = this.objects.sequences.get(record.id);
+        if (!group) return;
+
+        group.children.forEach(child => {
+            if (child instanceof THREE.LineSegments) {
+                // Каждый отрезок занимает две вершины
+                child.geometry.setDrawRange(0, step * 2);
+            } else if (child instanceof THREE.Points) {
+                child.geometry.setDrawRange(0, step + 1);
+            }
+        });
+
+        if (!this.objects.playbackMarker) {
+            this.objects.playbackMarker = new THREE.Mesh(
+                new THREE.SphereGeometry(this.settings.pointSize * 1.5, 16, 16),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            this.scene.add(this.objects.playbackMarker);
+        }
+
+        const { sequence, steps } = group.userData;
+        const marker = this.objects.playbackMarker;
+        marker.position.set(steps[step], this.toSceneY(sequence[step]), 0);
+        marker.userData.text = `Шаг ${step}: ${sequence[step]}`;
+        marker.visible = true;
+    }
+
+    /**
+     * Подсветка точки слияния траекторий (см. DataManager.findMergePoint)
+     * Маркер добавляется в группу каждой траектории и удаляется вместе с ней
+     * @param {Object|null} merge - Точка слияния или null, чтобы снять подсветку
+     */
+    showMergePoint(merge) {
+        if (!this.isInitialized || this.viewMode !== 'sequences') return;
+
+        this.objects.sequences.forEach(group => {
+            const previous = group.getObjectByName('merge-marker');
+            if (previous) {
+                group.remove(previous);
+                previous.geometry.dispose();
+                previous.material.dispose();
+            }
+        });
+
+        if (!merge) return;
+
+        merge.records.forEach(({ id, steps: step, startNumber }) => {
+            const group = this.objects.sequences.get(id);
+            if (!group) return;
+
+            const { steps } = group.userData;
+            const marker = new THREE.Mesh(
+                new THREE.OctahedronGeometry(this.settings.pointSize * 2),
+                new THREE.MeshBasicMaterial({ color: 0xf59e0b })
+            );
+            marker.name = 'merge-marker';
+            marker.position.set(steps[step], this.toSceneY(merge.value), 0);
+            marker.userData = {
+                text: `Слияние: ${merge.value} (${startNumber} за ${step} шагов, общий хвост ${merge.sharedTailLength})`
+            };
+            group.add(marker);
+        });
+    }
+
+    /**
+     * Показ дерева прообразов (см. CollatzAlgorithm.buildInverseTree) вместо траекторий
+     * X - число шагов до корня, Y - log2 значения, Z - положение вершины на уровне
+     * @param {Object} tree - Дерево прообразов
+     */
+    showInverseTree(tree) {
+        if (!this.isInitialized) return;
+
+        console.log('🌳 Дерево прообразов в 3D:', tree.stats.nodeCount, 'вершин');
+
+        this.clearSequences();
+        this.viewMode = 'tree';
+        this.updateViewModeButton();
+
+        const positions = this.layoutInverseTree(tree);
+
+        const treeGroup = new THREE.Group();
+        treeGroup.name = 'inverse-tree';
+        treeGroup.add(this.createTreeEdges(tree, positions));
+        treeGroup.add(this.createTreePoints(tree, positions));
+
+        this.scene.add(treeGroup);
+        this.objects.sequences.set('inverse-tree', treeGroup);
+
+        this.fitCameraToSequences();
+    }
+
+    /**
+     * Расположение вершин дерева прообразов
+     * Вершины уровня идут в порядке родителей, поэтому потомки одной вершины стоят рядом
+     * @param {Object} tree - Дерево прообразов
+     * @returns {Array<THREE.Vector3>} Позиции вершин (по индексам tree.nodes)
+     */
+    layoutInverseTree(tree) {
+        const { treeLevelSpacing, treeNodeSpacing, treeHeightFactor } = this.settings;
+        const positions = new Array(tree.nodes.length);
+
+        tree.levels.forEach((level, depth) => {
+            level.forEach((nodeIndex, position) => {
+                const value = tree.nodes[nodeIndex].value;
+                positions[nodeIndex] = new THREE.Vector3(
+                    depth * treeLevelSpacing,
+                    BigMath.log10(value) / Math.log10(2) * treeHeightFactor,
+                    (position - (level.length - 1) / 2) * treeNodeSpacing
+                );
+            });
+        });
+
+        return positions;
+    }
+
+    /**
+     * Создание вершин дерева прообразов
+     * Четные вершины - зеленые, нечетные - фиолетовые, корень - белый
+     * @param {Object} tree - Дерево прообразов
+     * @param {Array<THREE.Vector3>} positions - Позиции вершин
+     * @returns {THREE.Points} Объект точек с подписями вершин в userData.nodeLabels
+     */
+    createTreePoints(tree, positions) {
+        const coordinates = [];
+        const colors = [];
+        const evenColor = new THREE.Color(0x10b981);
+        const oddColor = new THREE.Color(0x8b5cf6);
+        const rootColor = new THREE.Color(0xffffff);
+
+        tree.nodes.forEach((node, index) => {
+            const position = positions[index];
+            coordinates.push(position.x, position.y, position.z);
+
+            const color = index === 0 ? rootColor : node.parity === 'odd' ? oddColor : evenColor;
+            colors.push(color.r, color.g, color.b);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(coordinates, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: this.settings.pointSize * 2,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.9,
+            sizeAttenuation: true
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.userData.nodeLabels = tree.nodes.map(node =>
+            `${node.value} - шагов до ${tree.root}: ${node.depth}, прообразов: ${node.branching}`
+        );
+        return points;
+    }
+
+    /**
+     * Создание ребер дерева прообразов
+     * Ребра шага n / 2 - серые, ребра шага 3n + 1 - оранжевые
+     * @param {Object} tree - Дерево прообразов
+     * @param {Array<THREE.Vector3>} positions - Позиции вершин
+     * @returns {THREE.LineSegments} Объект линий
+     */
+    createTreeEdges(tree, positions) {
+        const coordinates = [];
+        const colors = [];
+        const divideColor = new THREE.Color(0x64748b);
+        const multiplyColor = new THREE.Color(0xf59e0b);
+
+        tree.edges.forEach(edge => {
+            const from = positions[edge.from];
+            const to = positions[edge.to];
+            coordinates.push(from.x, from.y, from.z, to.x, to.y, to.z);
+
+            const color = edge.step === 'multiply' ? multiplyColor : divideColor;
+            colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(coordinates, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.6
+        });
+
+        return new THREE.LineSegments(geometry, material);
+    }
+
+    /**
+     * Обновление подписи кнопки переключения дерева прообразов
+     */
+    updateViewModeButton() {
+        const btn = document.getElementById('tree3dBtn');
+        if (btn) {
+            btn.textContent = this.viewMode === 'tree' ? 'Траектории' : 'Дерево';
+        }
+    }
+
     /**
      * Очистка последовательностей
      */
@@ -589,6 +860,10 @@ export class Visualization3D {
             });
         });
         this.objects.sequences.clear();
+
+        if (this.objects.playbackMarker) {
+            this.objects.playbackMarker.visible = false;
+        }
         
         // Очистка меток
         this.objects.labels.forEach(label => {
@@ -0,0 +1,219 @@
+/**
+ * Модуль пула Web Worker
+ *
+ * Распределяет вычислительные задачи (см. computeTasks.js) между воркерами,
+ * передает прогресс выполнения и поддерживает отмену через AbortSignal.
+ * Отмена выполняющейся задачи завершает ее воркер; на его место при необходимости
+ * создается новый. Если Web Worker недоступен, задачи выполняются в основном потоке.
+ */
+
+import { runComputeTask } from './computeTasks.js';
+
+export class WorkerPool {
+    /**
+     * @param {Object} options - Параметры пула
+     * @param {number} options.size - Максимальное количество воркеров
+     * @param {Function} options.createWorker - Фабрика воркеров
+     */
+    constructor(options = {}) {
+        const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+        this.size = options.size || Math.max(1, Math.min(4, cores - 1));
+        this.createWorker = options.createWorker || (() => new Worker(
+            new URL('./computeWorker.js', import.meta.url),
+            { type: 'module' }
+        ));
+        this.isSupported = Boolean(options.createWorker) || typeof Worker !== 'undefined';
+        this.slots = [];
+        this.queue = [];
+        this.nextTaskId = 0;
+    }
+
+    /**
+     * Выполняет задачу
+     * @param {string} type - Имя задачи из computeTasks
+     * @param {Object} payload - Параметры задачи (должны поддерживать structured clone)
+     * @param {Object} options - Параметры выполнения
+     * @param {AbortSignal} options.signal - Сигнал отмены
+     * @param {Function} options.onProgress - Обработчик прогресса (done, total)
+     * @param {Array<ArrayBuffer>} options.transfer - Буферы payload, передаваемые без копирования
+     * @returns {Promise<*>} Результат задачи
+     */
+    run(type, payload, options = {}) {
+        if (options.signal?.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        if (!this.isSupported) {
+            return runComputeTask(type, payload, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: ++this.nextTaskId,
+                type,
+                payload,
+                options,
+                resolve,
+                reject
+            };
+
+            if (options.signal) {
+                task.onAbort = () => this.cancel(task);
+                options.signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Отправляет задачи из очереди свободным воркерам
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(candidate => !candidate.task);
+            if (!slot) {
+                if (this.slots.length >= this.size) return;
+                slot = this.createSlot();
+            }
+
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage(
+                { id: task.id, type: task.type, payload: task.payload },
+                task.options.transfer || []
+            );
+        }
+    }
+
+    /**
+     * Создает воркер и подписывается на его сообщения
+     * @returns {Object} Слот { worker, task }
+     */
+    createSlot() {
+        const slot = { worker: this.createWorker(), task: null };
+
+        slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+        slot.worker.onerror = (event) => {
+            event.preventDefault?.();
+            this.handleCrash(slot, new Error(event.message || 'Ошибка воркера'));
+        };
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Обработка сообщения воркера
+     * @param {Object} slot - Слот воркера
+     * @param {Object} message - Сообщение
+     */
+    handleMessage(slot, message) {
+        const task = slot.task;
+        if (!task || message.id !== task.id) return;
+
+        if (message.type === 'progress') {
+            task.options.onProgress?.(message.done, message.total);
+            return;
+        }
+
+        this.release(slot);
+
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            const error = new Error(message.error.message);
+            error.name = message.error.name;
+            task.reject(error);
+        }
+    }
+
+    /**
+     * Обработка аварийного завершения воркера
+     * @param {Object} slot - Слот воркера
+     * @param {Error} error - Ошибка
+     */
+    handleCrash(slot, error) {
+        const task = slot.task;
+        this.removeSlot(slot);
+        if (task) {
+            this.detachSignal(task);
+            task.reject(error);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Освобождает слот после завершения задачи
+     * @param {Object} slot - Слот воркера
+     */
+    release(slot) {
+        this.detachSignal(slot.task);
+        slot.task = null;
+        this.dispatch();
+    }
+
+    /**
+     * Отменяет задачу: из очереди она удаляется, выполняющаяся - завершается вместе с воркером
+     * @param {Object} task - Задача
+     */
+    cancel(task) {
+        const queueIndex = this.queue.indexOf(task);
+        if (queueIndex !== -1) {
+            this.queue.splice(queueIndex, 1);
+            task.reject(this.createAbortError());
+            return;
+        }
+
+        const slot = this.slots.find(candidate => candidate.task === task);
+        if (slot) {
+            this.removeSlot(slot);
+            task.reject(this.createAbortError());
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Завершает воркер и удаляет его слот
+     * @param {Object} slot - Слот воркера
+     */
+    removeSlot(slot) {
+        slot.worker.terminate();
+        this.slots.splice(this.slots.indexOf(slot), 1);
+    }
+
+    /**
+     * Снимает обработчик отмены задачи
+     * @param {Object} task - Задача
+     */
+    detachSignal(task) {
+        if (task.onAbort) {
+            task.options.signal.removeEventListener('abort', task.onAbort);
+        }
+    }
+
+    /**
+     * Создает ошибку отмены
+     * @returns {DOMException} Ошибка с именем AbortError
+     */
+    createAbortError() {
+        return new DOMException('Вычисление отменено', 'AbortError');
+    }
+
+    /**
+     * Завершает все воркеры и отклоняет задачи в очереди
+     */
+    destroy() {
+        this.queue.forEach(task => task.reject(this.createAbortError()));
+        this.queue = [];
+
+        this.slots.forEach(slot => {
+            slot.worker.terminate();
+            if (slot.task) {
+                slot.task.reject(this.createAbortError());
+            }
+        });
+        this.slots = [];
+    }
+}
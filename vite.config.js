@@ -7,7 +7,8 @@ export default defineConfig({
     emptyOutDir: true,
     rollupOptions: {
       input: {
-        main: 'src/index.html'
+        main: 'src/index.html',
+        benchmark: 'src/benchmark.html'
       }
     }
   },